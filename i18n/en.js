@@ -0,0 +1,329 @@
+// English — the source text; other languages fall back to these strings
+I18N.register('en', {
+  // Navigation
+  'nav.home': 'Home',
+  'nav.questionnaire': 'Questionnaire',
+  'nav.submissions': 'Submissions',
+  'nav.coverage': 'Coverage',
+  'nav.complaints': 'Complaints',
+  'nav.analytics': 'Analytics',
+  'nav.signOut': 'Sign Out',
+  'nav.language': 'Language',
+
+  // Shared
+  'common.back': 'Back',
+  'common.backHome': 'Back to Home',
+  'common.cancel': 'Cancel',
+  'common.continue': 'Continue',
+  'common.no': 'No',
+  'common.preparing': 'Preparing…',
+  'common.saving': 'Saving…',
+  'common.submit': 'Submit',
+  'common.yes': 'Yes',
+
+  // Home page
+  'home.badge': 'Community Outreach',
+  'home.titleLine1': 'Help us',
+  'home.titleLine2': 'help you',
+  'home.intro': "We're working to connect Orleans Parish property owners and renters with resources. Take a moment to share your info — it makes a difference.",
+  'home.scan': 'Scan to begin',
+  'home.scanHint': 'Point your phone camera at the code above',
+  'home.or': 'or',
+  'home.start': 'Start Questionnaire',
+
+  // Questionnaire — progress and drafts
+  'progress.step': 'Step {step} of {total}',
+  'draft.unfinished': 'You have an unfinished questionnaire for {address}.',
+  'draft.resume': 'Resume',
+  'draft.startOver': 'Start over',
+  'resume.saveLater': 'Save & finish later',
+  'resume.saved': 'Your answers are saved.',
+  'resume.instructions': 'Use this code or link to pick up where you left off, on this or any other device, within 30 days.',
+  'resume.textMe': 'Text it to me',
+  'resume.emailMe': 'Email it to me',
+  'resume.copyLink': 'Copy link',
+  'resume.copied': 'Copied',
+  'resume.keepGoing': 'Keep going',
+  'resume.message': 'Finish your Lead Reduction Program questionnaire: {link} (resume code {code})',
+  'resume.emailSubject': 'Your saved questionnaire',
+  'resume.haveCode': 'Have a resume code?',
+  'resume.resume': 'Resume',
+  'resume.loading': 'Loading…',
+  'resume.loadingAnswers': 'Loading your saved answers…',
+  'resume.expired': 'That resume code has expired. Please start again.',
+  'resume.notFound': 'We could not find answers for that resume code.',
+
+  // Step 1 — address
+  'address.title': 'Property Address',
+  'address.desc': 'Enter the street address of the property in Orleans Parish, Louisiana.',
+  'address.label': 'Street Address',
+  'address.placeholder': 'e.g. 720 Marengo St, New Orleans, LA 70115',
+  'address.errorEmpty': 'Please enter an address.',
+  'address.errorZip': 'This zip code is not in Orleans Parish.',
+  'address.errorNoCity': 'Please include a New Orleans zip code or city name so we can verify Orleans Parish.',
+  'address.useLocation': 'Use my location',
+  'address.locating': 'Finding your location…',
+  'address.noneNearby': "We couldn't find a property where you are. Please type the address.",
+  'address.locationFailed': 'We could not look up your location. Please type the address.',
+  'address.alreadySigned': "An agreement for this property has already been signed, so you don't need to sign again. If something has changed, you can still continue and our staff will follow up.",
+  'address.alreadySent': "An agreement for this property has already been sent for signature. If you're the owner, check your email for the DocuSign link, or continue and our staff will follow up.",
+
+  // Step 2 — filler
+  'filler.title': 'Your Information',
+  'filler.desc': 'Tell us who is filling out this form.',
+
+  // Step 3 — ownership
+  'ownership.title': 'Property Ownership',
+  'ownership.desc': 'Do you own or rent the property at {address}?',
+  'ownership.own': 'I Own It',
+  'ownership.rent': 'I Rent',
+
+  // Step 4 — property records
+  'records.title': 'Property Records',
+  'records.desc': 'We searched public records for this address.',
+  'records.searching': 'Searching Orleans Parish Assessor records…',
+  'records.searchingHint': 'This usually takes a few seconds',
+  'records.confirmed': 'Property Records confirm you own the property',
+  'records.mismatch': 'Property records do not match name provided',
+  'records.ownerEntity': 'Property records list a company or organization as the owner',
+  'records.ownerTrust': 'Property records list a trust as the owner',
+  'records.ownerEstate': 'Property records list an estate as the owner',
+  'records.signingAuthority': 'Do you have signing authority for this property?',
+  'records.publicRecord': 'Property Owner — Public Record',
+  'records.owner': 'Owner',
+  'records.noOwnerData': 'Owner data could not be displayed.',
+  'records.source': 'Source: {source}',
+  'records.ownerNotFound': 'Owner name not found.',
+  'records.lookItUp': 'You can look it up at',
+  'records.beacon': 'Orleans Parish Assessor (Beacon)',
+  'records.usingParcel': 'using Parcel ID:',
+  'records.propertyNotFound': 'Property not found. Please verify the address.',
+  'records.editAddress': 'Edit Address',
+  'lookup.unparseable': 'Could not parse address.',
+  'lookup.didYouMean': 'No exact match in Orleans Parish Assessor records. Did you mean {suggestion}?',
+  'lookup.notFound': 'No property found at this address in Orleans Parish Assessor records.',
+  'lookup.failed': 'Lookup failed: {error}',
+  'lookup.unexpected': 'An unexpected error occurred.',
+
+  // Step 4 — contacts
+  'contact.firstName': 'First Name',
+  'contact.lastName': 'Last Name',
+  'contact.email': 'Email',
+  'contact.phone': 'Phone',
+  'contact.yoursTitle': 'Your Contact Information',
+  'contact.ownerTitle': 'Property Owner / Landlord Contact',
+  'contact.ownerSubtitle': 'Please provide contact info for someone with signing authority.',
+  'landlord.title': 'Landlord / Owner Contact',
+  'landlord.desc': 'Please provide the contact information for the property owner or landlord.',
+  'emailOwner.label': 'Email the signing agreement to this person',
+  'emailOwner.hint': "They'll receive a secure DocuSign link to review and sign from any device.",
+
+  // Signing
+  'signing.how': 'How would you like to sign?',
+  'signing.now': 'Sign Now',
+  'signing.emailLink': 'Email Me a Link',
+  'signing.signDocument': 'Sign Document',
+  'signing.emailAgreement': 'Email Agreement',
+  'signing.tryAgain': 'Try signing again',
+  'signing.notCompleted': 'Signing Not Completed',
+  'signing.decline': 'You declined to sign the document.',
+  'signing.exception': 'An error occurred during signing.',
+  'signing.ttl_expired': 'The signing session expired.',
+  'signing.cancel': 'Signing was cancelled.',
+  'signing.unknown': 'Signing ended unexpectedly.',
+  'signing.saveFailed': 'We could not save your answers. Please try again.',
+
+  // Done
+  'done.title': 'Thank you!',
+  'done.signed': "Your document has been signed and your information saved. We'll be in touch soon with next steps for the Lead Reduction Program.",
+  'done.emailed': 'Your information has been saved and the signing agreement was emailed to {email}. It can be signed from any device.',
+  'done.saved': "Your information has been saved. We'll be in touch soon with resources and next steps.",
+  'done.queued': "Your answers are saved on this device and will upload automatically when it's back online. We'll be in touch soon with resources and next steps.",
+  'done.queuedEmail': "Your answers are saved on this device. Once it's back online they'll upload and the signing agreement will be emailed to {email}.",
+
+  // Offline canvassing
+  'outbox.waitingOne': '1 form waiting to upload.',
+  'outbox.waitingMany': '{count} forms waiting to upload.',
+  'outbox.hint': 'They are saved on this device and upload automatically when it has signal.',
+  'outbox.waiting': 'Waiting for signal',
+  'outbox.failed': 'Not accepted: {error}',
+  'outbox.uploadNow': 'Upload now',
+  'outbox.uploading': 'Uploading…',
+  'outbox.show': 'Show forms',
+  'outbox.hide': 'Hide forms',
+  'field.open': 'Canvassing without signal?',
+  'field.title': 'Field mode.',
+  'field.desc': 'Save the property records around you so addresses can be looked up offline. Forms filled in offline upload when the device is back online.',
+  'field.none': 'No neighborhood saved on this device.',
+  'field.saved': '{count} properties saved {date}.',
+  'field.savedPartial': '{count} properties saved {date} — the area was too large to save completely.',
+  'field.save': 'Save this neighborhood',
+  'field.refresh': 'Save again from here',
+  'field.saving': 'Saving…',
+  'field.clear': 'Clear',
+  'field.noLocation': "We could not get this device's location. Allow location access and try again.",
+  'field.saveFailed': 'Could not download property records. Check the connection and try again.',
+
+  // Complaints — sign in
+  'login.title': 'Staff Sign In',
+  'login.email': 'Email',
+  'login.password': 'Password',
+  'login.signIn': 'Sign In',
+  'login.signingIn': 'Signing in…',
+  'login.hint': 'Complaint records are only available to SWBNO staff and assigned contractors.',
+
+  // Complaints — list
+  'tickets.title': 'Complaints',
+  'tickets.count': '{shown} of {total}',
+  'tickets.new': 'New',
+  'tickets.loading': 'Loading complaints…',
+  'tickets.loadError': 'Could not load complaints: {error}',
+  'tickets.noMatches': 'No complaints match the selected filters.',
+  'tickets.none': 'No complaints yet.',
+  'tickets.assignedTitle': 'My Assigned Complaints',
+  'tickets.noneAssigned': 'No complaints are assigned to your crew.',
+  'tickets.updateFailed': 'Could not update {id}: {error}',
+  'filter.allStatuses': 'All Statuses',
+  'filter.allUrgency': 'All Urgency',
+  'filter.allContractors': 'All Contractors',
+  'filter.allDates': 'All Dates',
+  'filter.today': 'Today',
+  'filter.3days': 'Last 3 Days',
+  'filter.week': 'Last 7 Days',
+  'filter.allSla': 'All SLA',
+  'filter.clear': 'Clear',
+  'status.open': 'Open',
+  'status.in-progress': 'In Progress',
+  'status.escalated': 'Escalated',
+  'status.resolved': 'Resolved',
+  'status.closed': 'Closed',
+  'urgency.high': 'High',
+  'urgency.medium': 'Medium',
+  'urgency.low': 'Low',
+  'sla.overdue': 'Overdue',
+  'sla.at-risk': 'At Risk',
+  'sla.on-track': 'On Track',
+  'sla.met': 'SLA Met',
+  'sla.missed': 'SLA Missed',
+  'sla.responseDue': 'Reply due {time}',
+  'sla.resolutionDue': 'Resolution due {time}',
+  'category.meter': 'Meter',
+  'category.leak': 'Leak',
+  'category.water-quality': 'Water Quality',
+  'category.lead': 'Lead Line',
+  'category.billing': 'Billing',
+  'category.construction': 'Construction',
+  'category.other': 'Other',
+  'crew.plumbing': 'Plumbing',
+  'crew.meter': 'Meter',
+  'crew.excavation': 'Excavation',
+  'crew.restoration': 'Restoration',
+  'crew.inspection': 'Inspection',
+  'crew.general': 'General',
+
+  // Complaints — thread
+  'chat.caseClosed': 'Case Closed',
+  'chat.closeCase': 'Close Case',
+  'chat.escalated': 'Escalated',
+  'chat.escalateCase': 'Escalate Case',
+  'chat.notSent': 'Message not sent: {error}',
+  'chat.attachPhotos': 'Attach photos',
+  'chat.postAs': 'Post this message as',
+  'chat.asStaff': 'Staff',
+  'chat.asResident': 'Resident',
+  'chat.placeholder': 'Type a message...',
+  'chat.logFrom': 'Log a message from {name}...',
+  'chat.prefersLanguage': 'Resident prefers {language}',
+  'chat.contractorPlaceholder': 'Reply to staff and the resident...',
+  'chat.reportComplete': 'Report work complete',
+  'chat.completionNeedsPhotos': 'Attach photos of the finished work to report it complete.',
+  'chat.workReported': 'Work Reported Complete',
+  'assign.assign': 'Assign Contractor',
+  'assign.reassign': 'Reassign',
+  'assign.loading': 'Loading contractors…',
+  'assign.loadError': 'Could not load contractors: {error}',
+  'assign.none': 'No contractors in the directory yet.',
+  'assign.serves': 'Serves {zip}',
+  'assign.unassign': 'Unassign {name}',
+
+  // Complaints — contractor directory
+  'directory.open': 'Contractors',
+  'directory.title': 'Contractor Directory',
+  'directory.add': 'Add',
+  'directory.addTitle': 'Add Contractor',
+  'directory.editTitle': 'Edit Contractor',
+  'directory.edit': 'Edit',
+  'directory.name': 'Crew Name',
+  'directory.crewType': 'Crew Type',
+  'directory.serviceArea': 'Service Area',
+  'directory.serviceAreaHint': 'ZIP codes the crew covers, separated by commas. Leave blank for citywide.',
+  'directory.anyArea': 'Citywide',
+  'directory.phone': 'Phone',
+  'directory.email': 'Email',
+  'directory.loginEmail': 'Sign-in Account',
+  'directory.loginEmailHint': 'Email of a staff account with the contractor role. The crew signs in with it to see its assigned complaints.',
+  'directory.signsInAs': 'Signs in as {email}',
+  'directory.noLogin': 'No sign-in account linked',
+  'directory.active': 'Active (can be assigned)',
+  'directory.inactive': 'Inactive',
+  'directory.save': 'Save',
+  'directory.saving': 'Saving…',
+  'ai.generated': 'AI Generated',
+  'ai.generatedMessage': 'AI Generated Message',
+  'ai.imageAnalysis': 'Image Analysis',
+
+  // Complaints — notifications
+  'notices.open': 'Notices',
+  'notices.title': 'Email and text notices',
+  'notices.loading': 'Loading notices…',
+  'notices.loadError': 'Could not load notices: {error}',
+  'notices.none': 'No notices sent for this complaint yet.',
+  'notices.email': 'Email',
+  'notices.sms': 'Text',
+  'notices.template.ticket-received': 'Complaint received',
+  'notices.template.ticket-assigned': 'Crew assignment',
+  'notices.template.ticket-resolved': 'Complaint resolved',
+  'notices.status.queued': 'Queued',
+  'notices.status.sending': 'Sending',
+  'notices.status.retrying': 'Retrying',
+  'notices.status.sent': 'Sent',
+  'notices.status.failed': 'Failed',
+  'history.open': 'History',
+  'history.title': 'Who changed this complaint and when',
+  'history.loading': 'Loading history…',
+  'history.loadError': 'Could not load history: {error}',
+  'history.none': 'No changes recorded for this complaint yet.',
+  'history.action.created': 'Complaint created',
+  'history.action.updated': 'Complaint updated',
+  'history.action.contractor-assigned': 'Crew assigned',
+  'history.action.contractor-unassigned': 'Crew unassigned',
+  'history.action.message-posted': 'Message posted',
+  'history.action.work-completed': 'Work reported complete',
+  'history.action.escalated': 'Escalated automatically',
+  'history.actor.resident': 'Resident',
+  'history.actor.docusign': 'DocuSign',
+  'history.actor.system': 'System',
+
+  // Complaints — new
+  'newTicket.title': 'New Complaint',
+  'newTicket.address': 'Address',
+  'newTicket.addressPlaceholder': 'e.g. 720 MARENGO ST',
+  'newTicket.customer': 'Customer Name',
+  'newTicket.customerPlaceholder': 'Full name',
+  'newTicket.customerEmail': 'Customer Email',
+  'newTicket.customerPhone': 'Customer Phone',
+  'newTicket.contactHint': 'Optional. The resident gets a confirmation now and a notice when the complaint is resolved.',
+  'newTicket.language': 'Preferred Language',
+  'newTicket.category': 'Category',
+  'newTicket.urgency': 'Urgency',
+  'newTicket.message': 'Message',
+  'newTicket.messagePlaceholder': 'Describe the complaint in detail...',
+  'newTicket.photo': 'Photo',
+  'newTicket.dateTime': 'Date & Time',
+  'newTicket.create': 'Create Complaint',
+  'newTicket.creating': 'Creating…',
+  'photos.upload': 'Click to upload photos',
+  'photos.hint': 'JPG, PNG, WebP up to 10MB · {max} max',
+  'photos.uploading': 'Uploading…',
+  'photos.remove': 'Remove photo',
+});
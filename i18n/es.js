@@ -0,0 +1,329 @@
+// Spanish (Español)
+I18N.register('es', {
+  // Navigation
+  'nav.home': 'Inicio',
+  'nav.questionnaire': 'Cuestionario',
+  'nav.submissions': 'Envíos',
+  'nav.coverage': 'Cobertura',
+  'nav.complaints': 'Quejas',
+  'nav.analytics': 'Análisis',
+  'nav.signOut': 'Cerrar sesión',
+  'nav.language': 'Idioma',
+
+  // Shared
+  'common.back': 'Atrás',
+  'common.backHome': 'Volver al inicio',
+  'common.cancel': 'Cancelar',
+  'common.continue': 'Continuar',
+  'common.no': 'No',
+  'common.preparing': 'Preparando…',
+  'common.saving': 'Guardando…',
+  'common.submit': 'Enviar',
+  'common.yes': 'Sí',
+
+  // Home page
+  'home.badge': 'Alcance comunitario',
+  'home.titleLine1': 'Ayúdenos',
+  'home.titleLine2': 'a ayudarle',
+  'home.intro': 'Trabajamos para conectar a los propietarios e inquilinos de la Parroquia de Orleans con recursos. Tómese un momento para compartir su información: marca la diferencia.',
+  'home.scan': 'Escanee para comenzar',
+  'home.scanHint': 'Apunte la cámara de su teléfono al código de arriba',
+  'home.or': 'o',
+  'home.start': 'Comenzar el cuestionario',
+
+  // Questionnaire — progress and drafts
+  'progress.step': 'Paso {step} de {total}',
+  'draft.unfinished': 'Tiene un cuestionario sin terminar para {address}.',
+  'draft.resume': 'Continuar',
+  'draft.startOver': 'Empezar de nuevo',
+  'resume.saveLater': 'Guardar y terminar después',
+  'resume.saved': 'Sus respuestas están guardadas.',
+  'resume.instructions': 'Use este código o enlace para continuar donde lo dejó, en este u otro dispositivo, dentro de 30 días.',
+  'resume.textMe': 'Enviármelo por mensaje de texto',
+  'resume.emailMe': 'Enviármelo por correo',
+  'resume.copyLink': 'Copiar enlace',
+  'resume.copied': 'Copiado',
+  'resume.keepGoing': 'Seguir',
+  'resume.message': 'Termine su cuestionario del Programa de Reducción de Plomo: {link} (código para continuar {code})',
+  'resume.emailSubject': 'Su cuestionario guardado',
+  'resume.haveCode': '¿Tiene un código para continuar?',
+  'resume.resume': 'Continuar',
+  'resume.loading': 'Cargando…',
+  'resume.loadingAnswers': 'Cargando sus respuestas guardadas…',
+  'resume.expired': 'Ese código ha vencido. Por favor, empiece de nuevo.',
+  'resume.notFound': 'No encontramos respuestas con ese código.',
+
+  // Step 1 — address
+  'address.title': 'Dirección de la propiedad',
+  'address.desc': 'Escriba la dirección de la propiedad en la Parroquia de Orleans, Luisiana.',
+  'address.label': 'Dirección',
+  'address.placeholder': 'p. ej. 720 Marengo St, New Orleans, LA 70115',
+  'address.errorEmpty': 'Por favor, escriba una dirección.',
+  'address.errorZip': 'Este código postal no está en la Parroquia de Orleans.',
+  'address.errorNoCity': 'Incluya un código postal o el nombre de la ciudad de Nueva Orleans para que podamos verificar la Parroquia de Orleans.',
+  'address.useLocation': 'Usar mi ubicación',
+  'address.locating': 'Buscando su ubicación…',
+  'address.noneNearby': 'No encontramos una propiedad donde usted está. Escriba la dirección.',
+  'address.locationFailed': 'No pudimos buscar su ubicación. Escriba la dirección.',
+  'address.alreadySigned': 'Ya se firmó un acuerdo para esta propiedad, así que no necesita firmar de nuevo. Si algo cambió, puede continuar y nuestro personal se comunicará con usted.',
+  'address.alreadySent': 'Ya se envió un acuerdo para firmar para esta propiedad. Si usted es el propietario, busque el enlace de DocuSign en su correo, o continúe y nuestro personal se comunicará con usted.',
+
+  // Step 2 — filler
+  'filler.title': 'Su información',
+  'filler.desc': 'Díganos quién está llenando este formulario.',
+
+  // Step 3 — ownership
+  'ownership.title': 'Propiedad del inmueble',
+  'ownership.desc': '¿Es dueño o alquila la propiedad en {address}?',
+  'ownership.own': 'Soy dueño',
+  'ownership.rent': 'Alquilo',
+
+  // Step 4 — property records
+  'records.title': 'Registros de la propiedad',
+  'records.desc': 'Buscamos esta dirección en los registros públicos.',
+  'records.searching': 'Buscando en los registros del Tasador de la Parroquia de Orleans…',
+  'records.searchingHint': 'Esto suele tardar unos segundos',
+  'records.confirmed': 'Los registros confirman que usted es dueño de la propiedad',
+  'records.mismatch': 'Los registros de la propiedad no coinciden con el nombre indicado',
+  'records.ownerEntity': 'Los registros indican que el dueño es una empresa u organización',
+  'records.ownerTrust': 'Los registros indican que el dueño es un fideicomiso',
+  'records.ownerEstate': 'Los registros indican que el dueño es una sucesión',
+  'records.signingAuthority': '¿Tiene autoridad para firmar por esta propiedad?',
+  'records.publicRecord': 'Dueño de la propiedad — Registro público',
+  'records.owner': 'Dueño',
+  'records.noOwnerData': 'No se pudieron mostrar los datos del dueño.',
+  'records.source': 'Fuente: {source}',
+  'records.ownerNotFound': 'No se encontró el nombre del dueño.',
+  'records.lookItUp': 'Puede buscarlo en',
+  'records.beacon': 'Tasador de la Parroquia de Orleans (Beacon)',
+  'records.usingParcel': 'con el número de parcela:',
+  'records.propertyNotFound': 'No se encontró la propiedad. Verifique la dirección.',
+  'records.editAddress': 'Cambiar la dirección',
+  'lookup.unparseable': 'No pudimos leer la dirección.',
+  'lookup.didYouMean': 'No hay una coincidencia exacta en los registros del Tasador de la Parroquia de Orleans. ¿Quiso decir {suggestion}?',
+  'lookup.notFound': 'No se encontró ninguna propiedad en esta dirección en los registros del Tasador de la Parroquia de Orleans.',
+  'lookup.failed': 'La búsqueda falló: {error}',
+  'lookup.unexpected': 'Ocurrió un error inesperado.',
+
+  // Step 4 — contacts
+  'contact.firstName': 'Nombre',
+  'contact.lastName': 'Apellido',
+  'contact.email': 'Correo electrónico',
+  'contact.phone': 'Teléfono',
+  'contact.yoursTitle': 'Su información de contacto',
+  'contact.ownerTitle': 'Contacto del dueño / arrendador',
+  'contact.ownerSubtitle': 'Indique los datos de contacto de alguien con autoridad para firmar.',
+  'landlord.title': 'Contacto del arrendador / dueño',
+  'landlord.desc': 'Indique los datos de contacto del dueño o arrendador de la propiedad.',
+  'emailOwner.label': 'Enviar el acuerdo para firmar a esta persona por correo',
+  'emailOwner.hint': 'Recibirá un enlace seguro de DocuSign para revisarlo y firmarlo desde cualquier dispositivo.',
+
+  // Signing
+  'signing.how': '¿Cómo desea firmar?',
+  'signing.now': 'Firmar ahora',
+  'signing.emailLink': 'Enviarme un enlace',
+  'signing.signDocument': 'Firmar el documento',
+  'signing.emailAgreement': 'Enviar el acuerdo por correo',
+  'signing.tryAgain': 'Intentar firmar de nuevo',
+  'signing.notCompleted': 'La firma no se completó',
+  'signing.decline': 'Usted rechazó firmar el documento.',
+  'signing.exception': 'Ocurrió un error durante la firma.',
+  'signing.ttl_expired': 'La sesión de firma venció.',
+  'signing.cancel': 'Se canceló la firma.',
+  'signing.unknown': 'La firma terminó de forma inesperada.',
+  'signing.saveFailed': 'No pudimos guardar sus respuestas. Por favor, inténtelo de nuevo.',
+
+  // Done
+  'done.title': '¡Gracias!',
+  'done.signed': 'Su documento fue firmado y su información guardada. Pronto nos comunicaremos con los próximos pasos del Programa de Reducción de Plomo.',
+  'done.emailed': 'Su información fue guardada y el acuerdo para firmar se envió a {email}. Se puede firmar desde cualquier dispositivo.',
+  'done.saved': 'Su información fue guardada. Pronto nos comunicaremos con recursos y los próximos pasos.',
+  'done.queued': 'Sus respuestas están guardadas en este dispositivo y se enviarán automáticamente cuando vuelva a tener conexión. Pronto nos comunicaremos con recursos y los próximos pasos.',
+  'done.queuedEmail': 'Sus respuestas están guardadas en este dispositivo. Cuando vuelva a tener conexión se enviarán y el acuerdo para firmar se mandará a {email}.',
+
+  // Offline canvassing
+  'outbox.waitingOne': '1 formulario pendiente de enviar.',
+  'outbox.waitingMany': '{count} formularios pendientes de enviar.',
+  'outbox.hint': 'Están guardados en este dispositivo y se envían automáticamente cuando hay señal.',
+  'outbox.waiting': 'Esperando señal',
+  'outbox.failed': 'No aceptado: {error}',
+  'outbox.uploadNow': 'Enviar ahora',
+  'outbox.uploading': 'Enviando…',
+  'outbox.show': 'Ver formularios',
+  'outbox.hide': 'Ocultar formularios',
+  'field.open': '¿Trabaja sin señal?',
+  'field.title': 'Modo de campo.',
+  'field.desc': 'Guarde los registros de las propiedades a su alrededor para buscar direcciones sin conexión. Los formularios llenados sin conexión se envían cuando el dispositivo vuelve a tener conexión.',
+  'field.none': 'No hay un vecindario guardado en este dispositivo.',
+  'field.saved': '{count} propiedades guardadas el {date}.',
+  'field.savedPartial': '{count} propiedades guardadas el {date}; el área era demasiado grande para guardarla completa.',
+  'field.save': 'Guardar este vecindario',
+  'field.refresh': 'Guardar de nuevo desde aquí',
+  'field.saving': 'Guardando…',
+  'field.clear': 'Borrar',
+  'field.noLocation': 'No pudimos obtener la ubicación de este dispositivo. Permita el acceso a la ubicación e inténtelo de nuevo.',
+  'field.saveFailed': 'No se pudieron descargar los registros de las propiedades. Revise la conexión e inténtelo de nuevo.',
+
+  // Complaints — sign in
+  'login.title': 'Acceso del personal',
+  'login.email': 'Correo electrónico',
+  'login.password': 'Contraseña',
+  'login.signIn': 'Iniciar sesión',
+  'login.signingIn': 'Iniciando sesión…',
+  'login.hint': 'Los registros de quejas solo están disponibles para el personal de SWBNO y los contratistas asignados.',
+
+  // Complaints — list
+  'tickets.title': 'Quejas',
+  'tickets.count': '{shown} de {total}',
+  'tickets.new': 'Nueva',
+  'tickets.loading': 'Cargando quejas…',
+  'tickets.loadError': 'No se pudieron cargar las quejas: {error}',
+  'tickets.noMatches': 'Ninguna queja coincide con los filtros seleccionados.',
+  'tickets.none': 'Todavía no hay quejas.',
+  'tickets.assignedTitle': 'Mis quejas asignadas',
+  'tickets.noneAssigned': 'No hay quejas asignadas a su equipo.',
+  'tickets.updateFailed': 'No se pudo actualizar {id}: {error}',
+  'filter.allStatuses': 'Todos los estados',
+  'filter.allUrgency': 'Toda urgencia',
+  'filter.allContractors': 'Todos los contratistas',
+  'filter.allDates': 'Todas las fechas',
+  'filter.today': 'Hoy',
+  'filter.3days': 'Últimos 3 días',
+  'filter.week': 'Últimos 7 días',
+  'filter.allSla': 'Todos los plazos',
+  'filter.clear': 'Borrar',
+  'status.open': 'Abierta',
+  'status.in-progress': 'En curso',
+  'status.escalated': 'Escalada',
+  'status.resolved': 'Resuelta',
+  'status.closed': 'Cerrada',
+  'urgency.high': 'Alta',
+  'urgency.medium': 'Media',
+  'urgency.low': 'Baja',
+  'sla.overdue': 'Vencido',
+  'sla.at-risk': 'En riesgo',
+  'sla.on-track': 'A tiempo',
+  'sla.met': 'Plazo cumplido',
+  'sla.missed': 'Plazo incumplido',
+  'sla.responseDue': 'Responder antes de {time}',
+  'sla.resolutionDue': 'Resolver antes de {time}',
+  'category.meter': 'Medidor',
+  'category.leak': 'Fuga',
+  'category.water-quality': 'Calidad del agua',
+  'category.lead': 'Tubería de plomo',
+  'category.billing': 'Facturación',
+  'category.construction': 'Construcción',
+  'category.other': 'Otro',
+  'crew.plumbing': 'Plomería',
+  'crew.meter': 'Medidores',
+  'crew.excavation': 'Excavación',
+  'crew.restoration': 'Restauración',
+  'crew.inspection': 'Inspección',
+  'crew.general': 'General',
+
+  // Complaints — thread
+  'chat.caseClosed': 'Caso cerrado',
+  'chat.closeCase': 'Cerrar caso',
+  'chat.escalated': 'Escalado',
+  'chat.escalateCase': 'Escalar caso',
+  'chat.notSent': 'Mensaje no enviado: {error}',
+  'chat.attachPhotos': 'Adjuntar fotos',
+  'chat.postAs': 'Publicar este mensaje como',
+  'chat.asStaff': 'Personal',
+  'chat.asResident': 'Residente',
+  'chat.placeholder': 'Escriba un mensaje...',
+  'chat.logFrom': 'Registrar un mensaje de {name}...',
+  'chat.prefersLanguage': 'El residente prefiere {language}',
+  'chat.contractorPlaceholder': 'Responda al personal y al residente...',
+  'chat.reportComplete': 'Informar trabajo terminado',
+  'chat.completionNeedsPhotos': 'Adjunte fotos del trabajo terminado para informarlo como completo.',
+  'chat.workReported': 'Trabajo informado como terminado',
+  'assign.assign': 'Asignar contratista',
+  'assign.reassign': 'Reasignar',
+  'assign.loading': 'Cargando contratistas…',
+  'assign.loadError': 'No se pudieron cargar los contratistas: {error}',
+  'assign.none': 'Todavía no hay contratistas en el directorio.',
+  'assign.serves': 'Atiende {zip}',
+  'assign.unassign': 'Quitar a {name}',
+
+  // Complaints — contractor directory
+  'directory.open': 'Contratistas',
+  'directory.title': 'Directorio de contratistas',
+  'directory.add': 'Agregar',
+  'directory.addTitle': 'Agregar contratista',
+  'directory.editTitle': 'Editar contratista',
+  'directory.edit': 'Editar',
+  'directory.name': 'Nombre del equipo',
+  'directory.crewType': 'Tipo de equipo',
+  'directory.serviceArea': 'Área de servicio',
+  'directory.serviceAreaHint': 'Códigos postales que cubre el equipo, separados por comas. Déjelo en blanco para toda la ciudad.',
+  'directory.anyArea': 'Toda la ciudad',
+  'directory.phone': 'Teléfono',
+  'directory.email': 'Correo electrónico',
+  'directory.loginEmail': 'Cuenta de acceso',
+  'directory.loginEmailHint': 'Correo de una cuenta de personal con el rol de contratista. El equipo inicia sesión con ella para ver sus quejas asignadas.',
+  'directory.signsInAs': 'Inicia sesión como {email}',
+  'directory.noLogin': 'Sin cuenta de acceso vinculada',
+  'directory.active': 'Activo (se puede asignar)',
+  'directory.inactive': 'Inactivo',
+  'directory.save': 'Guardar',
+  'directory.saving': 'Guardando…',
+  'ai.generated': 'Generado por IA',
+  'ai.generatedMessage': 'Mensaje generado por IA',
+  'ai.imageAnalysis': 'Análisis de la imagen',
+
+  // Complaints — notifications
+  'notices.open': 'Avisos',
+  'notices.title': 'Avisos por correo y mensaje de texto',
+  'notices.loading': 'Cargando avisos…',
+  'notices.loadError': 'No se pudieron cargar los avisos: {error}',
+  'notices.none': 'Todavía no se han enviado avisos para esta queja.',
+  'notices.email': 'Correo',
+  'notices.sms': 'Texto',
+  'notices.template.ticket-received': 'Queja recibida',
+  'notices.template.ticket-assigned': 'Asignación al equipo',
+  'notices.template.ticket-resolved': 'Queja resuelta',
+  'notices.status.queued': 'En cola',
+  'notices.status.sending': 'Enviando',
+  'notices.status.retrying': 'Reintentando',
+  'notices.status.sent': 'Enviado',
+  'notices.status.failed': 'Falló',
+  'history.open': 'Historial',
+  'history.title': 'Quién cambió esta queja y cuándo',
+  'history.loading': 'Cargando historial…',
+  'history.loadError': 'No se pudo cargar el historial: {error}',
+  'history.none': 'Aún no hay cambios registrados para esta queja.',
+  'history.action.created': 'Queja creada',
+  'history.action.updated': 'Queja actualizada',
+  'history.action.contractor-assigned': 'Equipo asignado',
+  'history.action.contractor-unassigned': 'Equipo desasignado',
+  'history.action.message-posted': 'Mensaje publicado',
+  'history.action.work-completed': 'Trabajo reportado como terminado',
+  'history.action.escalated': 'Escalada automáticamente',
+  'history.actor.resident': 'Residente',
+  'history.actor.docusign': 'DocuSign',
+  'history.actor.system': 'Sistema',
+
+  // Complaints — new
+  'newTicket.title': 'Nueva queja',
+  'newTicket.address': 'Dirección',
+  'newTicket.addressPlaceholder': 'p. ej. 720 MARENGO ST',
+  'newTicket.customer': 'Nombre del cliente',
+  'newTicket.customerPlaceholder': 'Nombre completo',
+  'newTicket.customerEmail': 'Correo del cliente',
+  'newTicket.customerPhone': 'Teléfono del cliente',
+  'newTicket.contactHint': 'Opcional. El residente recibe una confirmación ahora y un aviso cuando se resuelva la queja.',
+  'newTicket.language': 'Idioma preferido',
+  'newTicket.category': 'Categoría',
+  'newTicket.urgency': 'Urgencia',
+  'newTicket.message': 'Mensaje',
+  'newTicket.messagePlaceholder': 'Describa la queja en detalle...',
+  'newTicket.photo': 'Foto',
+  'newTicket.dateTime': 'Fecha y hora',
+  'newTicket.create': 'Crear queja',
+  'newTicket.creating': 'Creando…',
+  'photos.upload': 'Haga clic para subir fotos',
+  'photos.hint': 'JPG, PNG, WebP de hasta 10 MB · máximo {max}',
+  'photos.uploading': 'Subiendo…',
+  'photos.remove': 'Quitar foto',
+});
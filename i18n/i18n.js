@@ -0,0 +1,92 @@
+/**
+ * Translations for the resident-facing pages (index.html, ticketing.html).
+ *
+ * Each language file in this folder calls I18N.register(code, strings) with a
+ * flat key → text map; {name} placeholders are filled from the vars passed to
+ * t(). A key missing from a translation falls back to English, so new text can
+ * ship before it's translated. lib/i18n.js lists the same codes for the server.
+ *
+ * Plain script (no Babel) — load it after React and before the page script:
+ *   <script src="i18n/i18n.js"></script>
+ *   <script src="i18n/en.js"></script> …
+ */
+(function () {
+  const LANGUAGES = [
+    { code: 'en', name: 'English', locale: 'en-US' },
+    { code: 'es', name: 'Español', locale: 'es-US' },
+    { code: 'vi', name: 'Tiếng Việt', locale: 'vi-VN' },
+  ];
+  const DEFAULT_LANGUAGE = 'en';
+  const STORAGE_KEY = 'noleadnola_lang';
+  const catalogs = {};
+
+  function register(code, strings) {
+    catalogs[code] = { ...catalogs[code], ...strings };
+  }
+
+  // 'es', 'ES', 'es-MX' → 'es'; anything we don't translate → null
+  function normalize(value) {
+    const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES.some(l => l.code === code) ? code : null;
+  }
+
+  function remember(code) {
+    try { localStorage.setItem(STORAGE_KEY, code); } catch { /* private mode */ }
+  }
+
+  // ?lang= on a QR code or shared link wins, then the last choice on this device, then the browser
+  function detect() {
+    const fromUrl = normalize(new URLSearchParams(window.location.search).get('lang'));
+    if (fromUrl) {
+      remember(fromUrl);
+      return fromUrl;
+    }
+    let saved = null;
+    try { saved = normalize(localStorage.getItem(STORAGE_KEY)); } catch { /* private mode */ }
+    const browser = (navigator.languages || [navigator.language]).map(normalize).find(Boolean);
+    return saved || browser || DEFAULT_LANGUAGE;
+  }
+
+  function t(lang, key, vars) {
+    const text = catalogs[lang]?.[key] ?? catalogs[DEFAULT_LANGUAGE]?.[key] ?? key;
+    return vars ? text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match)) : text;
+  }
+
+  const locale = (lang) => (LANGUAGES.find(l => l.code === lang) || LANGUAGES[0]).locale;
+  const languageName = (lang) => (LANGUAGES.find(l => l.code === lang) || {}).name || lang;
+
+  const LanguageContext = React.createContext(DEFAULT_LANGUAGE);
+
+  // Root component state: [lang, setLang]. The choice is remembered and set on <html lang>.
+  function useLanguageState() {
+    const [lang, setLang] = React.useState(detect);
+    React.useEffect(() => { document.documentElement.lang = lang; }, [lang]);
+    const choose = React.useCallback((code) => {
+      const next = normalize(code) || DEFAULT_LANGUAGE;
+      remember(next);
+      setLang(next);
+    }, []);
+    return [lang, choose];
+  }
+
+  // For components under <I18N.LanguageContext.Provider>: { lang, t }
+  function useTranslation() {
+    const lang = React.useContext(LanguageContext);
+    const translate = React.useCallback((key, vars) => t(lang, key, vars), [lang]);
+    return { lang, t: translate };
+  }
+
+  function LanguageSwitcher({ lang, onChange }) {
+    return React.createElement('select', {
+      className: 'lang-switch',
+      value: lang,
+      'aria-label': t(lang, 'nav.language'),
+      onChange: e => onChange(e.target.value),
+    }, LANGUAGES.map(l => React.createElement('option', { key: l.code, value: l.code }, l.name)));
+  }
+
+  window.I18N = {
+    LANGUAGES, DEFAULT_LANGUAGE, LanguageContext, LanguageSwitcher,
+    register, normalize, detect, t, locale, languageName, useLanguageState, useTranslation,
+  };
+})();
@@ -0,0 +1,329 @@
+// Vietnamese (Tiếng Việt)
+I18N.register('vi', {
+  // Navigation
+  'nav.home': 'Trang chủ',
+  'nav.questionnaire': 'Bảng câu hỏi',
+  'nav.submissions': 'Hồ sơ đã gửi',
+  'nav.coverage': 'Mức độ tiếp cận',
+  'nav.complaints': 'Khiếu nại',
+  'nav.analytics': 'Phân tích',
+  'nav.signOut': 'Đăng xuất',
+  'nav.language': 'Ngôn ngữ',
+
+  // Shared
+  'common.back': 'Quay lại',
+  'common.backHome': 'Về trang chủ',
+  'common.cancel': 'Hủy',
+  'common.continue': 'Tiếp tục',
+  'common.no': 'Không',
+  'common.preparing': 'Đang chuẩn bị…',
+  'common.saving': 'Đang lưu…',
+  'common.submit': 'Gửi',
+  'common.yes': 'Có',
+
+  // Home page
+  'home.badge': 'Tiếp cận cộng đồng',
+  'home.titleLine1': 'Hãy giúp chúng tôi',
+  'home.titleLine2': 'giúp bạn',
+  'home.intro': 'Chúng tôi đang kết nối chủ nhà và người thuê nhà ở Giáo xứ Orleans với các nguồn hỗ trợ. Xin dành chút thời gian chia sẻ thông tin của bạn — điều đó tạo nên sự khác biệt.',
+  'home.scan': 'Quét để bắt đầu',
+  'home.scanHint': 'Hướng camera điện thoại vào mã ở trên',
+  'home.or': 'hoặc',
+  'home.start': 'Bắt đầu bảng câu hỏi',
+
+  // Questionnaire — progress and drafts
+  'progress.step': 'Bước {step} / {total}',
+  'draft.unfinished': 'Bạn có một bảng câu hỏi chưa hoàn thành cho {address}.',
+  'draft.resume': 'Tiếp tục',
+  'draft.startOver': 'Làm lại từ đầu',
+  'resume.saveLater': 'Lưu và hoàn thành sau',
+  'resume.saved': 'Câu trả lời của bạn đã được lưu.',
+  'resume.instructions': 'Dùng mã hoặc đường dẫn này để tiếp tục từ chỗ bạn dừng lại, trên thiết bị này hoặc thiết bị khác, trong vòng 30 ngày.',
+  'resume.textMe': 'Nhắn tin cho tôi',
+  'resume.emailMe': 'Gửi email cho tôi',
+  'resume.copyLink': 'Sao chép đường dẫn',
+  'resume.copied': 'Đã sao chép',
+  'resume.keepGoing': 'Tiếp tục điền',
+  'resume.message': 'Hoàn thành bảng câu hỏi của Chương trình Giảm Chì: {link} (mã tiếp tục {code})',
+  'resume.emailSubject': 'Bảng câu hỏi đã lưu của bạn',
+  'resume.haveCode': 'Bạn có mã tiếp tục?',
+  'resume.resume': 'Tiếp tục',
+  'resume.loading': 'Đang tải…',
+  'resume.loadingAnswers': 'Đang tải câu trả lời đã lưu…',
+  'resume.expired': 'Mã tiếp tục đó đã hết hạn. Vui lòng bắt đầu lại.',
+  'resume.notFound': 'Chúng tôi không tìm thấy câu trả lời cho mã đó.',
+
+  // Step 1 — address
+  'address.title': 'Địa chỉ bất động sản',
+  'address.desc': 'Nhập địa chỉ của bất động sản tại Giáo xứ Orleans, Louisiana.',
+  'address.label': 'Địa chỉ',
+  'address.placeholder': 'ví dụ: 720 Marengo St, New Orleans, LA 70115',
+  'address.errorEmpty': 'Vui lòng nhập địa chỉ.',
+  'address.errorZip': 'Mã bưu điện này không thuộc Giáo xứ Orleans.',
+  'address.errorNoCity': 'Vui lòng ghi mã bưu điện hoặc tên thành phố New Orleans để chúng tôi xác minh Giáo xứ Orleans.',
+  'address.useLocation': 'Dùng vị trí của tôi',
+  'address.locating': 'Đang tìm vị trí của bạn…',
+  'address.noneNearby': 'Chúng tôi không tìm thấy bất động sản nào tại vị trí của bạn. Vui lòng nhập địa chỉ.',
+  'address.locationFailed': 'Chúng tôi không tra cứu được vị trí của bạn. Vui lòng nhập địa chỉ.',
+  'address.alreadySigned': 'Thỏa thuận cho bất động sản này đã được ký, nên bạn không cần ký lại. Nếu có thay đổi, bạn vẫn có thể tiếp tục và nhân viên của chúng tôi sẽ liên lạc.',
+  'address.alreadySent': 'Thỏa thuận cho bất động sản này đã được gửi đi để ký. Nếu bạn là chủ nhà, hãy xem email để lấy đường dẫn DocuSign, hoặc tiếp tục và nhân viên của chúng tôi sẽ liên lạc.',
+
+  // Step 2 — filler
+  'filler.title': 'Thông tin của bạn',
+  'filler.desc': 'Cho chúng tôi biết ai đang điền mẫu đơn này.',
+
+  // Step 3 — ownership
+  'ownership.title': 'Quyền sở hữu',
+  'ownership.desc': 'Bạn sở hữu hay thuê bất động sản tại {address}?',
+  'ownership.own': 'Tôi là chủ sở hữu',
+  'ownership.rent': 'Tôi thuê nhà',
+
+  // Step 4 — property records
+  'records.title': 'Hồ sơ bất động sản',
+  'records.desc': 'Chúng tôi đã tra cứu hồ sơ công khai cho địa chỉ này.',
+  'records.searching': 'Đang tra cứu hồ sơ của Sở Thẩm định Giáo xứ Orleans…',
+  'records.searchingHint': 'Thường chỉ mất vài giây',
+  'records.confirmed': 'Hồ sơ xác nhận bạn là chủ sở hữu bất động sản',
+  'records.mismatch': 'Hồ sơ bất động sản không khớp với tên đã cung cấp',
+  'records.ownerEntity': 'Hồ sơ ghi chủ sở hữu là một công ty hoặc tổ chức',
+  'records.ownerTrust': 'Hồ sơ ghi chủ sở hữu là một quỹ tín thác',
+  'records.ownerEstate': 'Hồ sơ ghi chủ sở hữu là di sản của người đã mất',
+  'records.signingAuthority': 'Bạn có quyền ký cho bất động sản này không?',
+  'records.publicRecord': 'Chủ sở hữu — Hồ sơ công khai',
+  'records.owner': 'Chủ sở hữu',
+  'records.noOwnerData': 'Không thể hiển thị thông tin chủ sở hữu.',
+  'records.source': 'Nguồn: {source}',
+  'records.ownerNotFound': 'Không tìm thấy tên chủ sở hữu.',
+  'records.lookItUp': 'Bạn có thể tra cứu tại',
+  'records.beacon': 'Sở Thẩm định Giáo xứ Orleans (Beacon)',
+  'records.usingParcel': 'với Mã thửa đất:',
+  'records.propertyNotFound': 'Không tìm thấy bất động sản. Vui lòng kiểm tra lại địa chỉ.',
+  'records.editAddress': 'Sửa địa chỉ',
+  'lookup.unparseable': 'Không đọc được địa chỉ.',
+  'lookup.didYouMean': 'Không có kết quả khớp chính xác trong hồ sơ của Sở Thẩm định Giáo xứ Orleans. Có phải ý bạn là {suggestion}?',
+  'lookup.notFound': 'Không tìm thấy bất động sản nào tại địa chỉ này trong hồ sơ của Sở Thẩm định Giáo xứ Orleans.',
+  'lookup.failed': 'Tra cứu thất bại: {error}',
+  'lookup.unexpected': 'Đã xảy ra lỗi không mong muốn.',
+
+  // Step 4 — contacts
+  'contact.firstName': 'Tên',
+  'contact.lastName': 'Họ',
+  'contact.email': 'Email',
+  'contact.phone': 'Điện thoại',
+  'contact.yoursTitle': 'Thông tin liên lạc của bạn',
+  'contact.ownerTitle': 'Liên lạc của chủ nhà / chủ sở hữu',
+  'contact.ownerSubtitle': 'Vui lòng cung cấp thông tin liên lạc của người có quyền ký.',
+  'landlord.title': 'Liên lạc của chủ nhà / chủ sở hữu',
+  'landlord.desc': 'Vui lòng cung cấp thông tin liên lạc của chủ sở hữu hoặc chủ nhà cho thuê.',
+  'emailOwner.label': 'Gửi thỏa thuận cần ký qua email cho người này',
+  'emailOwner.hint': 'Họ sẽ nhận được đường dẫn DocuSign an toàn để xem và ký trên bất kỳ thiết bị nào.',
+
+  // Signing
+  'signing.how': 'Bạn muốn ký bằng cách nào?',
+  'signing.now': 'Ký ngay',
+  'signing.emailLink': 'Gửi đường dẫn qua email',
+  'signing.signDocument': 'Ký văn bản',
+  'signing.emailAgreement': 'Gửi thỏa thuận qua email',
+  'signing.tryAgain': 'Thử ký lại',
+  'signing.notCompleted': 'Chưa hoàn tất việc ký',
+  'signing.decline': 'Bạn đã từ chối ký văn bản.',
+  'signing.exception': 'Đã xảy ra lỗi trong khi ký.',
+  'signing.ttl_expired': 'Phiên ký đã hết hạn.',
+  'signing.cancel': 'Việc ký đã bị hủy.',
+  'signing.unknown': 'Việc ký kết thúc bất ngờ.',
+  'signing.saveFailed': 'Chúng tôi không lưu được câu trả lời của bạn. Vui lòng thử lại.',
+
+  // Done
+  'done.title': 'Cảm ơn bạn!',
+  'done.signed': 'Văn bản của bạn đã được ký và thông tin đã được lưu. Chúng tôi sẽ sớm liên lạc về các bước tiếp theo của Chương trình Giảm Chì.',
+  'done.emailed': 'Thông tin của bạn đã được lưu và thỏa thuận cần ký đã được gửi tới {email}. Có thể ký trên bất kỳ thiết bị nào.',
+  'done.saved': 'Thông tin của bạn đã được lưu. Chúng tôi sẽ sớm liên lạc về các nguồn hỗ trợ và bước tiếp theo.',
+  'done.queued': 'Câu trả lời của bạn đã được lưu trên thiết bị này và sẽ tự động gửi đi khi có kết nối trở lại. Chúng tôi sẽ sớm liên lạc về các nguồn hỗ trợ và bước tiếp theo.',
+  'done.queuedEmail': 'Câu trả lời của bạn đã được lưu trên thiết bị này. Khi có kết nối trở lại, câu trả lời sẽ được gửi đi và thỏa thuận cần ký sẽ được gửi qua email đến {email}.',
+
+  // Offline canvassing
+  'outbox.waitingOne': '1 mẫu đơn đang chờ gửi.',
+  'outbox.waitingMany': '{count} mẫu đơn đang chờ gửi.',
+  'outbox.hint': 'Các mẫu đơn được lưu trên thiết bị này và tự động gửi khi có sóng.',
+  'outbox.waiting': 'Đang chờ sóng',
+  'outbox.failed': 'Không được chấp nhận: {error}',
+  'outbox.uploadNow': 'Gửi ngay',
+  'outbox.uploading': 'Đang gửi…',
+  'outbox.show': 'Xem mẫu đơn',
+  'outbox.hide': 'Ẩn mẫu đơn',
+  'field.open': 'Đi vận động ở nơi không có sóng?',
+  'field.title': 'Chế độ thực địa.',
+  'field.desc': 'Lưu hồ sơ bất động sản quanh bạn để có thể tra cứu địa chỉ khi không có kết nối. Mẫu đơn điền khi không có kết nối sẽ được gửi khi thiết bị có kết nối trở lại.',
+  'field.none': 'Chưa lưu khu vực nào trên thiết bị này.',
+  'field.saved': 'Đã lưu {count} bất động sản lúc {date}.',
+  'field.savedPartial': 'Đã lưu {count} bất động sản lúc {date} — khu vực quá lớn nên không lưu được hết.',
+  'field.save': 'Lưu khu vực này',
+  'field.refresh': 'Lưu lại từ vị trí này',
+  'field.saving': 'Đang lưu…',
+  'field.clear': 'Xóa',
+  'field.noLocation': 'Không lấy được vị trí của thiết bị này. Hãy cho phép truy cập vị trí và thử lại.',
+  'field.saveFailed': 'Không tải được hồ sơ bất động sản. Hãy kiểm tra kết nối và thử lại.',
+
+  // Complaints — sign in
+  'login.title': 'Nhân viên đăng nhập',
+  'login.email': 'Email',
+  'login.password': 'Mật khẩu',
+  'login.signIn': 'Đăng nhập',
+  'login.signingIn': 'Đang đăng nhập…',
+  'login.hint': 'Hồ sơ khiếu nại chỉ dành cho nhân viên SWBNO và nhà thầu được giao việc.',
+
+  // Complaints — list
+  'tickets.title': 'Khiếu nại',
+  'tickets.count': '{shown} / {total}',
+  'tickets.new': 'Mới',
+  'tickets.loading': 'Đang tải khiếu nại…',
+  'tickets.loadError': 'Không tải được khiếu nại: {error}',
+  'tickets.noMatches': 'Không có khiếu nại nào khớp với bộ lọc đã chọn.',
+  'tickets.none': 'Chưa có khiếu nại nào.',
+  'tickets.assignedTitle': 'Khiếu nại được giao cho tôi',
+  'tickets.noneAssigned': 'Chưa có khiếu nại nào được giao cho đội của bạn.',
+  'tickets.updateFailed': 'Không cập nhật được {id}: {error}',
+  'filter.allStatuses': 'Mọi trạng thái',
+  'filter.allUrgency': 'Mọi mức khẩn',
+  'filter.allContractors': 'Mọi nhà thầu',
+  'filter.allDates': 'Mọi ngày',
+  'filter.today': 'Hôm nay',
+  'filter.3days': '3 ngày qua',
+  'filter.week': '7 ngày qua',
+  'filter.allSla': 'Mọi thời hạn',
+  'filter.clear': 'Xóa lọc',
+  'status.open': 'Mở',
+  'status.in-progress': 'Đang xử lý',
+  'status.escalated': 'Đã chuyển cấp',
+  'status.resolved': 'Đã giải quyết',
+  'status.closed': 'Đã đóng',
+  'urgency.high': 'Cao',
+  'urgency.medium': 'Trung bình',
+  'urgency.low': 'Thấp',
+  'sla.overdue': 'Quá hạn',
+  'sla.at-risk': 'Sắp quá hạn',
+  'sla.on-track': 'Đúng hạn',
+  'sla.met': 'Đạt thời hạn',
+  'sla.missed': 'Trễ thời hạn',
+  'sla.responseDue': 'Cần phản hồi trước {time}',
+  'sla.resolutionDue': 'Cần giải quyết trước {time}',
+  'category.meter': 'Đồng hồ nước',
+  'category.leak': 'Rò rỉ',
+  'category.water-quality': 'Chất lượng nước',
+  'category.lead': 'Ống dẫn chì',
+  'category.billing': 'Hóa đơn',
+  'category.construction': 'Thi công',
+  'category.other': 'Khác',
+  'crew.plumbing': 'Ống nước',
+  'crew.meter': 'Đồng hồ nước',
+  'crew.excavation': 'Đào đất',
+  'crew.restoration': 'Hoàn trả mặt bằng',
+  'crew.inspection': 'Kiểm tra',
+  'crew.general': 'Tổng hợp',
+
+  // Complaints — thread
+  'chat.caseClosed': 'Đã đóng hồ sơ',
+  'chat.closeCase': 'Đóng hồ sơ',
+  'chat.escalated': 'Đã chuyển cấp',
+  'chat.escalateCase': 'Chuyển cấp hồ sơ',
+  'chat.notSent': 'Chưa gửi được tin nhắn: {error}',
+  'chat.attachPhotos': 'Đính kèm ảnh',
+  'chat.postAs': 'Đăng tin nhắn này với tư cách',
+  'chat.asStaff': 'Nhân viên',
+  'chat.asResident': 'Cư dân',
+  'chat.placeholder': 'Nhập tin nhắn...',
+  'chat.logFrom': 'Ghi lại tin nhắn từ {name}...',
+  'chat.prefersLanguage': 'Cư dân muốn dùng {language}',
+  'chat.contractorPlaceholder': 'Trả lời nhân viên và cư dân...',
+  'chat.reportComplete': 'Báo cáo hoàn thành công việc',
+  'chat.completionNeedsPhotos': 'Đính kèm ảnh công việc đã xong để báo cáo hoàn thành.',
+  'chat.workReported': 'Đã báo cáo hoàn thành',
+  'assign.assign': 'Giao cho nhà thầu',
+  'assign.reassign': 'Giao lại',
+  'assign.loading': 'Đang tải danh sách nhà thầu…',
+  'assign.loadError': 'Không tải được danh sách nhà thầu: {error}',
+  'assign.none': 'Danh bạ chưa có nhà thầu nào.',
+  'assign.serves': 'Phục vụ {zip}',
+  'assign.unassign': 'Bỏ giao cho {name}',
+
+  // Complaints — contractor directory
+  'directory.open': 'Nhà thầu',
+  'directory.title': 'Danh bạ nhà thầu',
+  'directory.add': 'Thêm',
+  'directory.addTitle': 'Thêm nhà thầu',
+  'directory.editTitle': 'Sửa nhà thầu',
+  'directory.edit': 'Sửa',
+  'directory.name': 'Tên đội',
+  'directory.crewType': 'Loại đội',
+  'directory.serviceArea': 'Khu vực phục vụ',
+  'directory.serviceAreaHint': 'Các mã ZIP đội phụ trách, cách nhau bằng dấu phẩy. Để trống nếu phục vụ toàn thành phố.',
+  'directory.anyArea': 'Toàn thành phố',
+  'directory.phone': 'Điện thoại',
+  'directory.email': 'Email',
+  'directory.loginEmail': 'Tài khoản đăng nhập',
+  'directory.loginEmailHint': 'Email của tài khoản nhân viên có vai trò nhà thầu. Đội đăng nhập bằng tài khoản này để xem các khiếu nại được giao.',
+  'directory.signsInAs': 'Đăng nhập bằng {email}',
+  'directory.noLogin': 'Chưa liên kết tài khoản đăng nhập',
+  'directory.active': 'Đang hoạt động (có thể giao việc)',
+  'directory.inactive': 'Ngừng hoạt động',
+  'directory.save': 'Lưu',
+  'directory.saving': 'Đang lưu…',
+  'ai.generated': 'Do AI tạo',
+  'ai.generatedMessage': 'Tin nhắn do AI tạo',
+  'ai.imageAnalysis': 'Phân tích hình ảnh',
+
+  // Complaints — notifications
+  'notices.open': 'Thông báo',
+  'notices.title': 'Thông báo qua email và tin nhắn',
+  'notices.loading': 'Đang tải thông báo…',
+  'notices.loadError': 'Không tải được thông báo: {error}',
+  'notices.none': 'Chưa gửi thông báo nào cho khiếu nại này.',
+  'notices.email': 'Email',
+  'notices.sms': 'Tin nhắn',
+  'notices.template.ticket-received': 'Đã nhận khiếu nại',
+  'notices.template.ticket-assigned': 'Giao cho đội',
+  'notices.template.ticket-resolved': 'Đã giải quyết khiếu nại',
+  'notices.status.queued': 'Đang chờ',
+  'notices.status.sending': 'Đang gửi',
+  'notices.status.retrying': 'Đang thử lại',
+  'notices.status.sent': 'Đã gửi',
+  'notices.status.failed': 'Thất bại',
+  'history.open': 'Lịch sử',
+  'history.title': 'Ai đã thay đổi khiếu nại này và khi nào',
+  'history.loading': 'Đang tải lịch sử…',
+  'history.loadError': 'Không thể tải lịch sử: {error}',
+  'history.none': 'Chưa có thay đổi nào được ghi lại cho khiếu nại này.',
+  'history.action.created': 'Đã tạo khiếu nại',
+  'history.action.updated': 'Đã cập nhật khiếu nại',
+  'history.action.contractor-assigned': 'Đã giao cho đội thi công',
+  'history.action.contractor-unassigned': 'Đã hủy giao đội thi công',
+  'history.action.message-posted': 'Đã gửi tin nhắn',
+  'history.action.work-completed': 'Đã báo hoàn thành công việc',
+  'history.action.escalated': 'Tự động chuyển cấp',
+  'history.actor.resident': 'Cư dân',
+  'history.actor.docusign': 'DocuSign',
+  'history.actor.system': 'Hệ thống',
+
+  // Complaints — new
+  'newTicket.title': 'Khiếu nại mới',
+  'newTicket.address': 'Địa chỉ',
+  'newTicket.addressPlaceholder': 'ví dụ: 720 MARENGO ST',
+  'newTicket.customer': 'Tên khách hàng',
+  'newTicket.customerPlaceholder': 'Họ và tên',
+  'newTicket.customerEmail': 'Email của khách hàng',
+  'newTicket.customerPhone': 'Điện thoại của khách hàng',
+  'newTicket.contactHint': 'Không bắt buộc. Cư dân sẽ nhận xác nhận ngay và thông báo khi khiếu nại được giải quyết.',
+  'newTicket.language': 'Ngôn ngữ ưa dùng',
+  'newTicket.category': 'Loại khiếu nại',
+  'newTicket.urgency': 'Mức độ khẩn cấp',
+  'newTicket.message': 'Nội dung',
+  'newTicket.messagePlaceholder': 'Mô tả chi tiết khiếu nại...',
+  'newTicket.photo': 'Ảnh',
+  'newTicket.dateTime': 'Ngày & giờ',
+  'newTicket.create': 'Tạo khiếu nại',
+  'newTicket.creating': 'Đang tạo…',
+  'photos.upload': 'Bấm để tải ảnh lên',
+  'photos.hint': 'JPG, PNG, WebP tối đa 10MB · tối đa {max} ảnh',
+  'photos.uploading': 'Đang tải lên…',
+  'photos.remove': 'Xóa ảnh',
+});
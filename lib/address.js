@@ -0,0 +1,122 @@
+/**
+ * Street address parsing for parcel lookups.
+ *
+ * Residents type addresses every which way ("100 North Main Street Apt 2,
+ * New Orleans LA"); assessor records use "100 N MAIN ST". Both sides go
+ * through `parseAddress` so they can be compared component by component.
+ */
+
+const DIRECTIONS = {
+  N: 'N', NORTH: 'N',
+  S: 'S', SOUTH: 'S',
+  E: 'E', EAST: 'E',
+  W: 'W', WEST: 'W',
+  NE: 'NE', NORTHEAST: 'NE',
+  NW: 'NW', NORTHWEST: 'NW',
+  SE: 'SE', SOUTHEAST: 'SE',
+  SW: 'SW', SOUTHWEST: 'SW',
+};
+
+// USPS suffix abbreviations for the street types that occur in Orleans Parish
+const SUFFIXES = {
+  ST: 'ST', STREET: 'ST', STR: 'ST',
+  AVE: 'AVE', AVENUE: 'AVE', AV: 'AVE',
+  BLVD: 'BLVD', BOULEVARD: 'BLVD',
+  DR: 'DR', DRIVE: 'DR',
+  CT: 'CT', COURT: 'CT',
+  PL: 'PL', PLACE: 'PL',
+  LN: 'LN', LANE: 'LN',
+  RD: 'RD', ROAD: 'RD',
+  CIR: 'CIR', CIRCLE: 'CIR',
+  TER: 'TER', TERRACE: 'TER',
+  HWY: 'HWY', HIGHWAY: 'HWY',
+  PKWY: 'PKWY', PARKWAY: 'PKWY',
+  EXPY: 'EXPY', EXPRESSWAY: 'EXPY',
+  CRES: 'CRES', CRESCENT: 'CRES',
+  SQ: 'SQ', SQUARE: 'SQ',
+  WAY: 'WAY',
+  ALY: 'ALY', ALLEY: 'ALY',
+  PLZ: 'PLZ', PLAZA: 'PLZ',
+  WALK: 'WALK',
+  ROW: 'ROW',
+};
+
+// Words inside street names the assessor always abbreviates ("ST CHARLES AVE")
+const STREET_WORDS = { SAINT: 'ST', MOUNT: 'MT', FORT: 'FT' };
+
+const UNIT_PATTERN = /\s+(?:APT|APARTMENT|UNIT|STE|SUITE|BLDG|BUILDING|FL|FLOOR|RM|ROOM|#)\s*#?\s*([A-Z0-9-]+)$|\s*#\s*([A-Z0-9-]+)$/;
+const HOUSE_NUMBER_PATTERN = /^\d+(?:-\d+)?[A-Z]?$/;
+
+/**
+ * Split an address into { houseNumber, predir, street, suffix, unit } and a
+ * canonical `normalized` string (without the unit). Missing parts are null.
+ */
+function parseAddress(text) {
+  // City, state and ZIP are only stripped from the end so "LA SALLE ST" survives
+  let rest = String(text || '')
+    .toUpperCase()
+    .replace(/[\s,]+7\d{4}(?:-\d{4})?\s*$/, '')
+    .replace(/[\s,]+(?:LA|LOUISIANA)\s*$/, '')
+    .replace(/[\s,]+(?:NEW\s+ORLEANS|NOLA|ORLEANS\s+PARISH)\s*$/, '')
+    .replace(/[^A-Z0-9#\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let unit = null;
+  const unitMatch = rest.match(UNIT_PATTERN);
+  if (unitMatch) {
+    unit = unitMatch[1] || unitMatch[2];
+    rest = rest.slice(0, unitMatch.index).trim();
+  }
+
+  const tokens = rest.split(' ').filter(Boolean);
+  let houseNumber = null;
+  let predir = null;
+  let suffix = null;
+
+  if (tokens.length && HOUSE_NUMBER_PATTERN.test(tokens[0])) houseNumber = tokens.shift();
+  // Only a direction when something follows it ("N BROAD" yes, "100 NORTH" no)
+  if (tokens.length > 1 && DIRECTIONS[tokens[0]]) predir = DIRECTIONS[tokens.shift()];
+  if (tokens.length > 1 && SUFFIXES[tokens[tokens.length - 1]]) suffix = SUFFIXES[tokens.pop()];
+
+  const street = tokens.map(t => STREET_WORDS[t] || t).join(' ') || null;
+  const normalized = [houseNumber, predir, street, suffix].filter(Boolean).join(' ');
+
+  return { houseNumber, predir, street, suffix, unit, normalized };
+}
+
+// Street names compared by shared prefix so a partly typed "MAR" still ranks "MARENGO"
+function streetScore(query, candidate) {
+  if (!query || !candidate) return 0;
+  if (query === candidate) return 1;
+  if (candidate.startsWith(query)) return 0.5 + 0.5 * (query.length / candidate.length);
+  return 0;
+}
+
+/**
+ * Rank a parcel's site address against a parsed query. `trigramScore` is the
+ * pg_trgm word similarity Postgres already computed (0–1). A house number that
+ * doesn't match exactly halves the score, so "100 MAIN" no longer quietly
+ * lands on "1100 MAIN ST".
+ * Returns { score, exact, houseNumberMatch }.
+ */
+function scoreAddressMatch(query, siteAddress, trigramScore = 0) {
+  const candidate = parseAddress(siteAddress);
+  const houseNumberMatch = !!query.houseNumber && query.houseNumber === candidate.houseNumber;
+
+  let score = 0.35 * trigramScore
+    + 0.3 * (houseNumberMatch ? 1 : 0)
+    + 0.25 * streetScore(query.street, candidate.street)
+    + 0.05 * (query.predir === candidate.predir ? 1 : 0)
+    + 0.05 * (!query.suffix || query.suffix === candidate.suffix ? 1 : 0);
+  if (!query.houseNumber) score += 0.3 * trigramScore;   // nothing to match; lean on similarity
+  else if (!houseNumberMatch) score *= 0.5;
+
+  return {
+    score: Math.round(Math.min(1, score) * 1000) / 1000,
+    exact: !!query.normalized && query.normalized === candidate.normalized,
+    houseNumberMatch,
+  };
+}
+
+module.exports = { parseAddress, scoreAddressMatch };
@@ -0,0 +1,201 @@
+/**
+ * Staff authentication and role checks.
+ *
+ * Staff sign in with email + password (scrypt hashes in noleadnola_staff) and
+ * receive a JWT, returned in the response and set as an HttpOnly cookie so
+ * plain links (photos, PDFs) work from the dashboards. API clients can send the
+ * same token as `Authorization: Bearer <token>`.
+ *
+ * Residents filling out the questionnaire never log in. Creating a submission
+ * returns a short-lived submission token that only grants access to that one
+ * submission's signing routes.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseRequest } = require('./supabase');
+
+const ROLES = ['admin', 'outreach', 'contractor'];
+// Roles that work the submissions pipeline and the ticket dashboard
+const STAFF_ROLES = ['admin', 'outreach'];
+
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET;
+const SESSION_COOKIE = 'noleadnola_session';
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+const SUBMISSION_TOKEN_TTL = '2d';
+
+function isAuthConfigured() {
+  return !!AUTH_JWT_SECRET;
+}
+
+// ─── Passwords ───────────────────────────────────────────────────────────────
+
+// Stored as scrypt$<salt hex>$<hash hex>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ─── Tokens ──────────────────────────────────────────────────────────────────
+
+function signSessionToken(staff) {
+  return jwt.sign({ role: staff.role, scope: 'staff' }, AUTH_JWT_SECRET, {
+    subject: String(staff.id),
+    expiresIn: SESSION_TTL_SECONDS,
+  });
+}
+
+function signSubmissionToken(submissionId) {
+  return jwt.sign({ scope: 'submission' }, AUTH_JWT_SECRET, {
+    subject: String(submissionId),
+    expiresIn: SUBMISSION_TOKEN_TTL,
+  });
+}
+
+// Returns the decoded claims, or null when the token is missing, expired or forged
+function verifyToken(token, scope) {
+  if (!token || !AUTH_JWT_SECRET) return null;
+  try {
+    const claims = jwt.verify(token, AUTH_JWT_SECRET, { algorithms: ['HS256'] });
+    return claims.scope === scope ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function sessionCookie(token, req) {
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+  const attrs = [
+    `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${token ? SESSION_TTL_SECONDS : 0}`,
+  ];
+  if (secure) attrs.push('Secure');
+  return attrs.join('; ');
+}
+
+// ─── Staff Accounts ──────────────────────────────────────────────────────────
+
+const STAFF_FIELDS = 'id,email,name,role,active,last_login_at,created_at';
+
+function toStaff(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    active: row.active,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at,
+  };
+}
+
+async function findStaffByEmail(email) {
+  const [row] = await supabaseRequest(
+    `noleadnola_staff?email=eq.${encodeURIComponent(String(email).trim().toLowerCase())}&select=${STAFF_FIELDS},password_hash`
+  );
+  return row || null;
+}
+
+async function findStaffById(id) {
+  const [row] = await supabaseRequest(`noleadnola_staff?id=eq.${encodeURIComponent(id)}&select=${STAFF_FIELDS}`);
+  return row || null;
+}
+
+// ─── Middleware ──────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the signed-in staff member (if any) onto req.staff. The account is
+ * re-read on every request so deactivating someone or changing their role
+ * takes effect without waiting for their token to expire.
+ */
+async function authenticate(req, res, next) {
+  req.staff = null;
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  const claims = verifyToken(bearer || readCookie(req, SESSION_COOKIE), 'staff');
+  if (!claims) return next();
+
+  try {
+    const row = await findStaffById(claims.sub);
+    if (row && row.active) req.staff = toStaff(row);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// requireRole() with no arguments accepts any signed-in staff member
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!isAuthConfigured()) {
+      return res.status(503).json({ error: 'Authentication is not configured. Set AUTH_JWT_SECRET in .env.' });
+    }
+    if (!req.staff) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    if (roles.length && !roles.includes(req.staff.role)) {
+      return res.status(403).json({ error: 'You do not have access to this resource' });
+    }
+    next();
+  };
+}
+
+/**
+ * Signing routes are called by the resident's browser right after it creates
+ * the submission, so they accept that submission's token (X-Submission-Token)
+ * as well as staff. `getId(req)` returns the submission the request targets.
+ */
+function requireSubmissionAccess(getId = (req) => req.params.id) {
+  return (req, res, next) => {
+    if (!isAuthConfigured()) {
+      return res.status(503).json({ error: 'Authentication is not configured. Set AUTH_JWT_SECRET in .env.' });
+    }
+    if (req.staff && STAFF_ROLES.includes(req.staff.role)) return next();
+
+    const submissionId = getId(req);
+    const claims = verifyToken(req.headers['x-submission-token'], 'submission');
+    if (submissionId == null || !claims || claims.sub !== String(submissionId)) {
+      return res.status(req.staff ? 403 : 401).json({ error: 'Not authorized for this submission' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  STAFF_FIELDS,
+  isAuthConfigured,
+  hashPassword,
+  verifyPassword,
+  signSessionToken,
+  signSubmissionToken,
+  verifyToken,
+  sessionCookie,
+  toStaff,
+  findStaffByEmail,
+  findStaffById,
+  authenticate,
+  requireRole,
+  requireSubmissionAccess,
+};
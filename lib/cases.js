@@ -0,0 +1,226 @@
+/**
+ * Property cases: every submission for one property grouped together, so a
+ * resident who scans the QR code twice, or a renter and their landlord who both
+ * fill out the questionnaire, show up as one household with one status.
+ *
+ * A submission joins the open case for its parcel, else the one for its
+ * normalized address (renters have no parcel on the form), else starts a new
+ * case. Within a case, a submission that shares an email or phone number with
+ * an earlier one is flagged as its duplicate. Staff merge cases the matching
+ * missed (a misspelled address, two parcels for one building) with
+ * `mergePropertyCases`.
+ *
+ * A case's status is the furthest any of its submissions got:
+ *
+ *   signed     an agreement was signed
+ *   sent       an agreement is out for signature
+ *   declined   every agreement sent was declined or voided
+ *   referral   waiting on an owner or landlord a resident referred us to
+ *   submitted  questionnaires only
+ */
+
+const { supabaseRequest } = require('./supabase');
+const { parseAddress } = require('./address');
+const { toE164 } = require('./messaging');
+
+const CASE_STATUSES = ['submitted', 'referral', 'declined', 'sent', 'signed'];
+
+const ENDED_DOCUSIGN_STATUSES = ['decline', 'voided'];
+const REFERRAL_ROLES = ['owner_referral', 'landlord'];
+
+// Submission columns the case logic reads
+const CASE_SUBMISSION_FIELDS = 'id,address,parcel_id,case_id,duplicate_of,contact_keys,contact_role,docusign_envelope_id,docusign_status,submitted_at';
+
+function toPropertyCase(row) {
+  return {
+    id: row.id,
+    parcelId: row.parcel_id,
+    address: row.address,
+    status: row.status,
+    submissions: row.submissions,
+    mergedInto: row.merged_into,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// "100 North Main Street Apt 2" and "100 N MAIN ST" share a key; units are one property
+function addressKey(address) {
+  return parseAddress(address).normalized || null;
+}
+
+// Lowercased emails and E.164 phone numbers of everyone named on a submission
+function contactKeys(row) {
+  const emails = [row.filler_email, row.contact_email]
+    .map(e => String(e || '').trim().toLowerCase())
+    .filter(e => e.includes('@'));
+  const phones = [row.filler_phone, row.contact_phone].map(toE164).filter(Boolean);
+  return [...new Set([...emails, ...phones])];
+}
+
+function caseStatus(submissions) {
+  const statuses = submissions.map((s) => {
+    if (s.docusign_status === 'signing_complete') return 'signed';
+    if (s.docusign_envelope_id) return ENDED_DOCUSIGN_STATUSES.includes(s.docusign_status) ? 'declined' : 'sent';
+    return REFERRAL_ROLES.includes(s.contact_role) ? 'referral' : 'submitted';
+  });
+  return CASE_STATUSES.reduce((furthest, status) => (statuses.includes(status) ? status : furthest), 'submitted');
+}
+
+// The earliest other submission sharing an email or phone with `row`, or null
+function findDuplicate(row, others) {
+  const keys = new Set(row.contact_keys || []);
+  return others
+    .filter(o => o.id !== row.id && !o.duplicate_of && (o.contact_keys || []).some(k => keys.has(k)))
+    .sort((a, b) => a.id - b.id)[0] || null;
+}
+
+/**
+ * The open case for a parcel or address, preferring the parcel's. Either may
+ * be missing; returns null when neither matches. An address match never joins
+ * two parcels: units and lots can share a street address.
+ */
+async function findPropertyCase({ parcelId, address }) {
+  const key = addressKey(address);
+  const terms = [parcelId && `parcel_id.eq.${parcelId}`, key && `address_key.eq.${key}`].filter(Boolean);
+  if (!terms.length) return null;
+  const rows = await supabaseRequest(
+    `noleadnola_property_cases?merged_into=is.null&or=${encodeURIComponent(`(${terms.join(',')})`)}&order=id.asc&limit=10`
+  );
+  if (!parcelId) return rows[0] || null;
+  return rows.find(r => r.parcel_id === parcelId) || rows.find(r => !r.parcel_id) || null;
+}
+
+async function loadCaseSubmissions(caseId) {
+  return supabaseRequest(`noleadnola_submissions?case_id=eq.${caseId}&select=${CASE_SUBMISSION_FIELDS}&order=id.asc`);
+}
+
+/**
+ * Recompute a case's status and submission count from its submissions.
+ * Returns the updated case row.
+ */
+async function refreshPropertyCase(caseId) {
+  const submissions = await loadCaseSubmissions(caseId);
+  const [row] = await supabaseRequest(`noleadnola_property_cases?id=eq.${caseId}`, {
+    method: 'PATCH',
+    body: { status: caseStatus(submissions), submissions: submissions.length, updated_at: new Date().toISOString() },
+  });
+  return row;
+}
+
+async function createPropertyCase({ parcelId, address }) {
+  try {
+    const [row] = await supabaseRequest('noleadnola_property_cases', {
+      method: 'POST',
+      body: { parcel_id: parcelId || null, address_key: addressKey(address), address },
+    });
+    return row;
+  } catch (err) {
+    // Another submission for the same parcel created it first
+    if (err.status !== 409) throw err;
+    return findPropertyCase({ parcelId, address });
+  }
+}
+
+/**
+ * File a saved submission row under its property case, flag it if it
+ * duplicates an earlier submission there, and refresh the case's status.
+ * Returns { propertyCase, duplicateOf }.
+ */
+async function assignPropertyCase(submission) {
+  const parcelId = submission.parcel_id || null;
+  let propertyCase = await findPropertyCase({ parcelId, address: submission.address })
+    || await createPropertyCase({ parcelId, address: submission.address });
+
+  // A case started by a renter learns its parcel from the owner's submission
+  if (parcelId && !propertyCase.parcel_id) {
+    [propertyCase] = await supabaseRequest(`noleadnola_property_cases?id=eq.${propertyCase.id}`, {
+      method: 'PATCH',
+      body: { parcel_id: parcelId, updated_at: new Date().toISOString() },
+    });
+  }
+
+  const keys = contactKeys(submission);
+  const duplicate = findDuplicate({ id: submission.id, contact_keys: keys }, await loadCaseSubmissions(propertyCase.id));
+  await supabaseRequest(`noleadnola_submissions?id=eq.${submission.id}`, {
+    method: 'PATCH',
+    body: { case_id: propertyCase.id, contact_keys: keys, duplicate_of: duplicate ? duplicate.id : null },
+  });
+
+  return { propertyCase: await refreshPropertyCase(propertyCase.id), duplicateOf: duplicate ? duplicate.id : null };
+}
+
+/**
+ * Move every submission in case `sourceId` into case `targetId` and close the
+ * source (merged_into points at the target, so old links still resolve).
+ * Moved submissions are checked for duplicates against the target's.
+ * Returns the updated target case row.
+ */
+async function mergePropertyCases(targetId, sourceId) {
+  const moving = await loadCaseSubmissions(sourceId);
+  const staying = await loadCaseSubmissions(targetId);
+
+  for (const row of moving) {
+    const duplicate = row.duplicate_of ? null : findDuplicate(row, staying);
+    await supabaseRequest(`noleadnola_submissions?id=eq.${row.id}`, {
+      method: 'PATCH',
+      body: { case_id: targetId, ...(duplicate && { duplicate_of: duplicate.id }) },
+    });
+    staying.push({ ...row, duplicate_of: row.duplicate_of || (duplicate && duplicate.id) });
+  }
+
+  await supabaseRequest(`noleadnola_property_cases?id=eq.${sourceId}`, {
+    method: 'PATCH',
+    body: { merged_into: targetId, submissions: 0, updated_at: new Date().toISOString() },
+  });
+  // Anything already merged into the source now points at the target
+  await supabaseRequest(`noleadnola_property_cases?merged_into=eq.${sourceId}`, {
+    method: 'PATCH',
+    body: { merged_into: targetId, updated_at: new Date().toISOString() },
+  });
+  return refreshPropertyCase(targetId);
+}
+
+/**
+ * Open cases that may be the same household as `caseRow`: the same address
+ * key, or a submission sharing an email or phone with one of its submissions.
+ */
+async function findMatchingCases(caseRow, submissions) {
+  const keys = [...new Set(submissions.flatMap(s => s.contact_keys || []))];
+  const [byAddress, byContact] = await Promise.all([
+    caseRow.address_key
+      ? supabaseRequest(`noleadnola_property_cases?merged_into=is.null&address_key=eq.${encodeURIComponent(caseRow.address_key)}&id=neq.${caseRow.id}`)
+      : [],
+    keys.length
+      ? supabaseRequest(
+        `noleadnola_submissions?contact_keys=ov.${encodeURIComponent(`{${keys.map(k => `"${k}"`).join(',')}}`)}`
+        + `&case_id=neq.${caseRow.id}&select=case_id`
+      )
+      : [],
+  ]);
+
+  const contactCaseIds = [...new Set(byContact.map(s => s.case_id).filter(Boolean))]
+    .filter(id => !byAddress.some(c => c.id === id));
+  const byContactCases = contactCaseIds.length
+    ? await supabaseRequest(`noleadnola_property_cases?merged_into=is.null&id=in.(${contactCaseIds.join(',')})`)
+    : [];
+
+  return [
+    ...byAddress.map(c => ({ ...toPropertyCase(c), reason: 'address' })),
+    ...byContactCases.map(c => ({ ...toPropertyCase(c), reason: 'contact' })),
+  ];
+}
+
+module.exports = {
+  CASE_STATUSES,
+  toPropertyCase,
+  addressKey,
+  contactKeys,
+  caseStatus,
+  findPropertyCase,
+  loadCaseSubmissions,
+  refreshPropertyCase,
+  assignPropertyCase,
+  mergePropertyCases,
+  findMatchingCases,
+};
@@ -0,0 +1,136 @@
+/**
+ * Audit trail: who changed what, and when.
+ *
+ * Routes that change a submission, ticket, property case, contractor, staff
+ * account or SLA policy append a row to noleadnola_events, which refuses
+ * updates and deletes (see create-submissions-table.sql). Each row records
+ *
+ *   actor    a staff member, the resident holding a submission link, DocuSign
+ *            Connect, or the server's own schedulers (system)
+ *   before   the fields that changed, as they were (null for something new)
+ *   after    the same fields afterwards (null for something removed)
+ *   request  method, path, client address, user agent and request ID
+ *
+ * plus optional `details` (the DocuSign event, the deadline an escalation
+ * missed). Staff read them back as a timeline per submission or ticket.
+ *
+ * The change has already been made by the time it is recorded, so a failed
+ * write is logged and swallowed rather than failing the request.
+ */
+
+const { supabaseRequest } = require('./supabase');
+
+const EVENT_ENTITY_TYPES = ['submission', 'ticket', 'property_case', 'contractor', 'staff', 'sla_policy'];
+
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'System', role: null };
+const DOCUSIGN_ACTOR = { type: 'docusign', id: null, name: 'DocuSign Connect', role: null };
+
+// The signed-in staff member, else the resident (the questionnaire and signing links need no login)
+function actorFor(req) {
+  if (req && req.staff) {
+    return { type: 'staff', id: String(req.staff.id), name: req.staff.email, role: req.staff.role };
+  }
+  return { type: 'resident', id: null, name: null, role: null };
+}
+
+function requestMetadata(req) {
+  if (!req) return null;
+  return {
+    method: req.method,
+    // Without the query string: signing redirects carry a submission token there
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip || null,
+    // As sent by the proxy in front of us (Vercel); not verified
+    forwardedFor: req.get('x-forwarded-for') || null,
+    userAgent: req.get('user-agent') || null,
+    requestId: req.get('x-request-id') || req.get('x-vercel-id') || null,
+  };
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Bumped by every write, so it would turn up in every diff; created_at already dates the event
+const UNAUDITED_FIELDS = ['updated_at'];
+
+/**
+ * The keys of `after` whose values differ from `before`, as { before, after }
+ * holding just those keys; `before` stays null when there was nothing before.
+ * Rows can be passed whole. Returns null when nothing changed.
+ */
+function diffFields(before, after) {
+  const keys = Object.keys(after || {})
+    .filter(key => !UNAUDITED_FIELDS.includes(key) && !sameValue(before?.[key], after[key]));
+  if (!keys.length) return null;
+  return {
+    before: before ? Object.fromEntries(keys.map(key => [key, before[key] ?? null])) : null,
+    after: Object.fromEntries(keys.map(key => [key, after[key] ?? null])),
+  };
+}
+
+/**
+ * Append one event. `actor` defaults to whoever made `req`; pass SYSTEM_ACTOR
+ * or DOCUSIGN_ACTOR for work nobody signed in for.
+ */
+async function recordEvent({ entityType, entityId, action, req = null, actor = actorFor(req), before = null, after = null, details = null }) {
+  try {
+    await supabaseRequest('noleadnola_events', {
+      method: 'POST',
+      headers: { 'Prefer': 'return=minimal' },
+      body: {
+        entity_type: entityType,
+        entity_id: String(entityId),
+        action,
+        actor_type: actor.type,
+        actor_id: actor.id,
+        actor_name: actor.name,
+        actor_role: actor.role,
+        before,
+        after,
+        details,
+        request: requestMetadata(req),
+      },
+    });
+  } catch (err) {
+    console.error(`[Audit] Could not record ${entityType} ${entityId} ${action}:`, err.message);
+  }
+}
+
+// recordEvent with only the fields that changed; records nothing when none did
+async function recordChange({ before, after, ...event }) {
+  const changed = diffFields(before, after);
+  if (changed) await recordEvent({ ...event, ...changed });
+}
+
+function toEvent(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    actor: { type: row.actor_type, id: row.actor_id, name: row.actor_name, role: row.actor_role },
+    before: row.before,
+    after: row.after,
+    details: row.details,
+    request: row.request,
+    createdAt: row.created_at,
+  };
+}
+
+// Everything recorded for one submission, ticket, etc., oldest first
+async function loadTimeline(entityType, entityId) {
+  const rows = await supabaseRequest(
+    `noleadnola_events?entity_type=eq.${entityType}&entity_id=eq.${encodeURIComponent(String(entityId))}&order=id.asc`
+  );
+  return rows.map(toEvent);
+}
+
+module.exports = {
+  EVENT_ENTITY_TYPES,
+  SYSTEM_ACTOR,
+  DOCUSIGN_ACTOR,
+  actorFor,
+  requestMetadata,
+  diffFields,
+  recordEvent,
+  recordChange,
+  toEvent,
+  loadTimeline,
+};
@@ -0,0 +1,181 @@
+/**
+ * Planar polygon helpers for parcel shapes.
+ *
+ * Parcels are small enough that lng/lat can be treated as flat x/y: the
+ * centroid and the scanline used for point-on-surface don't change under the
+ * uniform east–west stretch a proper projection would apply.
+ *
+ * Rings arrive ArcGIS-style — one flat list of [x, y] rings, outer boundaries
+ * and holes mixed, orientation not guaranteed (importer files come from all
+ * sorts of tools) — so holes are found by containment, not winding order.
+ */
+
+// Signed shoelace area of a closed ring, measured from its first vertex to
+// keep the products small
+function ringArea(ring) {
+  const [ox, oy] = ring[0];
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += (ring[i][0] - ox) * (ring[i + 1][1] - oy) - (ring[i + 1][0] - ox) * (ring[i][1] - oy);
+  }
+  return sum / 2;
+}
+
+// Area-weighted centroid of a ring as { x, y, area } (area signed like ringArea)
+function ringCentroid(ring) {
+  const [ox, oy] = ring[0];
+  let cx = 0, cy = 0, sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const x0 = ring[i][0] - ox, y0 = ring[i][1] - oy;
+    const x1 = ring[i + 1][0] - ox, y1 = ring[i + 1][1] - oy;
+    const cross = x0 * y1 - x1 * y0;
+    sum += cross;
+    cx += (x0 + x1) * cross;
+    cy += (y0 + y1) * cross;
+  }
+  const area = sum / 2;
+  if (area === 0) return { x: ox, y: oy, area: 0 };
+  return { x: ox + cx / (6 * area), y: oy + cy / (6 * area), area };
+}
+
+// Ray casting; points exactly on an edge may land either way
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function pointInPolygon(pt, polygon) {
+  return pointInRing(pt, polygon[0]) && !polygon.slice(1).some(hole => pointInRing(pt, hole));
+}
+
+// Reverse a ring when its winding doesn't match `counterClockwise`
+function orient(ring, counterClockwise) {
+  return (ringArea(ring) > 0) === counterClockwise ? ring : [...ring].reverse();
+}
+
+/**
+ * Group flat rings into polygons ([outer, ...holes]) with GeoJSON winding:
+ * outer rings counter-clockwise, holes clockwise. Rings that aren't closed,
+ * have fewer than 4 points or no area are dropped. A ring inside another
+ * polygon's outer ring is one of its holes, unless it sits inside one of that
+ * polygon's holes — then it's an island and gets its own polygon.
+ */
+function toPolygons(rings) {
+  const usable = (rings || [])
+    .filter(ring => Array.isArray(ring) && ring.length >= 4)
+    .map(ring => ring.map(pt => [pt[0], pt[1]]))
+    .filter(ring => {
+      const first = ring[0], last = ring[ring.length - 1];
+      return first[0] === last[0] && first[1] === last[1] && ringArea(ring) !== 0;
+    })
+    .sort((a, b) => Math.abs(ringArea(b)) - Math.abs(ringArea(a)));
+
+  const polygons = [];
+  for (const ring of usable) {
+    // Largest rings come first, so the last match is the tightest enclosing outer
+    const parent = polygons.filter(p => pointInRing(ring[0], p[0])).pop();
+    if (parent && !parent.slice(1).some(hole => pointInRing(ring[0], hole))) {
+      parent.push(orient(ring, false));
+    } else {
+      polygons.push([orient(ring, true)]);
+    }
+  }
+  return polygons;
+}
+
+function polygonArea(polygon) {
+  return polygon.reduce((sum, ring, i) => sum + (i === 0 ? 1 : -1) * Math.abs(ringArea(ring)), 0);
+}
+
+// Area-weighted centroid over every part, holes subtracted
+function areaCentroid(polygons) {
+  let x = 0, y = 0, total = 0;
+  for (const polygon of polygons) {
+    polygon.forEach((ring, i) => {
+      const c = ringCentroid(ring);
+      const weight = (i === 0 ? 1 : -1) * Math.abs(c.area);
+      x += c.x * weight;
+      y += c.y * weight;
+      total += weight;
+    });
+  }
+  return total > 0 ? [x / total, y / total] : null;
+}
+
+/**
+ * A point guaranteed to be inside the largest part: cast a horizontal line
+ * through the middle of its bounding box and take the midpoint of the widest
+ * stretch that lies inside. Used when the centroid of an L-shaped lot or a lot
+ * with a hole falls outside the parcel.
+ */
+function pointOnSurface(polygons) {
+  const largest = polygons.reduce((best, p) => (polygonArea(p) > polygonArea(best) ? p : best));
+  const ys = largest[0].map(pt => pt[1]);
+  const y = (Math.min(...ys) + Math.max(...ys)) / 2;
+
+  const xs = [];
+  for (const ring of largest) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[i + 1];
+      if ((y0 > y) !== (y1 > y)) xs.push(x0 + ((y - y0) * (x1 - x0)) / (y1 - y0));
+    }
+  }
+  xs.sort((a, b) => a - b);
+
+  let best = null;
+  for (let i = 0; i + 1 < xs.length; i += 2) {
+    if (!best || xs[i + 1] - xs[i] > best[1] - best[0]) best = [xs[i], xs[i + 1]];
+  }
+  return best ? [(best[0] + best[1]) / 2, y] : largest[0][0];
+}
+
+/**
+ * Work out a parcel's shape from ArcGIS rings ([lng, lat] vertices).
+ * Returns { geometry, centroid, outerRing } — a GeoJSON Polygon or
+ * MultiPolygon, an interior [lng, lat] label point, and the outer ring of the
+ * largest part — or null when no ring encloses any area.
+ */
+function parcelShape(rings) {
+  const polygons = toPolygons(rings);
+  if (!polygons.length) return null;
+
+  let centroid = areaCentroid(polygons);
+  if (!centroid || !polygons.some(p => pointInPolygon(centroid, p))) centroid = pointOnSurface(polygons);
+
+  const largest = polygons.reduce((best, p) => (polygonArea(p) > polygonArea(best) ? p : best));
+  return {
+    geometry: polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons },
+    centroid,
+    outerRing: largest[0],
+  };
+}
+
+const EARTH_RADIUS_M = 6371008.8;
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Great-circle distance in meters between two [lng, lat] points
+function distanceMeters([lng1, lat1], [lng2, lat2]) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Lat/lng box that contains every point within `radius` meters of [lng, lat] —
+// a cheap prefilter on the centroid columns before the exact distance check
+function boundsAround([lng, lat], radius) {
+  const dLat = radius / METERS_PER_DEGREE_LAT;
+  const dLng = radius / (METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180));
+  return { south: lat - dLat, north: lat + dLat, west: lng - dLng, east: lng + dLng };
+}
+
+module.exports = { ringArea, pointInRing, pointInPolygon, toPolygons, parcelShape, distanceMeters, boundsAround };
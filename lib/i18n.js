@@ -0,0 +1,18 @@
+/**
+ * Languages the resident-facing pages are translated into.
+ *
+ * The catalogs live with the pages (i18n/*.js); the server only needs the
+ * codes, to store a resident's preferred language on submissions and tickets
+ * and to pick the DocuSign template written in that language.
+ */
+
+const LANGUAGES = ['en', 'es', 'vi'];
+const DEFAULT_LANGUAGE = 'en';
+
+// 'es', 'ES', 'es-MX' → 'es'; anything we don't translate → null
+function normalizeLanguage(value) {
+  const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.includes(code) ? code : null;
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage };
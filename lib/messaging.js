@@ -0,0 +1,167 @@
+/**
+ * Outbound email and SMS transports for notifications.
+ *
+ * Each channel has its own transport, picked with EMAIL_TRANSPORT and
+ * SMS_TRANSPORT. By default email goes over SMTP once SMTP_HOST is set and SMS
+ * through Twilio once TWILIO_ACCOUNT_SID is set; until then both fall back to
+ * the outbox, which writes each message to NOTIFY_OUTBOX_DIR as a JSON file (or
+ * to the console when that isn't set) so dev and test runs never contact anyone.
+ *
+ * Transport interface:
+ *   send({ to, subject, text }) → Promise<{ providerId }>
+ *
+ * send throws on failure. The error has `permanent` set when a retry can't
+ * succeed (a rejected address, a number that can't take texts).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function deliveryError(message, { permanent = false } = {}) {
+  const err = new Error(message);
+  err.permanent = permanent;
+  return err;
+}
+
+// US numbers as +1XXXXXXXXXX; anything already in +E.164 passes through. null if unusable.
+function toE164(phone) {
+  const raw = String(phone || '').trim();
+  if (/^\+[1-9]\d{7,14}$/.test(raw.replace(/[\s().-]/g, ''))) return raw.replace(/[\s().-]/g, '');
+  const digits = raw.replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+function createSmtpTransport({ host, port, secure, user, pass, from }) {
+  // Only loaded when SMTP is actually used
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text }) {
+      try {
+        const info = await transporter.sendMail({ from, to, subject, text });
+        if (info.rejected && info.rejected.length) {
+          throw deliveryError(`Recipient rejected: ${info.rejected.join(', ')}`, { permanent: true });
+        }
+        return { providerId: info.messageId || null };
+      } catch (err) {
+        if (err.permanent !== undefined) throw err;
+        // 5xx SMTP replies are final; connection errors and 4xx are worth retrying
+        throw deliveryError(err.message, { permanent: err.responseCode >= 500 });
+      }
+    },
+  };
+}
+
+function createTwilioTransport({ accountSid, authToken, from, messagingServiceSid }) {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    name: 'twilio',
+
+    async send({ to, text }) {
+      const number = toE164(to);
+      if (!number) throw deliveryError(`Not a textable phone number: ${to}`, { permanent: true });
+
+      const form = new URLSearchParams({ To: number, Body: text });
+      if (messagingServiceSid) form.set('MessagingServiceSid', messagingServiceSid);
+      else form.set('From', from);
+
+      let resp;
+      try {
+        resp = await fetch(url, { method: 'POST', headers: { Authorization: authorization }, body: form });
+      } catch (err) {
+        throw deliveryError(`Twilio unreachable: ${err.message}`);
+      }
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        // 4xx means Twilio refused this message (bad number, opted out); only 429 and 5xx are worth retrying
+        const permanent = resp.status >= 400 && resp.status < 500 && resp.status !== 429;
+        throw deliveryError(`Twilio ${resp.status}: ${data.message || 'request failed'}`, { permanent });
+      }
+      return { providerId: data.sid || null };
+    },
+  };
+}
+
+function createOutboxTransport({ channel, dir }) {
+  return {
+    name: 'outbox',
+
+    async send({ to, subject, text }) {
+      const providerId = `outbox-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const message = { id: providerId, channel, to, subject: subject || null, text, createdAt: new Date().toISOString() };
+      if (dir) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `${providerId}.json`), JSON.stringify(message, null, 2));
+      } else {
+        console.log(`[Outbox] ${channel} to ${to}${subject ? ` — ${subject}` : ''}\n${text}`);
+      }
+      return { providerId };
+    },
+  };
+}
+
+const outbox = (channel) => createOutboxTransport({
+  channel,
+  dir: process.env.NOTIFY_OUTBOX_DIR ? path.resolve(process.env.NOTIFY_OUTBOX_DIR) : null,
+});
+
+const TRANSPORTS = {
+  email: {
+    smtp: () => createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.NOTIFY_EMAIL_FROM || 'SWBNO Lead Service Line Program <noreply@swbno.org>',
+    }),
+    outbox: () => outbox('email'),
+  },
+  sms: {
+    twilio: () => createTwilioTransport({
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_FROM_NUMBER,
+      messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+    }),
+    outbox: () => outbox('sms'),
+  },
+};
+
+const DEFAULT_DRIVERS = {
+  email: () => (process.env.SMTP_HOST ? 'smtp' : 'outbox'),
+  sms: () => (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'outbox'),
+};
+
+const transports = {};
+
+function getTransport(channel) {
+  if (!transports[channel]) {
+    if (!TRANSPORTS[channel]) throw new Error(`Unknown notification channel: ${channel}`);
+    const driver = process.env[`${channel.toUpperCase()}_TRANSPORT`] || DEFAULT_DRIVERS[channel]();
+    if (!TRANSPORTS[channel][driver]) throw new Error(`Unknown ${channel.toUpperCase()}_TRANSPORT: ${driver}`);
+    transports[channel] = TRANSPORTS[channel][driver]();
+  }
+  return transports[channel];
+}
+
+module.exports = {
+  toE164,
+  getTransport,
+  createSmtpTransport,
+  createTwilioTransport,
+  createOutboxTransport,
+};
@@ -0,0 +1,175 @@
+/**
+ * Notification templates: what the program sends residents, landlords and
+ * contractors, in each language residents can pick.
+ *
+ * A template has an email subject and body plus a short SMS body. Placeholders
+ * are written {name} and filled from the variables given to
+ * `renderNotification`. A language without its own copy of a template gets
+ * the English one.
+ *
+ *   landlord-invite     owner or landlord a resident referred us to
+ *   submission-receipt  the resident who filled in the questionnaire
+ *   signing-reminder    a signer whose emailed agreement is still unsigned
+ *   ticket-received     resident who filed a complaint
+ *   ticket-assigned     contractor crew a complaint was assigned to
+ *   ticket-resolved     resident, when their complaint is resolved
+ */
+
+const { DEFAULT_LANGUAGE } = require('./i18n');
+
+const SIGN_OFF = {
+  en: 'Sewerage & Water Board of New Orleans — Lead Reduction Program',
+  es: 'Junta de Alcantarillado y Agua de Nueva Orleans — Programa de Reducción de Plomo',
+  vi: 'Sở Cấp Thoát Nước New Orleans — Chương trình Giảm Chì',
+};
+
+const TEMPLATES = {
+  'landlord-invite': {
+    en: {
+      subject: 'Lead service line replacement at {address}',
+      text: 'Hello {name},\n\n{residentName} asked the Sewerage & Water Board to contact you about {address}. '
+        + 'The Lead Reduction Program replaces lead water service lines at no cost to the property owner, '
+        + 'but we need the owner\'s signed permission before a crew can start.\n\n'
+        + 'Fill out the short questionnaire to get started: {link}',
+      sms: 'SWBNO: {residentName} asked us to contact you about replacing the lead water line at {address} at no cost. Get started: {link}',
+    },
+    es: {
+      subject: 'Reemplazo de la tubería de plomo en {address}',
+      text: 'Hola {name}:\n\n{residentName} pidió a la Junta de Alcantarillado y Agua que le contactara sobre {address}. '
+        + 'El Programa de Reducción de Plomo reemplaza las tuberías de agua de plomo sin costo para el propietario, '
+        + 'pero necesitamos el permiso firmado del propietario antes de que un equipo pueda comenzar.\n\n'
+        + 'Complete el breve cuestionario para comenzar: {link}',
+      sms: 'SWBNO: {residentName} nos pidió contactarle para reemplazar sin costo la tubería de plomo en {address}. Comience aquí: {link}',
+    },
+    vi: {
+      subject: 'Thay đường ống nước bằng chì tại {address}',
+      text: 'Xin chào {name},\n\n{residentName} đã nhờ Sở Cấp Thoát Nước liên lạc với bạn về {address}. '
+        + 'Chương trình Giảm Chì thay đường ống nước bằng chì miễn phí cho chủ nhà, '
+        + 'nhưng chúng tôi cần chủ nhà ký giấy cho phép trước khi đội thi công bắt đầu.\n\n'
+        + 'Điền bảng câu hỏi ngắn để bắt đầu: {link}',
+      sms: 'SWBNO: {residentName} nhờ chúng tôi liên lạc với bạn để thay miễn phí ống nước bằng chì tại {address}. Bắt đầu: {link}',
+    },
+  },
+
+  'submission-receipt': {
+    en: {
+      subject: 'We received your information (reference #{reference})',
+      text: 'Hello {name},\n\nThank you for filling out the Lead Reduction Program questionnaire for {address}. '
+        + 'Your reference number is #{reference}. We\'ll be in touch soon with next steps.',
+      sms: 'SWBNO: Thank you! We received your questionnaire for {address} (reference #{reference}). We\'ll be in touch soon.',
+    },
+    es: {
+      subject: 'Recibimos su información (referencia n.º {reference})',
+      text: 'Hola {name}:\n\nGracias por completar el cuestionario del Programa de Reducción de Plomo para {address}. '
+        + 'Su número de referencia es {reference}. Pronto nos comunicaremos con los próximos pasos.',
+      sms: 'SWBNO: ¡Gracias! Recibimos su cuestionario para {address} (referencia n.º {reference}). Pronto nos comunicaremos.',
+    },
+    vi: {
+      subject: 'Chúng tôi đã nhận thông tin của bạn (số tham chiếu #{reference})',
+      text: 'Xin chào {name},\n\nCảm ơn bạn đã điền bảng câu hỏi của Chương trình Giảm Chì cho {address}. '
+        + 'Số tham chiếu của bạn là #{reference}. Chúng tôi sẽ sớm liên lạc về các bước tiếp theo.',
+      sms: 'SWBNO: Cảm ơn bạn! Chúng tôi đã nhận bảng câu hỏi cho {address} (số tham chiếu #{reference}). Chúng tôi sẽ sớm liên lạc.',
+    },
+  },
+
+  'signing-reminder': {
+    en: {
+      subject: 'Reminder: your agreement for {address} is waiting for your signature',
+      text: 'Hello {name},\n\nThe lead service line replacement agreement for {address} still needs your signature. '
+        + 'Look for the email from DocuSign sent to {email} — it can be signed from any device. '
+        + 'A crew can only be scheduled once the agreement is signed.',
+      sms: 'SWBNO reminder: the lead line agreement for {address} still needs your signature. Check your email ({email}) for the DocuSign link.',
+    },
+    es: {
+      subject: 'Recordatorio: su acuerdo para {address} espera su firma',
+      text: 'Hola {name}:\n\nEl acuerdo de reemplazo de la tubería de plomo para {address} todavía necesita su firma. '
+        + 'Busque el correo de DocuSign enviado a {email}; se puede firmar desde cualquier dispositivo. '
+        + 'Solo podemos programar un equipo cuando el acuerdo esté firmado.',
+      sms: 'Recordatorio de SWBNO: el acuerdo de la tubería de plomo para {address} todavía necesita su firma. Busque el enlace de DocuSign en su correo ({email}).',
+    },
+    vi: {
+      subject: 'Nhắc nhở: thỏa thuận cho {address} đang chờ bạn ký',
+      text: 'Xin chào {name},\n\nThỏa thuận thay đường ống nước bằng chì cho {address} vẫn cần chữ ký của bạn. '
+        + 'Hãy tìm email từ DocuSign gửi tới {email} — có thể ký trên bất kỳ thiết bị nào. '
+        + 'Chúng tôi chỉ có thể xếp lịch cho đội thi công sau khi thỏa thuận được ký.',
+      sms: 'SWBNO nhắc nhở: thỏa thuận ống nước bằng chì cho {address} vẫn cần bạn ký. Hãy xem email ({email}) để lấy đường dẫn DocuSign.',
+    },
+  },
+
+  'ticket-received': {
+    en: {
+      subject: 'Complaint {ticketId} received',
+      text: 'Hello {name},\n\nWe received your complaint about {address}. Your case number is {ticketId}. '
+        + 'A member of our staff will follow up with you.',
+      sms: 'SWBNO: We received your complaint about {address}. Case number {ticketId}.',
+    },
+    es: {
+      subject: 'Queja {ticketId} recibida',
+      text: 'Hola {name}:\n\nRecibimos su queja sobre {address}. Su número de caso es {ticketId}. '
+        + 'Un miembro de nuestro personal se comunicará con usted.',
+      sms: 'SWBNO: Recibimos su queja sobre {address}. Número de caso {ticketId}.',
+    },
+    vi: {
+      subject: 'Đã nhận khiếu nại {ticketId}',
+      text: 'Xin chào {name},\n\nChúng tôi đã nhận khiếu nại của bạn về {address}. Số hồ sơ của bạn là {ticketId}. '
+        + 'Nhân viên của chúng tôi sẽ liên lạc lại với bạn.',
+      sms: 'SWBNO: Chúng tôi đã nhận khiếu nại của bạn về {address}. Số hồ sơ {ticketId}.',
+    },
+  },
+
+  // Crews work in English
+  'ticket-assigned': {
+    en: {
+      subject: 'New assignment: {ticketId} at {address}',
+      text: 'Hello {name},\n\nComplaint {ticketId} at {address} ({category}, {urgency} urgency) has been assigned to your crew. '
+        + 'Sign in to see the details, reply and post photos: {link}',
+      sms: 'SWBNO: {ticketId} at {address} ({urgency} urgency) was assigned to your crew. Details: {link}',
+    },
+  },
+
+  'ticket-resolved': {
+    en: {
+      subject: 'Complaint {ticketId} resolved',
+      text: 'Hello {name},\n\nYour complaint {ticketId} about {address} has been resolved. '
+        + 'If the problem comes back, reply to this message or call us and mention your case number.',
+      sms: 'SWBNO: Your complaint {ticketId} about {address} has been resolved. If the problem returns, contact us with your case number.',
+    },
+    es: {
+      subject: 'Queja {ticketId} resuelta',
+      text: 'Hola {name}:\n\nSu queja {ticketId} sobre {address} fue resuelta. '
+        + 'Si el problema vuelve, responda a este mensaje o llámenos e indique su número de caso.',
+      sms: 'SWBNO: Su queja {ticketId} sobre {address} fue resuelta. Si el problema vuelve, contáctenos con su número de caso.',
+    },
+    vi: {
+      subject: 'Khiếu nại {ticketId} đã được giải quyết',
+      text: 'Xin chào {name},\n\nKhiếu nại {ticketId} của bạn về {address} đã được giải quyết. '
+        + 'Nếu sự cố xảy ra lại, hãy trả lời tin nhắn này hoặc gọi cho chúng tôi và cho biết số hồ sơ.',
+      sms: 'SWBNO: Khiếu nại {ticketId} của bạn về {address} đã được giải quyết. Nếu sự cố xảy ra lại, hãy liên lạc với chúng tôi kèm số hồ sơ.',
+    },
+  },
+};
+
+const NOTIFICATION_TEMPLATES = Object.keys(TEMPLATES);
+
+function fill(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (vars[key] != null ? String(vars[key]) : match));
+}
+
+/**
+ * The template in `language` (or English) with `vars` filled in:
+ * { language, subject, text, sms }. `language` is the one actually used.
+ */
+function renderNotification(template, language, vars = {}) {
+  const copies = TEMPLATES[template];
+  if (!copies) throw new Error(`Unknown notification template: ${template}`);
+  const lang = copies[language] ? language : DEFAULT_LANGUAGE;
+  const copy = copies[lang];
+  return {
+    language: lang,
+    subject: fill(copy.subject, vars),
+    text: `${fill(copy.text, vars)}\n\n${SIGN_OFF[lang]}`,
+    sms: fill(copy.sms, vars),
+  };
+}
+
+module.exports = { NOTIFICATION_TEMPLATES, renderNotification };
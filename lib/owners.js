@@ -0,0 +1,276 @@
+/**
+ * Matching a resident's name against assessor owner names.
+ *
+ * The assessor writes owners as "LAST FIRST MIDDLE", several to a field
+ * ("SMITH JOHN & MARY", "SMITH JOHN ETUX"), and often not as people at all
+ * ("123 MAIN LLC", "SMITH FAMILY TRUST", "DOE JOHN EST"). `parseOwnerName`
+ * turns one owner field into { kind, people }, and `matchOwner` compares a
+ * first/last name against every person on the record.
+ *
+ * The result carries a reason code so staff can see *why* something matched
+ * (or didn't) before relying on it for signing authority:
+ *
+ *   name_exact            last and first name both match
+ *   name_variant          first name is a nickname or shortened form (BILL / WILLIAM)
+ *   initial_match         the record only has a first initial
+ *   compound_last_name    one side of a hyphenated/compound last name matches
+ *   name_order_swapped    matched with the record read FIRST LAST
+ *   trust_named_person    the person is named in a trust that owns the property
+ *   estate_of_person      the owner is the estate of this person (deceased)
+ *   estate_family_member  same last name as the person whose estate owns it
+ *   last_name_only        same last name, different first name (family member?)
+ *   owner_is_entity       an LLC, company, church, agency … owns the property
+ *   owner_is_trust        a trust owns the property and doesn't name this person
+ *   no_match              nobody on the record has this name
+ *   no_owner_record       the assessor record has no owner name
+ *   no_name_given         the resident's first or last name is missing
+ */
+
+// Names at or above this confidence count as the owner
+const MATCH_THRESHOLD = 0.7;
+
+const ENTITY_WORDS = new Set([
+  'LLC', 'INC', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'LP', 'LLP', 'LTD', 'PARTNERSHIP', 'PARTNERS',
+  'PROPERTIES', 'PROPERTY', 'INVESTMENTS', 'INVESTMENT', 'HOLDINGS', 'ENTERPRISES', 'GROUP', 'DEVELOPMENT',
+  'REALTY', 'VENTURES', 'ASSOCIATES', 'ASSOCIATION', 'FOUNDATION', 'CHURCH', 'MINISTRIES', 'BANK', 'AUTHORITY',
+  'CITY', 'PARISH', 'STATE', 'BOARD', 'DISTRICT', 'UNIVERSITY', 'SCHOOL', 'CONDOMINIUM', 'CONDO', 'HOA',
+]);
+const TRUST_WORDS = new Set(['TRUST', 'TR', 'TRS', 'TRUSTEE', 'TRUSTEES']);
+const ESTATE_WORDS = new Set(['EST', 'ESTATE', 'SUCCESSION', 'SUCC', 'HEIRS', 'DECEASED', 'DEC']);
+// "and wife", "and husband", "and others" — a spouse or co-owners not named on the record
+const CO_OWNER_WORDS = new Set(['ETUX', 'ETVIR', 'ETAL', 'ETALS']);
+const SUFFIX_WORDS = new Set(['JR', 'SR', 'II', 'III', 'IV', 'V', 'MD', 'DDS', 'ESQ']);
+const FILLER_WORDS = new Set(['THE', 'OF', 'UA', 'DTD', 'DATED', 'REVOCABLE', 'IRREVOCABLE', 'LIVING', 'FAMILY']);
+// Lead-ins that belong to the last name: "DE LA CRUZ MARIA", "VAN BUREN ANN"
+const LAST_NAME_PARTICLES = new Set(['DE', 'DEL', 'DELA', 'LA', 'LE', 'DU', 'DI', 'DA', 'VAN', 'VON', 'ST', 'MC', 'MAC']);
+
+// Common English nicknames and shortened forms, both directions checked
+const NICKNAMES = {
+  WILLIAM: ['BILL', 'BILLY', 'WILL', 'WILLIE', 'LIAM'],
+  ROBERT: ['BOB', 'BOBBY', 'ROB', 'ROBBIE', 'BERT'],
+  RICHARD: ['RICK', 'RICKY', 'DICK', 'RICH'],
+  JAMES: ['JIM', 'JIMMY', 'JAMIE'],
+  JOHN: ['JACK', 'JOHNNY'],
+  JOSEPH: ['JOE', 'JOEY'],
+  THOMAS: ['TOM', 'TOMMY'],
+  CHARLES: ['CHARLIE', 'CHUCK'],
+  EDWARD: ['ED', 'EDDIE', 'TED', 'NED'],
+  ELIZABETH: ['LIZ', 'BETH', 'BETTY', 'LIZZIE', 'ELIZA', 'BETSY'],
+  MARGARET: ['MAGGIE', 'PEGGY', 'MEG', 'MARGIE'],
+  KATHERINE: ['KATE', 'KATHY', 'KATIE', 'KAY'],
+  CATHERINE: ['CATHY', 'KATE', 'CATE'],
+  PATRICIA: ['PAT', 'PATTY', 'TRISH'],
+  DOROTHY: ['DOT', 'DOTTIE'],
+  DEBORAH: ['DEB', 'DEBBIE'],
+  ANTHONY: ['TONY'],
+  LAWRENCE: ['LARRY'],
+  ALEXANDER: ['ALEX'],
+  ALBERT: ['AL', 'BERT'],
+  ALFRED: ['AL', 'FRED'],
+  ANDREW: ['ANDY', 'DREW'],
+  ARTHUR: ['ART'],
+  BENJAMIN: ['BEN', 'BENNY'],
+  CHRISTOPHER: ['CHRIS'],
+  CHRISTINE: ['CHRIS', 'TINA'],
+  CHRISTINA: ['CHRIS', 'TINA'],
+  DANIEL: ['DAN', 'DANNY'],
+  DAVID: ['DAVE'],
+  DOUGLAS: ['DOUG'],
+  GREGORY: ['GREG'],
+  JEFFREY: ['JEFF'],
+  JENNIFER: ['JEN', 'JENNY'],
+  JONATHAN: ['JON'],
+  KENNETH: ['KEN', 'KENNY'],
+  KIMBERLY: ['KIM'],
+  MATTHEW: ['MATT'],
+  NATHANIEL: ['NATE', 'NAT'],
+  PAMELA: ['PAM'],
+  PHILIP: ['PHIL'],
+  REBECCA: ['BECKY'],
+  SUSAN: ['SUE', 'SUSIE'],
+  TIMOTHY: ['TIM'],
+  FREDERICK: ['FRED', 'FREDDIE'],
+  GERALD: ['JERRY'],
+  HAROLD: ['HAL', 'HARRY'],
+  HENRY: ['HANK', 'HARRY'],
+  LEONARD: ['LEN', 'LENNY', 'LEO'],
+  MICHAEL: ['MIKE', 'MIKEY'],
+  NICHOLAS: ['NICK'],
+  RAYMOND: ['RAY'],
+  RONALD: ['RON', 'RONNIE'],
+  DONALD: ['DON', 'DONNIE'],
+  SAMUEL: ['SAM', 'SAMMY'],
+  STEPHEN: ['STEVE'],
+  STEVEN: ['STEVE'],
+  TERRENCE: ['TERRY'],
+  VICTORIA: ['VICKI', 'VICKY', 'TORI'],
+  VIRGINIA: ['GINNY', 'GINGER'],
+};
+
+function cleanTokens(text) {
+  return String(text || '')
+    .toUpperCase()
+    .replace(/\bET\s+(UX|VIR|AL|ALS)\b/g, 'ET$1')
+    .replace(/\bL\s*L\s*C\b/g, 'LLC')
+    .replace(/&/g, ' & ')
+    .replace(/[^A-Z0-9&'\-\s]/g, ' ')
+    .replace(/'/g, '')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Whether a later owner group names its own surname ("& JONES MARY") rather than sharing
+// the first person's ("& MARY", "& MARY B"): it repeats that surname, opens with a particle,
+// or has a second word that isn't an initial
+function startsWithSurname(words, sharedLast) {
+  if (words[0] === sharedLast.split(' ')[0] || LAST_NAME_PARTICLES.has(words[0])) return true;
+  return words.slice(1).some(w => w.length > 1);
+}
+
+// A person from "LAST FIRST MIDDLE" tokens; single letters after the first name are initials
+function personFromTokens(tokens, { lastFirst = true, sharedLast = null } = {}) {
+  const words = tokens.filter(t => !SUFFIX_WORDS.has(t) && !CO_OWNER_WORDS.has(t) && !FILLER_WORDS.has(t));
+  if (!words.length) return null;
+  if (sharedLast && !startsWithSurname(words, sharedLast)) return { last: sharedLast, first: words[0] };
+  if (words.length === 1) return { last: words[0], first: null };
+  if (!lastFirst) return { last: words[words.length - 1], first: words[0] };
+
+  let lastLength = 1;
+  while (lastLength < words.length - 1 && LAST_NAME_PARTICLES.has(words[lastLength - 1])) lastLength++;
+  return { last: words.slice(0, lastLength).join(' '), first: words[lastLength] };
+}
+
+/**
+ * Parse one assessor owner field.
+ * Returns { kind: 'person' | 'entity' | 'trust' | 'estate', people: [{ first, last }] }.
+ * Entities have no people; trusts and estates keep the people they name.
+ */
+function parseOwnerName(raw) {
+  const tokens = cleanTokens(raw);
+  if (!tokens.length) return { kind: 'person', people: [] };
+
+  // Trusts first: "SMITH PROPERTY TRUST" is still a trust
+  const kind = tokens.some(t => TRUST_WORDS.has(t)) ? 'trust'
+    : tokens.some(t => ENTITY_WORDS.has(t) || /^\d/.test(t)) ? 'entity'
+    : tokens.some(t => ESTATE_WORDS.has(t)) ? 'estate'
+    : 'person';
+  if (kind === 'entity') return { kind, people: [] };
+
+  const nameTokens = tokens.filter(t => !TRUST_WORDS.has(t) && !ESTATE_WORDS.has(t));
+  const groups = [];
+  let current = [];
+  for (const t of nameTokens) {
+    if (t === '&' || t === 'AND') {
+      if (current.length) groups.push(current);
+      current = [];
+    } else {
+      current.push(t);
+    }
+  }
+  if (current.length) groups.push(current);
+
+  // "SMITH JOHN & MARY B": later groups without a surname of their own share the first person's
+  const people = [];
+  for (const group of groups) {
+    const person = personFromTokens(group, { sharedLast: people[0]?.last });
+    if (person) people.push(person);
+  }
+  return { kind, people };
+}
+
+function lastNameParts(last) {
+  return String(last || '').split(/[-\s]+/).filter(Boolean);
+}
+
+function compareLast(given, recorded) {
+  const a = lastNameParts(given);
+  const b = lastNameParts(recorded);
+  if (!a.length || !b.length) return 'none';
+  if (a.join('') === b.join('')) return 'exact';
+  return a.some(part => part.length > 1 && !LAST_NAME_PARTICLES.has(part) && b.includes(part)) ? 'partial' : 'none';
+}
+
+function compareFirst(given, recorded) {
+  if (!given || !recorded) return 'none';
+  if (given === recorded) return 'exact';
+  if (recorded.length === 1 || given.length === 1) return given[0] === recorded[0] ? 'initial' : 'none';
+  const nicknames = (name) => [name, ...(NICKNAMES[name] || []), ...Object.keys(NICKNAMES).filter(k => NICKNAMES[k].includes(name))];
+  // Only known forms: a bare prefix would make DAN the owner DANIELLE
+  return nicknames(given).includes(recorded) ? 'variant' : 'none';
+}
+
+// How well one parsed name fits one person on the record: { confidence, reason }
+function scorePerson(first, last, person) {
+  const lastMatch = compareLast(last, person.last);
+  const firstMatch = compareFirst(first, person.first);
+  if (lastMatch === 'exact') {
+    if (firstMatch === 'exact') return { confidence: 0.95, reason: 'name_exact' };
+    if (firstMatch === 'variant') return { confidence: 0.85, reason: 'name_variant' };
+    if (firstMatch === 'initial') return { confidence: 0.75, reason: 'initial_match' };
+    return { confidence: 0.4, reason: 'last_name_only' };
+  }
+  if (lastMatch === 'partial') {
+    if (firstMatch === 'exact' || firstMatch === 'variant') return { confidence: 0.8, reason: 'compound_last_name' };
+    return { confidence: 0.3, reason: 'last_name_only' };
+  }
+  return { confidence: 0, reason: 'no_match' };
+}
+
+function scoreOwner(first, last, owner, raw) {
+  let best = { confidence: 0, reason: 'no_match' };
+  const consider = (result) => { if (result.confidence > best.confidence) best = result; };
+
+  for (const person of owner.people) consider(scorePerson(first, last, person));
+  // Some records are written FIRST LAST ("JOHN SMITH LIVING TRUST")
+  const swapped = personFromTokens(cleanTokens(raw).filter(t => !TRUST_WORDS.has(t) && !ESTATE_WORDS.has(t) && t !== '&'), { lastFirst: false });
+  if (swapped && owner.people.length) {
+    const result = scorePerson(first, last, swapped);
+    if (result.confidence >= MATCH_THRESHOLD) consider({ confidence: result.confidence - 0.1, reason: 'name_order_swapped' });
+  }
+
+  if (owner.kind === 'trust') {
+    return best.confidence >= MATCH_THRESHOLD
+      ? { confidence: Math.min(best.confidence, 0.75), reason: 'trust_named_person' }
+      : { confidence: 0.1, reason: 'owner_is_trust' };
+  }
+  if (owner.kind === 'estate') {
+    // The named person has died; whoever signs needs succession papers
+    if (best.confidence >= MATCH_THRESHOLD) return { confidence: 0.5, reason: 'estate_of_person' };
+    if (best.reason === 'last_name_only') return { confidence: 0.35, reason: 'estate_family_member' };
+    return best;
+  }
+  return best;
+}
+
+/**
+ * Compare a resident's name with the owner fields on an assessor record
+ * (owner_name1, owner_name2). Returns { match, confidence, reason }: `match`
+ * is true/false, or null when there was nothing to compare.
+ */
+function matchOwner({ firstName, lastName }, ownerNames) {
+  const first = cleanTokens(firstName)[0] || null;
+  const last = cleanTokens(lastName).join(' ') || null;
+  const names = (ownerNames || []).map(n => String(n || '').trim()).filter(Boolean);
+
+  if (!names.length) return { match: null, confidence: 0, reason: 'no_owner_record' };
+  if (!first || !last) return { match: null, confidence: 0, reason: 'no_name_given' };
+
+  const owners = names.map(raw => ({ raw, ...parseOwnerName(raw) }));
+  let best = null;
+  for (const owner of owners) {
+    const result = owner.kind === 'entity'
+      ? { confidence: 0, reason: 'owner_is_entity' }
+      : scoreOwner(first, last, owner, owner.raw);
+    if (!best || result.confidence > best.confidence) best = result;
+  }
+  // With nothing close, say why: an all-entity record is more useful than "no match"
+  if (best.confidence === 0 && owners.every(o => o.kind === 'entity')) best = { confidence: 0, reason: 'owner_is_entity' };
+
+  return {
+    match: best.confidence >= MATCH_THRESHOLD,
+    confidence: Math.round(best.confidence * 100) / 100,
+    reason: best.reason,
+  };
+}
+
+module.exports = { MATCH_THRESHOLD, parseOwnerName, matchOwner };
@@ -0,0 +1,99 @@
+/**
+ * Assessor parcel rows shared by the import scripts.
+ *
+ * Both the ArcGIS download and the offline importer go through
+ * `transformFeature`, so a parcel looks the same in noleadnola_parcels
+ * whichever way it got there.
+ */
+
+const crypto = require('crypto');
+const { parcelShape } = require('./geometry');
+
+// Assessor attributes we keep, as named by the gis.nola.gov parcel layer
+const ARCGIS_FIELDS = [
+  'OBJECTID', 'SITEADDRESS', 'OWNERNME1', 'OWNERNME2', 'PARCELID', 'CLASSDSCRP', 'PRPRTYDSCRP',
+  'RESYRBLT', 'RESFLRAREA', 'ASS_SQFT', 'ASS_DIMS', 'LNDVALUE', 'CNTASSDVAL', 'CNTTXBLVAL',
+  'TAXBILLID', 'BLOCK', 'LOT',
+];
+
+const UPSERT_BATCH = 500; // Supabase upsert batch size
+const UPSERT_RETRIES = 3;
+
+/**
+ * Transform an ArcGIS feature ({ attributes, geometry: { rings } } with
+ * WGS84 [lng, lat] vertices) into a noleadnola_parcels row. `geometry` keeps
+ * every part and hole as GeoJSON; `polygon_coords` is the outer ring of the
+ * largest part as [lat, lng] for callers that only draw one ring.
+ */
+function transformFeature(feature) {
+  const a = feature.attributes;
+  let centroid_lat = null, centroid_lng = null, polygon_coords = null, geometry = null;
+
+  const shape = feature.geometry ? parcelShape(feature.geometry.rings) : null;
+  if (shape) {
+    [centroid_lng, centroid_lat] = shape.centroid;
+    polygon_coords = shape.outerRing.map(pt => [pt[1], pt[0]]);
+    geometry = shape.geometry;
+  }
+
+  return {
+    id: a.OBJECTID,
+    site_address: a.SITEADDRESS || null,
+    owner_name1: a.OWNERNME1 || null,
+    owner_name2: a.OWNERNME2 || null,
+    parcel_id: a.PARCELID || null,
+    property_type: a.CLASSDSCRP || null,
+    property_desc: a.PRPRTYDSCRP || null,
+    year_built: a.RESYRBLT || null,
+    living_area: a.RESFLRAREA || null,
+    lot_sqft: a.ASS_SQFT != null ? String(a.ASS_SQFT) : null,
+    lot_dims: a.ASS_DIMS || null,
+    land_value: a.LNDVALUE || null,
+    assessed_value: a.CNTASSDVAL || null,
+    taxable_value: a.CNTTXBLVAL || null,
+    tax_bill_id: a.TAXBILLID || null,
+    block: a.BLOCK || null,
+    lot: a.LOT || null,
+    centroid_lat,
+    centroid_lng,
+    polygon_coords,
+    geometry,
+  };
+}
+
+// Hash of everything we store for a parcel, used to skip unchanged rows
+function withHash(row) {
+  const { id, ...attributes } = row;
+  const attr_hash = crypto.createHash('sha256').update(JSON.stringify(attributes)).digest('hex');
+  return { ...row, attr_hash, retired_at: null };
+}
+
+/**
+ * Upsert rows into noleadnola_parcels in batches, retrying transient errors.
+ * `supabase` is a supabase-js client created with the service key.
+ */
+async function upsertParcels(supabase, rows) {
+  let upserted = 0;
+  for (let i = 0; i < rows.length; i += UPSERT_BATCH) {
+    const batch = rows.slice(i, i + UPSERT_BATCH);
+    for (let attempt = 1; attempt <= UPSERT_RETRIES; attempt++) {
+      const { error } = await supabase
+        .from('noleadnola_parcels')
+        .upsert(batch, { onConflict: 'id' });
+      if (!error) {
+        upserted += batch.length;
+        break;
+      }
+      if (attempt === UPSERT_RETRIES) {
+        console.error(`  Upsert failed after ${UPSERT_RETRIES} retries:`, error.message.slice(0, 200));
+        throw error;
+      }
+      const wait = attempt * 10000;
+      console.log(`    Upsert retry ${attempt}/${UPSERT_RETRIES} in ${wait/1000}s: ${error.message.slice(0, 100)}`);
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+  return upserted;
+}
+
+module.exports = { ARCGIS_FIELDS, transformFeature, withHash, upsertParcels };
@@ -0,0 +1,73 @@
+/**
+ * Photo processing for complaint evidence uploads.
+ *
+ * Every upload is decoded and re-encoded as JPEG. Re-encoding drops all
+ * EXIF/XMP metadata — including GPS coordinates from residents' phones —
+ * after the EXIF orientation has been applied to the pixels.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 5;
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'heif'];
+const MAX_DIMENSION = 2560;   // longest edge of the stored full-size image
+const THUMBNAIL_SIZE = 320;   // longest edge of the thumbnail
+
+function unsupported(message) {
+  const err = new Error(message);
+  err.status = 415;
+  return err;
+}
+
+/**
+ * Validate and normalize an uploaded image.
+ * Returns the cleaned full-size JPEG, a thumbnail and the final dimensions.
+ */
+async function processPhoto(buffer) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    throw unsupported('File is not a readable image');
+  }
+  if (!ACCEPTED_FORMATS.includes(meta.format)) {
+    throw unsupported(`Unsupported image type: ${meta.format}. Use JPG, PNG or WebP.`);
+  }
+
+  let image, info;
+  try {
+    // rotate() with no arguments applies the EXIF orientation; metadata is not carried over
+    ({ data: image, info } = await sharp(buffer)
+      .rotate()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 85, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true }));
+  } catch {
+    throw unsupported(`Could not decode ${meta.format} image`);
+  }
+
+  const thumbnail = await sharp(image)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+
+  return { image, thumbnail, width: info.width, height: info.height };
+}
+
+// photos/2026/02/3f9c….jpg — date folders keep directories small
+function photoStorageKeys() {
+  const now = new Date();
+  const dir = `photos/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  const name = crypto.randomBytes(12).toString('hex');
+  return { key: `${dir}/${name}.jpg`, thumbnailKey: `${dir}/${name}_thumb.jpg` };
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  processPhoto,
+  photoStorageKeys,
+};
@@ -0,0 +1,90 @@
+/**
+ * Service-level targets for complaint tickets.
+ *
+ * A policy says how long staff have to first respond to a ticket and to
+ * resolve it, for one urgency and one category (or 'any' category). Policies
+ * live in noleadnola_sla_policies; DEFAULT_SLA_POLICIES covers urgencies with
+ * no row there. A ticket's deadlines are fixed when it is created, or when staff
+ * change its urgency or category, by counting from created_at.
+ *
+ * `slaStatus` reports where a ticket stands against whichever deadline is
+ * running — the response deadline until someone replies, then the resolution
+ * deadline:
+ *
+ *   on-track   before the last AT_RISK_SHARE of the window
+ *   at-risk    in the last AT_RISK_SHARE of the window
+ *   overdue    past the deadline and still open
+ *   met        resolved or closed by the resolution deadline
+ *   missed     resolved or closed after it
+ *   none       no deadlines (tickets created before SLAs, or no policy)
+ */
+
+const SLA_ANY_CATEGORY = 'any';
+
+const DEFAULT_SLA_POLICIES = [
+  { category: SLA_ANY_CATEGORY, urgency: 'high', firstResponseMinutes: 4 * 60, resolutionMinutes: 24 * 60 },
+  { category: SLA_ANY_CATEGORY, urgency: 'medium', firstResponseMinutes: 24 * 60, resolutionMinutes: 5 * 24 * 60 },
+  { category: SLA_ANY_CATEGORY, urgency: 'low', firstResponseMinutes: 2 * 24 * 60, resolutionMinutes: 10 * 24 * 60 },
+];
+
+// The last quarter of a window counts as at risk
+const AT_RISK_SHARE = 0.25;
+
+const FINISHED_STATUSES = ['resolved', 'closed'];
+
+function toSlaPolicy(row) {
+  return {
+    category: row.category,
+    urgency: row.urgency,
+    firstResponseMinutes: row.first_response_minutes,
+    resolutionMinutes: row.resolution_minutes,
+    updatedAt: row.updated_at,
+  };
+}
+
+// The category's own policy, else the 'any' policy for the urgency, else the built-in default
+function findSlaPolicy(policies, { category, urgency }) {
+  return policies.find(p => p.category === category && p.urgency === urgency)
+    || policies.find(p => p.category === SLA_ANY_CATEGORY && p.urgency === urgency)
+    || DEFAULT_SLA_POLICIES.find(p => p.urgency === urgency)
+    || null;
+}
+
+// Column values for a ticket's deadlines under `policy`
+function slaDeadlines(policy, createdAt) {
+  if (!policy) return { response_due_at: null, resolution_due_at: null };
+  const start = new Date(createdAt).getTime();
+  return {
+    response_due_at: new Date(start + policy.firstResponseMinutes * 60000).toISOString(),
+    resolution_due_at: new Date(start + policy.resolutionMinutes * 60000).toISOString(),
+  };
+}
+
+/**
+ * Where a ticket row stands: { state, deadline, dueAt, atRiskAt }. `deadline`
+ * is 'response' or 'resolution'; dueAt and atRiskAt let the dashboard move a
+ * ticket from on-track to at-risk to overdue without asking the server again.
+ */
+function slaStatus(row, now = new Date()) {
+  if (!row.response_due_at || !row.resolution_due_at) {
+    return { state: 'none', deadline: null, dueAt: null, atRiskAt: null };
+  }
+
+  if (FINISHED_STATUSES.includes(row.status)) {
+    const finishedAt = new Date(row.resolved_at || row.updated_at);
+    const state = finishedAt <= new Date(row.resolution_due_at) ? 'met' : 'missed';
+    return { state, deadline: 'resolution', dueAt: row.resolution_due_at, atRiskAt: null };
+  }
+
+  const deadline = row.first_response_at ? 'resolution' : 'response';
+  const due = new Date(deadline === 'response' ? row.response_due_at : row.resolution_due_at);
+  const start = new Date(row.created_at);
+  const atRisk = new Date(due.getTime() - (due - start) * AT_RISK_SHARE);
+  const state = now >= due ? 'overdue' : now >= atRisk ? 'at-risk' : 'on-track';
+  return { state, deadline, dueAt: due.toISOString(), atRiskAt: atRisk.toISOString() };
+}
+
+module.exports = {
+  SLA_ANY_CATEGORY, DEFAULT_SLA_POLICIES, AT_RISK_SHARE,
+  toSlaPolicy, findSlaPolicy, slaDeadlines, slaStatus,
+};
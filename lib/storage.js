@@ -0,0 +1,155 @@
+/**
+ * File storage for uploaded photos and archived documents.
+ *
+ * Callers only deal in storage keys (e.g. "photos/2026/02/ab12cd.jpg"); the
+ * adapter decides where the bytes live. STORAGE_DRIVER picks one of ADAPTERS:
+ *
+ *   local     a directory on this machine (UPLOAD_DIR), for local dev
+ *   supabase  a private Supabase Storage bucket (SUPABASE_STORAGE_BUCKET),
+ *             required on Vercel, whose filesystem is read-only
+ *
+ * Adapter interface:
+ *   save(key, buffer, contentType) → Promise<void>
+ *   read(key)                      → Promise<{ buffer, contentType } | null>
+ *   remove(key)                    → Promise<void>
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+};
+
+// Keys are generated by the server, but never let one escape the storage root
+function assertSafeKey(key) {
+  if (!key || key.includes('..') || path.isAbsolute(key) || key.includes('\\')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+function createLocalStorage({ root }) {
+  const resolve = (key) => {
+    assertSafeKey(key);
+    return path.join(root, key);
+  };
+
+  return {
+    driver: 'local',
+    root,
+
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async read(key) {
+      try {
+        const buffer = await fs.promises.readFile(resolve(key));
+        const contentType = CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+        return { buffer, contentType };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+// Objects in a Supabase Storage bucket, written and read with the service key
+function createSupabaseStorage({ url, serviceKey, bucket }) {
+  const objectUrl = (key) => {
+    assertSafeKey(key);
+    return `${url}/storage/v1/object/${encodeURIComponent(bucket)}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  };
+  const headers = { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` };
+
+  async function fail(resp, action, key) {
+    throw new Error(`Storage ${action} ${key} failed (${resp.status}): ${await resp.text()}`);
+  }
+  // Storage answers a missing object with 404, or 400 and a not_found body
+  async function isMissing(resp) {
+    if (resp.status === 404) return true;
+    return resp.status === 400 && /not.?found/i.test(await resp.clone().text());
+  }
+
+  return {
+    driver: 'supabase',
+
+    async save(key, buffer, contentType) {
+      const resp = await fetch(objectUrl(key), {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': contentType || 'application/octet-stream', 'x-upsert': 'true' },
+        body: buffer,
+      });
+      if (!resp.ok) await fail(resp, 'upload of', key);
+    },
+
+    async read(key) {
+      const resp = await fetch(objectUrl(key), { headers });
+      if (await isMissing(resp)) return null;
+      if (!resp.ok) await fail(resp, 'download of', key);
+      const contentType = CONTENT_TYPES[path.extname(key).toLowerCase()] || resp.headers.get('content-type') || 'application/octet-stream';
+      return { buffer: Buffer.from(await resp.arrayBuffer()), contentType };
+    },
+
+    async remove(key) {
+      const resp = await fetch(objectUrl(key), { method: 'DELETE', headers });
+      if (!resp.ok && !(await isMissing(resp))) await fail(resp, 'delete of', key);
+    },
+  };
+}
+
+// Outside the app directory by default, which the local server serves as static files
+function defaultUploadRoot() {
+  const dataHome = process.env.XDG_DATA_HOME || process.env.LOCALAPPDATA || path.join(os.homedir(), '.local', 'share');
+  return path.join(dataHome, 'leadlines-flow', 'uploads');
+}
+
+const ADAPTERS = {
+  local: () => createLocalStorage({ root: path.resolve(process.env.UPLOAD_DIR || defaultUploadRoot()) }),
+  supabase: () => createSupabaseStorage({
+    url: process.env.SUPABASE_URL,
+    serviceKey: process.env.SUPABASE_SERVICE_KEY,
+    bucket: process.env.SUPABASE_STORAGE_BUCKET || 'noleadnola-uploads',
+  }),
+};
+
+/**
+ * Why the configured storage can't work, or null when it can. The server
+ * checks this at startup so a bad deploy fails there, not on the first upload.
+ */
+function storageConfigError() {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  if (!ADAPTERS[driver]) return `Unknown STORAGE_DRIVER: ${driver}`;
+  if (driver === 'local' && process.env.VERCEL) {
+    return 'Uploads cannot be stored on Vercel\'s read-only filesystem. Set STORAGE_DRIVER=supabase (and SUPABASE_STORAGE_BUCKET) in the project settings.';
+  }
+  if (driver === 'supabase' && (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY)) {
+    return 'STORAGE_DRIVER=supabase needs SUPABASE_URL and SUPABASE_SERVICE_KEY.';
+  }
+  return null;
+}
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const error = storageConfigError();
+    if (error) throw new Error(error);
+    storage = ADAPTERS[process.env.STORAGE_DRIVER || 'local']();
+  }
+  return storage;
+}
+
+module.exports = { getStorage, storageConfigError, createLocalStorage, createSupabaseStorage };
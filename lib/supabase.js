@@ -0,0 +1,65 @@
+/**
+ * Server-side Supabase REST (PostgREST) access using the service key.
+ *
+ * Every table the server touches goes through `supabaseRequest` so error
+ * handling and headers live in one place.
+ */
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const SUPABASE_HEADERS = SUPABASE_URL && SUPABASE_SERVICE_KEY ? {
+  'apikey': SUPABASE_SERVICE_KEY,
+  'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`,
+  'Content-Type': 'application/json',
+  'Prefer': 'return=representation',
+} : null;
+
+function isSupabaseConfigured() {
+  return !!SUPABASE_HEADERS;
+}
+
+async function send(path, { method = 'GET', body, headers } = {}) {
+  const resp = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
+    method,
+    headers: { ...SUPABASE_HEADERS, ...headers },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  if (!resp.ok) {
+    const errText = await resp.text();
+    const err = new Error(`Supabase ${method} ${path.split('?')[0]} failed (${resp.status}): ${errText}`);
+    err.status = resp.status;
+    throw err;
+  }
+  return resp;
+}
+
+/**
+ * Call the Supabase REST API and return the parsed JSON body.
+ * `path` is everything after /rest/v1/ (table name plus query string).
+ * Throws with `status` set when Supabase responds with an error.
+ */
+async function supabaseRequest(path, options) {
+  const resp = await send(path, options);
+  const text = await resp.text();
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Select one page of rows plus the total number of matching rows, read from
+ * the Content-Range header PostgREST returns for `Prefer: count=exact`.
+ */
+async function supabaseSelectPage(path) {
+  const resp = await send(path, { headers: { 'Prefer': 'count=exact' } });
+  const rows = await resp.json();
+  const total = Number((resp.headers.get('content-range') || '').split('/')[1]);
+  return { rows, total: Number.isFinite(total) ? total : rows.length };
+}
+
+module.exports = {
+  SUPABASE_URL,
+  SUPABASE_HEADERS,
+  isSupabaseConfigured,
+  supabaseRequest,
+  supabaseSelectPage,
+};
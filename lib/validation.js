@@ -0,0 +1,182 @@
+/**
+ * Declarative request schemas for the API routes.
+ *
+ * A route lists the fields it reads from the body, query string and path with
+ * the `field` builders, and `validateRequest` checks them before the handler
+ * runs:
+ *
+ *   app.post('/api/things/:id', validateRequest({
+ *     params: { id: field.integer({ required: true }) },
+ *     body: { name: field.string({ required: true, max: 200 }), email: field.email() },
+ *   }), handler);
+ *
+ * Values come out normalized — strings trimmed, emails lowercased, phone
+ * numbers in E.164, query-string numbers and flags parsed — and replace
+ * req.body, req.query and req.params, so handlers only see declared fields.
+ * A blank string counts as missing. Anything that fails is answered with
+ *
+ *   400 { error: '<every message>', errors: [{ location, field, message }] }
+ *
+ * where `field` is a dotted path such as `fillerInfo.email`.
+ */
+
+const { toE164 } = require('./messaging');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+const TRUE_VALUES = [true, 'true', '1', 1];
+const FALSE_VALUES = [false, 'false', '0', 0];
+
+// Every builder returns a plain spec; `check` below does the work
+const field = {
+  string: (opts = {}) => ({ type: 'string', ...opts }),
+  email: (opts = {}) => ({ type: 'email', ...opts }),
+  phone: (opts = {}) => ({ type: 'phone', ...opts }),
+  integer: (opts = {}) => ({ type: 'integer', ...opts }),
+  number: (opts = {}) => ({ type: 'number', ...opts }),
+  boolean: (opts = {}) => ({ type: 'boolean', ...opts }),
+  date: (opts = {}) => ({ type: 'date', ...opts }),
+  array: (of, opts = {}) => ({ type: 'array', of, ...opts }),
+  object: (shape, opts = {}) => ({ type: 'object', shape, ...opts }),
+  // Taken as sent — signed payloads and free-form draft answers
+  any: (opts = {}) => ({ type: 'any', ...opts }),
+};
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+// Each checker returns { value } or { message }
+const CHECKERS = {
+  string(spec, value) {
+    if (typeof value === 'number' && Number.isFinite(value)) value = String(value);
+    if (typeof value !== 'string') return { message: 'must be text' };
+    let text = spec.trim === false ? value : value.trim();
+    if (spec.upper) text = text.toUpperCase();
+    if (spec.oneOf && !spec.oneOf.includes(text)) return { message: `must be one of: ${spec.oneOf.join(', ')}` };
+    if (spec.min && text.length < spec.min) return { message: `must be at least ${spec.min} characters` };
+    if (spec.max && text.length > spec.max) return { message: `must be at most ${spec.max} characters` };
+    if (spec.pattern && !spec.pattern.test(text)) return { message: spec.patternMessage || 'is not in the expected format' };
+    return { value: text };
+  },
+
+  email(spec, value) {
+    const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(email) || email.length > MAX_EMAIL_LENGTH) return { message: 'must be a valid email address' };
+    return { value: email };
+  },
+
+  phone(spec, value) {
+    const phone = typeof value === 'string' || typeof value === 'number' ? toE164(String(value)) : null;
+    if (!phone) return { message: 'must be a 10-digit US phone number or +E.164' };
+    return { value: phone };
+  },
+
+  integer(spec, value) {
+    const number = toNumber(value);
+    if (!Number.isInteger(number)) return { message: 'must be a whole number' };
+    return checkRange(spec, number);
+  },
+
+  number(spec, value) {
+    const number = toNumber(value);
+    if (!Number.isFinite(number)) return { message: 'must be a number' };
+    return checkRange(spec, number);
+  },
+
+  boolean(spec, value) {
+    if (TRUE_VALUES.includes(value)) return { value: true };
+    if (FALSE_VALUES.includes(value)) return { value: false };
+    return { message: 'must be true or false' };
+  },
+
+  // Dates stay as sent (a bare YYYY-MM-DD means something different from a timestamp to some routes)
+  date(spec, value) {
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+      return { message: 'must be a date (YYYY-MM-DD or an ISO timestamp)' };
+    }
+    return { value: value.trim() };
+  },
+
+  array(spec, value, path, errors, location) {
+    if (!Array.isArray(value)) return { message: 'must be a list' };
+    if (spec.max && value.length > spec.max) return { message: `must have at most ${spec.max} items` };
+    return { value: value.map((item, i) => check(spec.of, item, `${path}[${i}]`, errors, location)) };
+  },
+
+  object(spec, value, path, errors, location) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { message: 'must be an object' };
+    return { value: checkShape(spec.shape, value, `${path}.`, errors, location) };
+  },
+
+  any(spec, value) {
+    return { value };
+  },
+};
+
+function checkRange(spec, number) {
+  if (spec.min !== undefined && number < spec.min) return { message: `must be at least ${spec.min}` };
+  if (spec.max !== undefined && number > spec.max) return { message: `must be at most ${spec.max}` };
+  return { value: number };
+}
+
+// The normalized value of one field; problems are pushed onto `errors`
+function check(spec, value, path, errors, location) {
+  if (isMissing(value)) {
+    // nullable fields take an explicit null (or blank) to mean "clear this"
+    if (spec.nullable && value !== undefined) return null;
+    if (spec.required) errors.push({ location, field: path, message: `${path} is required` });
+    return spec.default;
+  }
+  const result = CHECKERS[spec.type](spec, value, path, errors, location);
+  if (result.message) {
+    errors.push({ location, field: path, message: `${path} ${result.message}` });
+    return undefined;
+  }
+  return result.value;
+}
+
+// Declared fields only; undeclared keys are dropped
+function checkShape(shape, source, prefix, errors, location) {
+  const out = {};
+  for (const [key, spec] of Object.entries(shape)) {
+    const value = check(spec, source?.[key], `${prefix}${key}`, errors, location);
+    if (value !== undefined) out[key] = value;
+  }
+  return out;
+}
+
+// Also for checks a schema can't express (one field against another, a lookup)
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({ error: errors.map(e => e.message).join('; '), errors });
+}
+
+/**
+ * Express middleware for a route schema: { params, query, body, headers },
+ * each a map of field name to spec. Headers are only checked (read them with
+ * req.get as usual); the rest are replaced with their normalized values.
+ */
+function validateRequest(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const checked = {};
+    for (const location of ['params', 'query', 'body']) {
+      if (schema[location]) checked[location] = checkShape(schema[location], req[location], '', errors, location);
+    }
+    for (const [name, spec] of Object.entries(schema.headers || {})) {
+      check(spec, req.get(name), name, errors, 'headers');
+    }
+    if (errors.length) return sendValidationErrors(res, errors);
+
+    if (checked.params) req.params = checked.params;
+    if (checked.query) req.query = checked.query;
+    if (checked.body) req.body = checked.body;
+    next();
+  };
+}
+
+module.exports = { field, validateRequest, sendValidationErrors };
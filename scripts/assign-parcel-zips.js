@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Fill noleadnola_parcels.zip from a ZIP code boundary file, for the coverage
+ * map's ZIP filter. The assessor layer has no site ZIP, so each parcel gets the
+ * ZIP area its centroid falls in.
+ *
+ * Usage: npm run assign-parcel-zips -- <zip-areas.geojson> [--dry-run]
+ *
+ * The file is a GeoJSON FeatureCollection of Polygon / MultiPolygon features in
+ * WGS84 — the Census ZCTA layer clipped to Orleans Parish works. The ZIP is read
+ * from the first of ZCTA5CE20, ZCTA5CE10, ZIP, ZIPCODE or ZIP_CODE. Only parcels
+ * whose ZIP changed are written; run it again after a download-parcels or
+ * import-parcels run adds parcels.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { createClient } = require('@supabase/supabase-js');
+const { pointInPolygon } = require('../lib/geometry');
+
+const ZIP_PROPERTIES = ['ZCTA5CE20', 'ZCTA5CE10', 'ZIP', 'ZIPCODE', 'ZIP_CODE'];
+const PAGE_SIZE = 1000;
+const UPDATE_CHUNK = 500;
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const FILE = args.find(a => !a.startsWith('--'));
+
+// [{ zip, polygons, box }] with polygons as arrays of [lng, lat] rings
+function readZipAreas(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data.features)) throw new Error(`${file} is not a GeoJSON FeatureCollection`);
+
+  return data.features.flatMap((feature) => {
+    const props = Object.fromEntries(Object.entries(feature.properties || {}).map(([k, v]) => [k.toUpperCase(), v]));
+    const zip = String(ZIP_PROPERTIES.map(p => props[p]).find(v => v != null) ?? '').trim();
+    const geometry = feature.geometry || {};
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+    if (!/^\d{5}$/.test(zip) || !polygons.length) return [];
+
+    const points = polygons.flatMap(polygon => polygon[0]);
+    const box = {
+      minLng: Math.min(...points.map(p => p[0])), maxLng: Math.max(...points.map(p => p[0])),
+      minLat: Math.min(...points.map(p => p[1])), maxLat: Math.max(...points.map(p => p[1])),
+    };
+    return [{ zip, polygons, box }];
+  });
+}
+
+function zipAt(areas, [lng, lat]) {
+  const area = areas.find(a => lng >= a.box.minLng && lng <= a.box.maxLng && lat >= a.box.minLat && lat <= a.box.maxLat
+    && a.polygons.some(polygon => pointInPolygon([lng, lat], polygon)));
+  return area ? area.zip : null;
+}
+
+async function main() {
+  if (!FILE) {
+    console.error('Usage: npm run assign-parcel-zips -- <zip-areas.geojson> [--dry-run]');
+    process.exit(1);
+  }
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in .env');
+    process.exit(1);
+  }
+
+  console.log(`=== Assign Parcel ZIP Codes${DRY_RUN ? ' (dry run)' : ''} ===`);
+  const areas = readZipAreas(FILE);
+  console.log(`ZIP areas: ${areas.length} (${[...new Set(areas.map(a => a.zip))].sort().join(', ')})`);
+  if (!areas.length) return;
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  const changes = new Map();   // zip (or null) → parcel ids
+  let scanned = 0;
+  let outside = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('noleadnola_parcels')
+      .select('id, zip, centroid_lat, centroid_lng')
+      .is('retired_at', null)
+      .not('centroid_lat', 'is', null)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(error.message);
+
+    for (const row of data) {
+      const zip = zipAt(areas, [row.centroid_lng, row.centroid_lat]);
+      if (!zip) outside++;
+      if (zip === row.zip) continue;
+      if (!changes.has(zip)) changes.set(zip, []);
+      changes.get(zip).push(row.id);
+    }
+    scanned += data.length;
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  const changed = [...changes.values()].reduce((sum, ids) => sum + ids.length, 0);
+  console.log(`Parcels: ${scanned} | changed: ${changed} | outside every ZIP area: ${outside}`);
+  if (DRY_RUN) return;
+
+  for (const [zip, ids] of changes) {
+    for (let i = 0; i < ids.length; i += UPDATE_CHUNK) {
+      const { error } = await supabase
+        .from('noleadnola_parcels')
+        .update({ zip })
+        .in('id', ids.slice(i, i + UPDATE_CHUNK));
+      if (error) throw new Error(`Updating ${zip || 'no ZIP'}: ${error.message}`);
+    }
+    console.log(`  ${zip || '(none)'}: ${ids.length}`);
+  }
+  console.log('\nDone.');
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * File existing submissions under property cases (see lib/cases.js). New
+ * submissions are filed when they're saved; run this once after
+ * create-submissions-table adds the cases table, oldest submission first so
+ * the earliest one in each case is the original and later ones are flagged as
+ * its duplicates.
+ *
+ * Usage: npm run assign-property-cases
+ *
+ * Only submissions without a case are touched, so it is safe to re-run.
+ */
+
+require('dotenv').config();
+const { isSupabaseConfigured, supabaseRequest } = require('../lib/supabase');
+const { assignPropertyCase } = require('../lib/cases');
+
+const BATCH = 200;
+const FIELDS = 'id,address,parcel_id,filler_email,filler_phone,contact_email,contact_phone';
+
+async function main() {
+  if (!isSupabaseConfigured()) {
+    console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in .env');
+    process.exit(1);
+  }
+
+  console.log('=== Assign Property Cases ===');
+  const cases = new Set();
+  let filed = 0;
+  let duplicates = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const rows = await supabaseRequest(
+      `noleadnola_submissions?case_id=is.null&id=gt.${lastId}&select=${FIELDS}&order=id.asc&limit=${BATCH}`
+    );
+    for (const row of rows) {
+      const { propertyCase, duplicateOf } = await assignPropertyCase(row);
+      cases.add(propertyCase.id);
+      filed++;
+      if (duplicateOf) duplicates++;
+    }
+    if (rows.length) {
+      lastId = rows[rows.length - 1].id;
+      console.log(`  ${filed} submission(s) filed...`);
+    }
+    if (rows.length < BATCH) break;
+  }
+
+  console.log(`Submissions: ${filed} | cases: ${cases.size} | flagged as duplicates: ${duplicates}`);
+  console.log('\nDone.');
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+-- Staff accounts for the admin API and dashboards (see lib/auth.js)
+CREATE TABLE IF NOT EXISTS noleadnola_staff (
+  id              BIGSERIAL PRIMARY KEY,
+  email           TEXT NOT NULL UNIQUE,     -- stored lowercase
+  name            TEXT NOT NULL,
+  role            TEXT NOT NULL CHECK (role IN ('admin', 'outreach', 'contractor')),
+  password_hash   TEXT NOT NULL,            -- scrypt$<salt>$<hash>
+  active          BOOLEAN NOT NULL DEFAULT TRUE,
+
+  last_login_at   TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- RLS: service_role only — never expose password hashes through the anon key
+ALTER TABLE noleadnola_staff ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_staff' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_staff FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Create (or reset the password of) a staff account.
+ *
+ * Usage: npm run create-staff-user -- <email> <role> "<full name>"
+ *
+ * Roles: admin, outreach, contractor. The password is read from the
+ * STAFF_PASSWORD environment variable, or prompted for when it is not set.
+ * Use this to bootstrap the first admin; after that admins can manage
+ * accounts through the /api/staff routes.
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const { isSupabaseConfigured, supabaseRequest } = require('../lib/supabase');
+const { ROLES, hashPassword } = require('../lib/auth');
+
+const [email, role, name] = process.argv.slice(2);
+
+if (!isSupabaseConfigured()) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in .env');
+  process.exit(1);
+}
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: npm run create-staff-user -- <email> <${ROLES.join('|')}> "<full name>"`);
+  process.exit(1);
+}
+
+function promptPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question('Password (min 10 characters): ', answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function main() {
+  const password = process.env.STAFF_PASSWORD || await promptPassword();
+  if (!password || password.length < 10) {
+    console.error('Password must be at least 10 characters');
+    process.exit(1);
+  }
+
+  const [row] = await supabaseRequest('noleadnola_staff?on_conflict=email&select=id,email,role', {
+    method: 'POST',
+    headers: { 'Prefer': 'return=representation,resolution=merge-duplicates' },
+    body: {
+      email: email.trim().toLowerCase(),
+      name: name || email,
+      role,
+      password_hash: hashPassword(password),
+      active: true,
+    },
+  });
+  console.log(`Saved ${row.role} account #${row.id} for ${row.email}`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
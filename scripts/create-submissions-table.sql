@@ -52,24 +52,513 @@ CREATE TABLE IF NOT EXISTS noleadnola_submissions (
   updated_at              TIMESTAMPTZ DEFAULT NOW()
 );
 
--- RLS: service_role can read/write, anon can read
+-- Columns added after the first release (safe to re-run on an existing table)
+ALTER TABLE noleadnola_submissions
+  ADD COLUMN IF NOT EXISTS docusign_signing_mode TEXT CHECK (docusign_signing_mode IN ('embedded', 'remote')),
+  -- How sure the owner-name matcher (lib/owners.js) is that the filler owns the property, and why
+  ADD COLUMN IF NOT EXISTS owner_match_confidence DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS owner_match_reason TEXT,
+  -- Language the resident used (en | es | vi); picks the DocuSign template
+  ADD COLUMN IF NOT EXISTS preferred_language TEXT NOT NULL DEFAULT 'en',
+  -- Offline canvassing: the tablet's retry key, and when the form was filled in if it sat in the queue
+  ADD COLUMN IF NOT EXISTS idempotency_key TEXT UNIQUE,
+  ADD COLUMN IF NOT EXISTS queued_at TIMESTAMPTZ,
+  -- When the agreement was emailed for remote signing, and when we last reminded the signer
+  ADD COLUMN IF NOT EXISTS docusign_sent_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS signing_reminder_sent_at TIMESTAMPTZ;
+
+-- RLS: service_role only — submissions hold residents' names, emails and phones,
+-- so they are read through the authenticated server routes, never the anon key
 ALTER TABLE noleadnola_submissions ENABLE ROW LEVEL SECURITY;
 
+-- Earlier versions granted anon read access and an unrestricted "service role" policy
+DROP POLICY IF EXISTS "Public read access" ON noleadnola_submissions;
+
 DO $$
 BEGIN
-  IF NOT EXISTS (
-    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_submissions' AND policyname = 'Service role full access'
+  IF EXISTS (
+    SELECT 1 FROM pg_policies
+    WHERE tablename = 'noleadnola_submissions' AND policyname = 'Service role full access'
+      AND NOT ('service_role' = ANY (roles))
   ) THEN
-    CREATE POLICY "Service role full access" ON noleadnola_submissions FOR ALL USING (true);
+    DROP POLICY "Service role full access" ON noleadnola_submissions;
   END IF;
 
   IF NOT EXISTS (
-    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_submissions' AND policyname = 'Public read access'
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_submissions' AND policyname = 'Service role full access'
   ) THEN
-    CREATE POLICY "Public read access" ON noleadnola_submissions FOR SELECT USING (true);
+    CREATE POLICY "Service role full access" ON noleadnola_submissions FOR ALL TO service_role USING (true);
   END IF;
 END
 $$;
 
 -- Index on address for lookups
 CREATE INDEX IF NOT EXISTS idx_submissions_address ON noleadnola_submissions (address);
+
+-- DocuSign status history: one row per status change, from any source
+-- (api = envelope created, redirect = signer returned, connect = webhook, manual = PATCH route)
+CREATE TABLE IF NOT EXISTS noleadnola_docusign_events (
+  id              BIGSERIAL PRIMARY KEY,
+  delivery_key    TEXT NOT NULL UNIQUE,     -- de-duplicates repeated webhook deliveries
+  submission_id   BIGINT REFERENCES noleadnola_submissions (id) ON DELETE SET NULL,
+  envelope_id     TEXT,
+  source          TEXT NOT NULL CHECK (source IN ('api', 'redirect', 'connect', 'manual')),
+  event           TEXT,
+  status          TEXT,
+  occurred_at     TIMESTAMPTZ,
+  payload         JSONB,
+  received_at     TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE noleadnola_docusign_events ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_docusign_events' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_docusign_events FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_envelope ON noleadnola_submissions (docusign_envelope_id);
+CREATE INDEX IF NOT EXISTS idx_docusign_events_submission ON noleadnola_docusign_events (submission_id, received_at);
+
+-- Archived signed agreements and certificates of completion (files live in the
+-- storage adapter, see lib/storage.js). One row per document kind per envelope.
+CREATE TABLE IF NOT EXISTS noleadnola_documents (
+  id              BIGSERIAL PRIMARY KEY,
+  submission_id   BIGINT NOT NULL REFERENCES noleadnola_submissions (id) ON DELETE CASCADE,
+  envelope_id     TEXT NOT NULL,
+  kind            TEXT NOT NULL CHECK (kind IN ('signed', 'certificate')),
+  storage_key     TEXT NOT NULL,
+  content_type    TEXT NOT NULL DEFAULT 'application/pdf',
+  size_bytes      INTEGER,
+  sha256          TEXT,
+  archived_at     TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (envelope_id, kind)
+);
+
+ALTER TABLE noleadnola_documents ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_documents' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_documents FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_documents_submission ON noleadnola_documents (submission_id);
+
+-- Questionnaire drafts residents can resume later with a resume code / link.
+-- `data` holds the answers entered so far; submission_id is set once submitted.
+CREATE TABLE IF NOT EXISTS noleadnola_drafts (
+  id              BIGSERIAL PRIMARY KEY,
+  resume_code     TEXT NOT NULL UNIQUE,
+  data            JSONB NOT NULL DEFAULT '{}'::jsonb,
+  submission_id   BIGINT REFERENCES noleadnola_submissions (id) ON DELETE SET NULL,
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ DEFAULT NOW(),
+  expires_at      TIMESTAMPTZ NOT NULL
+);
+
+ALTER TABLE noleadnola_drafts ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_drafts' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_drafts FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_drafts_submission ON noleadnola_drafts (submission_id);
+CREATE INDEX IF NOT EXISTS idx_drafts_expires ON noleadnola_drafts (expires_at);
+
+-- Notification delivery log: one row per message per channel, for a submission
+-- or a complaint ticket (ticket_id has no foreign key because the tickets table
+-- is created by create-tickets-table.sql). Failed sends are retried until
+-- `attempts` reaches the server's limit; see lib/messaging.js for transports.
+CREATE TABLE IF NOT EXISTS noleadnola_notifications (
+  id              BIGSERIAL PRIMARY KEY,
+  submission_id   BIGINT REFERENCES noleadnola_submissions (id) ON DELETE CASCADE,
+  ticket_id       TEXT,
+
+  template        TEXT NOT NULL,       -- lib/notifications.js, e.g. submission-receipt
+  channel         TEXT NOT NULL CHECK (channel IN ('email', 'sms')),
+  recipient       TEXT NOT NULL,       -- email address or phone number
+  recipient_role  TEXT,                -- resident | owner | landlord | contractor
+  language        TEXT NOT NULL DEFAULT 'en',
+  subject         TEXT,
+  body            TEXT NOT NULL,
+
+  -- queued → sending → sent, or → retrying → … → failed
+  status          TEXT NOT NULL DEFAULT 'queued'
+                    CHECK (status IN ('queued', 'sending', 'retrying', 'sent', 'failed')),
+  transport       TEXT,                -- smtp | twilio | outbox
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  last_error      TEXT,
+  provider_id     TEXT,
+
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  sent_at         TIMESTAMPTZ,
+  updated_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE noleadnola_notifications ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_notifications' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_notifications FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_submission ON noleadnola_notifications (submission_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_ticket ON noleadnola_notifications (ticket_id);
+-- Per-recipient cap on the notices the public questionnaire sends
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON noleadnola_notifications (recipient, created_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_pending ON noleadnola_notifications (next_attempt_at)
+  WHERE status IN ('queued', 'sending', 'retrying');
+CREATE INDEX IF NOT EXISTS idx_submissions_signing_reminder ON noleadnola_submissions (docusign_sent_at)
+  WHERE signing_reminder_sent_at IS NULL;
+
+-- Property cases: all submissions for one property (see lib/cases.js). A case is
+-- keyed on its parcel, or on the normalized address when no parcel is known;
+-- `status` is the furthest any of its submissions got. Merged cases keep their
+-- row with merged_into set so old links still resolve.
+CREATE TABLE IF NOT EXISTS noleadnola_property_cases (
+  id              BIGSERIAL PRIMARY KEY,
+  parcel_id       TEXT,
+  address_key     TEXT,                -- parseAddress(address).normalized
+  address         TEXT NOT NULL,       -- as typed on the first submission
+  status          TEXT NOT NULL DEFAULT 'submitted'
+                    CHECK (status IN ('submitted', 'referral', 'declined', 'sent', 'signed')),
+  submissions     INTEGER NOT NULL DEFAULT 0,
+  merged_into     BIGINT REFERENCES noleadnola_property_cases (id),
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE noleadnola_property_cases ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_property_cases' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_property_cases FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
+
+-- One open case per parcel
+CREATE UNIQUE INDEX IF NOT EXISTS idx_property_cases_parcel ON noleadnola_property_cases (parcel_id)
+  WHERE merged_into IS NULL AND parcel_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_property_cases_address ON noleadnola_property_cases (address_key)
+  WHERE merged_into IS NULL;
+
+ALTER TABLE noleadnola_submissions
+  ADD COLUMN IF NOT EXISTS case_id BIGINT REFERENCES noleadnola_property_cases (id) ON DELETE SET NULL,
+  -- An earlier submission in the case with the same email or phone
+  ADD COLUMN IF NOT EXISTS duplicate_of BIGINT REFERENCES noleadnola_submissions (id) ON DELETE SET NULL,
+  -- Lowercased emails and E.164 phones of the filler and contact, for duplicate matching
+  ADD COLUMN IF NOT EXISTS contact_keys TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_submissions_case ON noleadnola_submissions (case_id);
+CREATE INDEX IF NOT EXISTS idx_submissions_contact_keys ON noleadnola_submissions USING GIN (contact_keys);
+
+-- Outreach coverage map (GET /api/coverage). Run after create-table.sql: it reads
+-- noleadnola_parcels. A parcel's status is the furthest any of its submissions got:
+--   signed     an agreement for it was signed
+--   referral   the agreement went to an owner or landlord someone else referred us to
+--   submitted  a questionnaire names this parcel
+--   none       nobody has been reached yet
+CREATE INDEX IF NOT EXISTS idx_submissions_parcel ON noleadnola_submissions (parcel_id);
+
+CREATE OR REPLACE VIEW noleadnola_parcel_coverage AS
+SELECT
+  p.id, p.parcel_id, p.site_address, p.property_type, p.zip, p.centroid_lat, p.centroid_lng,
+  CASE
+    WHEN s.signed THEN 'signed'
+    WHEN s.referral THEN 'referral'
+    WHEN s.submissions > 0 THEN 'submitted'
+    ELSE 'none'
+  END AS status,
+  s.submissions,
+  s.last_submitted_at
+FROM noleadnola_parcels p
+LEFT JOIN LATERAL (
+  SELECT
+    count(*) AS submissions,
+    coalesce(bool_or(sub.docusign_status = 'signing_complete'), false) AS signed,
+    coalesce(bool_or(sub.contact_role IN ('owner_referral', 'landlord')), false) AS referral,
+    max(sub.submitted_at) AS last_submitted_at
+  FROM noleadnola_submissions sub
+  WHERE sub.parcel_id = p.parcel_id
+) s ON true
+WHERE p.retired_at IS NULL AND p.centroid_lat IS NOT NULL;
+
+-- The view joins submissions, so keep it away from the anon key like the table
+REVOKE ALL ON noleadnola_parcel_coverage FROM anon, authenticated;
+
+-- Status counts per grid cell (cell_size degrees) for a zoomed-out map, with one
+-- address in the cell so staff can tell where a block is without the map
+CREATE OR REPLACE FUNCTION noleadnola_coverage_cells(
+  south DOUBLE PRECISION, west DOUBLE PRECISION, north DOUBLE PRECISION, east DOUBLE PRECISION,
+  cell_size DOUBLE PRECISION,
+  filter_property_type TEXT DEFAULT NULL,
+  filter_zip TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  cell_south DOUBLE PRECISION, cell_west DOUBLE PRECISION, parcels BIGINT,
+  no_contact BIGINT, submitted BIGINT, referral BIGINT, signed BIGINT, sample_address TEXT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    floor(c.centroid_lat / cell_size) * cell_size AS cell_south,
+    floor(c.centroid_lng / cell_size) * cell_size AS cell_west,
+    count(*),
+    count(*) FILTER (WHERE c.status = 'none'),
+    count(*) FILTER (WHERE c.status = 'submitted'),
+    count(*) FILTER (WHERE c.status = 'referral'),
+    count(*) FILTER (WHERE c.status = 'signed'),
+    min(c.site_address)
+  FROM noleadnola_parcel_coverage c
+  WHERE c.centroid_lat BETWEEN south AND north
+    AND c.centroid_lng BETWEEN west AND east
+    AND (filter_property_type IS NULL OR c.property_type = filter_property_type)
+    AND (filter_zip IS NULL OR c.zip = filter_zip)
+  GROUP BY 1, 2
+  ORDER BY 1, 2;
+$$;
+
+-- Individual parcels with their status for a zoomed-in map
+CREATE OR REPLACE FUNCTION noleadnola_coverage_parcels(
+  south DOUBLE PRECISION, west DOUBLE PRECISION, north DOUBLE PRECISION, east DOUBLE PRECISION,
+  filter_property_type TEXT DEFAULT NULL,
+  filter_zip TEXT DEFAULT NULL
+)
+RETURNS SETOF noleadnola_parcel_coverage
+LANGUAGE sql STABLE
+AS $$
+  SELECT *
+  FROM noleadnola_parcel_coverage c
+  WHERE c.centroid_lat BETWEEN south AND north
+    AND c.centroid_lng BETWEEN west AND east
+    AND (filter_property_type IS NULL OR c.property_type = filter_property_type)
+    AND (filter_zip IS NULL OR c.zip = filter_zip)
+  ORDER BY c.id;
+$$;
+
+-- Property types and ZIP codes to filter the coverage map by, with parcel counts
+CREATE OR REPLACE FUNCTION noleadnola_coverage_facets()
+RETURNS TABLE (kind TEXT, value TEXT, parcels BIGINT)
+LANGUAGE sql STABLE
+AS $$
+  SELECT 'property_type', property_type, count(*)
+  FROM noleadnola_parcels
+  WHERE retired_at IS NULL AND property_type IS NOT NULL
+  GROUP BY property_type
+  UNION ALL
+  SELECT 'zip', zip, count(*)
+  FROM noleadnola_parcels
+  WHERE retired_at IS NULL AND zip IS NOT NULL
+  GROUP BY zip
+  ORDER BY 1, 2;
+$$;
+
+REVOKE EXECUTE ON FUNCTION noleadnola_coverage_cells(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION noleadnola_coverage_parcels(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION noleadnola_coverage_cells(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION noleadnola_coverage_parcels(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION noleadnola_coverage_facets() TO service_role;
+
+-- Audit trail (see lib/events.js): one row per change the API makes to a
+-- submission, ticket, property case, contractor, staff account or SLA policy,
+-- with who made it, the changed fields before and after, and the request.
+-- entity_id is text because ticket IDs are (CMP-2026-0041).
+CREATE TABLE IF NOT EXISTS noleadnola_events (
+  id              BIGSERIAL PRIMARY KEY,
+  entity_type     TEXT NOT NULL
+                    CHECK (entity_type IN ('submission', 'ticket', 'property_case', 'contractor', 'staff', 'sla_policy')),
+  entity_id       TEXT NOT NULL,
+  action          TEXT NOT NULL,       -- created, updated, signing-status, escalated, …
+
+  actor_type      TEXT NOT NULL CHECK (actor_type IN ('staff', 'resident', 'docusign', 'system')),
+  actor_id        TEXT,                -- noleadnola_staff.id for staff
+  actor_name      TEXT,                -- staff email at the time
+  actor_role      TEXT,
+
+  before          JSONB,               -- changed fields as they were
+  after           JSONB,               -- and as they became
+  details         JSONB,
+  request         JSONB,               -- method, path, ip, forwardedFor, userAgent, requestId
+
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE noleadnola_events ENABLE ROW LEVEL SECURITY;
+
+-- Append-only: the server may add and read events, never change them
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_events' AND policyname = 'Service role append'
+  ) THEN
+    CREATE POLICY "Service role append" ON noleadnola_events FOR INSERT TO service_role WITH CHECK (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_events' AND policyname = 'Service role read'
+  ) THEN
+    CREATE POLICY "Service role read" ON noleadnola_events FOR SELECT TO service_role USING (true);
+  END IF;
+END
+$$;
+
+REVOKE UPDATE, DELETE, TRUNCATE ON noleadnola_events FROM PUBLIC, anon, authenticated, service_role;
+
+-- service_role bypasses RLS, so the trigger is what actually stops edits
+CREATE OR REPLACE FUNCTION noleadnola_events_append_only() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  RAISE EXCEPTION 'noleadnola_events is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS noleadnola_events_append_only ON noleadnola_events;
+CREATE TRIGGER noleadnola_events_append_only
+  BEFORE UPDATE OR DELETE ON noleadnola_events
+  FOR EACH ROW EXECUTE FUNCTION noleadnola_events_append_only();
+
+-- Timelines read one entity's events in order
+CREATE INDEX IF NOT EXISTS idx_events_entity ON noleadnola_events (entity_type, entity_id, id);
+CREATE INDEX IF NOT EXISTS idx_events_created_at ON noleadnola_events (created_at);
+
+-- Program analytics (GET /api/analytics, analytics.html). Run after create-table.sql:
+-- conversion reads ZIP codes and property types from noleadnola_parcels.
+--
+-- The questionnaire reports each step a browser reaches (address, filler,
+-- ownership, contact) under a random session ID it keeps for the whole form,
+-- including a resumed draft, and sends the same ID with the submission so a
+-- signed agreement can be traced back to where the resident started.
+ALTER TABLE noleadnola_submissions
+  ADD COLUMN IF NOT EXISTS questionnaire_session_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_questionnaire_session ON noleadnola_submissions (questionnaire_session_id);
+
+CREATE TABLE IF NOT EXISTS noleadnola_questionnaire_steps (
+  id              BIGSERIAL PRIMARY KEY,
+  session_id      TEXT NOT NULL,
+  step            TEXT NOT NULL CHECK (step IN ('address', 'filler', 'ownership', 'contact')),
+  language        TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Going back and forth between steps counts once
+  UNIQUE (session_id, step)
+);
+
+ALTER TABLE noleadnola_questionnaire_steps ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_questionnaire_steps' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_questionnaire_steps FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_questionnaire_steps_started ON noleadnola_questionnaire_steps (created_at) WHERE step = 'address';
+
+-- Sessions that started the questionnaire between from_time and to_time (either
+-- may be NULL), and how many of them reached each later step or signed
+CREATE OR REPLACE FUNCTION noleadnola_analytics_funnel(
+  from_time TIMESTAMPTZ DEFAULT NULL,
+  to_time TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (step TEXT, sessions BIGINT)
+LANGUAGE sql STABLE
+AS $$
+  WITH started AS (
+    SELECT s.session_id
+    FROM noleadnola_questionnaire_steps s
+    WHERE s.step = 'address'
+      AND (from_time IS NULL OR s.created_at >= from_time)
+      AND (to_time IS NULL OR s.created_at <= to_time)
+  )
+  SELECT s.step, count(*)
+  FROM noleadnola_questionnaire_steps s
+  JOIN started USING (session_id)
+  GROUP BY s.step
+  UNION ALL
+  SELECT 'signed', count(DISTINCT sub.questionnaire_session_id)
+  FROM noleadnola_submissions sub
+  JOIN started ON started.session_id = sub.questionnaire_session_id
+  WHERE sub.docusign_status = 'signing_complete';
+$$;
+
+-- Submissions between from_time and to_time by ZIP code and by property type,
+-- counting owners, owners with signing authority, agreements sent and signed.
+-- Duplicates of an earlier submission (see property cases) are left out. The
+-- ZIP comes from the parcel when there is one, else the end of the address.
+CREATE OR REPLACE FUNCTION noleadnola_analytics_conversion(
+  from_time TIMESTAMPTZ DEFAULT NULL,
+  to_time TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  kind TEXT, value TEXT, submissions BIGINT, owners BIGINT,
+  signing_authority BIGINT, sent BIGINT, signed BIGINT
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH s AS (
+    SELECT
+      coalesce(p.zip, substring(sub.address FROM '(\d{5})(?:-\d{4})?\s*$')) AS zip,
+      coalesce(sub.property_type, p.property_type) AS property_type,
+      sub.ownership = 'own' AS owner,
+      sub.signing_authority = 'yes' AS has_authority,
+      sub.docusign_envelope_id IS NOT NULL AS was_sent,
+      sub.docusign_status = 'signing_complete' AS was_signed
+    FROM noleadnola_submissions sub
+    LEFT JOIN LATERAL (
+      SELECT zip, property_type
+      FROM noleadnola_parcels
+      WHERE parcel_id = sub.parcel_id
+      ORDER BY retired_at NULLS FIRST
+      LIMIT 1
+    ) p ON true
+    WHERE sub.duplicate_of IS NULL
+      AND (from_time IS NULL OR sub.submitted_at >= from_time)
+      AND (to_time IS NULL OR sub.submitted_at <= to_time)
+  )
+  SELECT 'zip', zip, count(*),
+    count(*) FILTER (WHERE owner), count(*) FILTER (WHERE has_authority),
+    count(*) FILTER (WHERE was_sent), count(*) FILTER (WHERE was_signed)
+  FROM s
+  GROUP BY zip
+  UNION ALL
+  SELECT 'property_type', property_type, count(*),
+    count(*) FILTER (WHERE owner), count(*) FILTER (WHERE has_authority),
+    count(*) FILTER (WHERE was_sent), count(*) FILTER (WHERE was_signed)
+  FROM s
+  GROUP BY property_type
+  ORDER BY 1, 2;
+$$;
+
+REVOKE EXECUTE ON FUNCTION noleadnola_analytics_funnel(TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION noleadnola_analytics_conversion(TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION noleadnola_analytics_funnel(TIMESTAMPTZ, TIMESTAMPTZ) TO service_role;
+GRANT EXECUTE ON FUNCTION noleadnola_analytics_conversion(TIMESTAMPTZ, TIMESTAMPTZ) TO service_role;
@@ -22,10 +22,24 @@ CREATE TABLE IF NOT EXISTS noleadnola_parcels (
   lot TEXT,                             -- LOT
   centroid_lat DOUBLE PRECISION,        -- Pre-computed from geometry
   centroid_lng DOUBLE PRECISION,        -- Pre-computed from geometry
-  polygon_coords JSONB,                 -- [[lat,lng],...] for Leaflet
+  polygon_coords JSONB,                 -- [[lat,lng],...] outer ring of the largest part
   last_updated TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Columns added for the incremental sync (safe to re-run on an existing table)
+ALTER TABLE noleadnola_parcels
+  ADD COLUMN IF NOT EXISTS attr_hash TEXT,             -- sha256 of the stored attributes + geometry
+  ADD COLUMN IF NOT EXISTS retired_at TIMESTAMPTZ;     -- set when the parcel disappears from ArcGIS
+
+-- Full parcel shape: every part and hole, GeoJSON Polygon/MultiPolygon in [lng, lat]
+ALTER TABLE noleadnola_parcels
+  ADD COLUMN IF NOT EXISTS geometry JSONB;
+
+-- ZIP code of the ZIP area the centroid falls in. The assessor layer has no site
+-- ZIP, so `npm run assign-parcel-zips` fills this from a ZIP boundary file.
+ALTER TABLE noleadnola_parcels
+  ADD COLUMN IF NOT EXISTS zip TEXT;
+
 -- Index for address lookups (trigram for fast ILIKE)
 CREATE INDEX IF NOT EXISTS idx_noleadnola_parcels_address
   ON noleadnola_parcels USING GIN (upper(site_address) gin_trgm_ops);
@@ -34,6 +48,10 @@ CREATE INDEX IF NOT EXISTS idx_noleadnola_parcels_address
 CREATE INDEX IF NOT EXISTS idx_noleadnola_parcels_address_upper
   ON noleadnola_parcels (upper(site_address));
 
+-- Centroid box lookups (offline slices for canvassing tablets)
+CREATE INDEX IF NOT EXISTS idx_noleadnola_parcels_centroid
+  ON noleadnola_parcels (centroid_lat, centroid_lng);
+
 -- Allow public read access via anon key
 ALTER TABLE noleadnola_parcels ENABLE ROW LEVEL SECURITY;
 
@@ -46,3 +64,55 @@ BEGIN
   END IF;
 END
 $$;
+
+-- Candidate search for GET /api/parcels/search. Uses the trigram index above
+-- (word similarity, so partly typed addresses still match); final ranking with
+-- the parsed address components happens in lib/address.js.
+CREATE OR REPLACE FUNCTION noleadnola_search_parcels(
+  search_text TEXT,
+  house_number TEXT DEFAULT NULL,
+  max_results INT DEFAULT 25
+)
+RETURNS TABLE (id BIGINT, site_address TEXT, trigram_score REAL)
+LANGUAGE sql STABLE
+AS $$
+  SELECT p.id, p.site_address, word_similarity(upper(search_text), upper(p.site_address)) AS trigram_score
+  FROM noleadnola_parcels p
+  WHERE upper(search_text) <% upper(p.site_address)
+    AND p.retired_at IS NULL
+  ORDER BY (house_number IS NOT NULL AND split_part(upper(p.site_address), ' ', 1) = house_number) DESC,
+           trigram_score DESC
+  LIMIT max_results;
+$$;
+
+GRANT EXECUTE ON FUNCTION noleadnola_search_parcels(TEXT, TEXT, INT) TO anon, authenticated, service_role;
+
+-- Ownership changes, retirements and reappearances detected by
+-- `npm run sync-parcels` (scripts/download-parcels.js --incremental)
+CREATE TABLE IF NOT EXISTS noleadnola_parcel_history (
+  id                    BIGSERIAL PRIMARY KEY,
+  parcel_object_id      BIGINT NOT NULL,      -- noleadnola_parcels.id (kept after retirement)
+  parcel_id             TEXT,
+  site_address          TEXT,
+  change_type           TEXT NOT NULL CHECK (change_type IN ('ownership', 'retired', 'restored')),
+  previous_owner_name1  TEXT,
+  previous_owner_name2  TEXT,
+  owner_name1           TEXT,
+  owner_name2           TEXT,
+  detected_at           TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE noleadnola_parcel_history ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_parcel_history' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_parcel_history FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_parcel_history_parcel ON noleadnola_parcel_history (parcel_id, detected_at);
+CREATE INDEX IF NOT EXISTS idx_parcel_history_detected ON noleadnola_parcel_history (detected_at DESC);
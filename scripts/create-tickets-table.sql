@@ -0,0 +1,262 @@
+-- Create complaint tickets and their message threads for the ticketing dashboard
+
+-- Case numbers look like CMP-2026-0041
+CREATE SEQUENCE IF NOT EXISTS noleadnola_ticket_seq START 1;
+
+CREATE TABLE IF NOT EXISTS noleadnola_tickets (
+  id              TEXT PRIMARY KEY DEFAULT (
+                    'CMP-' || to_char(NOW(), 'YYYY') || '-' || lpad(nextval('noleadnola_ticket_seq')::text, 4, '0')
+                  ),
+
+  -- Complaint details
+  address         TEXT NOT NULL,
+  customer_name   TEXT NOT NULL,
+  message         TEXT NOT NULL,
+  photo           TEXT,
+
+  -- Workflow
+  status          TEXT NOT NULL DEFAULT 'open'
+                    CHECK (status IN ('open', 'in-progress', 'escalated', 'resolved', 'closed')),
+  urgency         TEXT NOT NULL DEFAULT 'medium'
+                    CHECK (urgency IN ('low', 'medium', 'high')),
+  assigned_to     TEXT,
+  assigned_role   TEXT,
+
+  -- Location (for the dashboard map)
+  lat             DOUBLE PRECISION,
+  lng             DOUBLE PRECISION,
+
+  -- Timestamps
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Messages in a ticket's conversation thread
+CREATE TABLE IF NOT EXISTS noleadnola_ticket_messages (
+  id              BIGSERIAL PRIMARY KEY,
+  ticket_id       TEXT NOT NULL REFERENCES noleadnola_tickets (id) ON DELETE CASCADE,
+
+  type            TEXT NOT NULL CHECK (type IN ('customer', 'contractor', 'staff', 'system')),
+  sender          TEXT,
+  text            TEXT,
+  photo           TEXT,
+
+  -- System card presentation (type = 'system')
+  variant         TEXT,                 -- info | forwarded | connected | ai
+  title           TEXT,
+  icon            TEXT,                 -- check | forward | connected | ai
+  ai_summary      TEXT,
+  ai_generated    BOOLEAN DEFAULT FALSE,
+
+  created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Contractor directory: the crews tickets are assigned to
+CREATE TABLE IF NOT EXISTS noleadnola_contractors (
+  id              BIGSERIAL PRIMARY KEY,
+  name            TEXT NOT NULL,
+  crew_type       TEXT NOT NULL
+                    CHECK (crew_type IN ('plumbing', 'meter', 'excavation', 'restoration', 'inspection', 'general')),
+  service_zips    TEXT[] NOT NULL DEFAULT '{}',   -- ZIP codes the crew covers; empty = anywhere
+  phone           TEXT,
+  email           TEXT,
+  -- noleadnola_staff account (role contractor) that signs in for this crew
+  staff_id        BIGINT UNIQUE,
+  active          BOOLEAN NOT NULL DEFAULT TRUE,
+
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Columns added after the first release (safe to re-run on an existing table)
+ALTER TABLE noleadnola_tickets
+  -- Language to reply to the resident in (en | es | vi)
+  ADD COLUMN IF NOT EXISTS preferred_language TEXT NOT NULL DEFAULT 'en',
+  -- Assessor parcel the address matched; lat/lng are then its centroid
+  ADD COLUMN IF NOT EXISTS parcel_id TEXT,
+  -- What the complaint is about; SLA policies can differ per category
+  ADD COLUMN IF NOT EXISTS category TEXT NOT NULL DEFAULT 'other',
+  -- SLA deadlines (lib/sla.js), set from the matching policy when the ticket is created
+  ADD COLUMN IF NOT EXISTS response_due_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS resolution_due_at TIMESTAMPTZ,
+  -- First staff or contractor reply, and when the ticket was last resolved or closed
+  ADD COLUMN IF NOT EXISTS first_response_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ,
+  -- Set when the SLA scheduler escalated the ticket, so it only does that once
+  ADD COLUMN IF NOT EXISTS sla_escalated_at TIMESTAMPTZ,
+  -- ZIP of the matched parcel (or the address), to suggest contractors serving it
+  ADD COLUMN IF NOT EXISTS zip TEXT,
+  -- Assigned contractor; assigned_to / assigned_role keep its name and crew type for display
+  ADD COLUMN IF NOT EXISTS contractor_id BIGINT REFERENCES noleadnola_contractors (id),
+  ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ,
+  -- The assigned contractor's first reply, and their report that the work is done
+  ADD COLUMN IF NOT EXISTS contractor_connected_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS work_completed_at TIMESTAMPTZ,
+  -- Where to send the resident received / resolved notices (optional)
+  ADD COLUMN IF NOT EXISTS customer_email TEXT,
+  ADD COLUMN IF NOT EXISTS customer_phone TEXT;
+
+-- SLA targets per urgency and category ('any' applies to every category
+-- without its own row). Edit through PUT /api/sla/policies.
+CREATE TABLE IF NOT EXISTS noleadnola_sla_policies (
+  category                TEXT NOT NULL DEFAULT 'any',
+  urgency                 TEXT NOT NULL CHECK (urgency IN ('low', 'medium', 'high')),
+  first_response_minutes  INTEGER NOT NULL CHECK (first_response_minutes > 0),
+  resolution_minutes      INTEGER NOT NULL CHECK (resolution_minutes >= first_response_minutes),
+  updated_at              TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (category, urgency)
+);
+
+INSERT INTO noleadnola_sla_policies (category, urgency, first_response_minutes, resolution_minutes) VALUES
+  ('any', 'high', 240, 1440),
+  ('any', 'medium', 1440, 7200),
+  ('any', 'low', 2880, 14400)
+ON CONFLICT (category, urgency) DO NOTHING;
+
+-- Tickets from before SLAs: first replies and resolutions from the thread, then
+-- deadlines from the 'any' policies. Open tickets already past theirs are
+-- escalated by the next scheduler run.
+UPDATE noleadnola_tickets t
+SET first_response_at = (
+  SELECT min(m.created_at) FROM noleadnola_ticket_messages m
+  WHERE m.ticket_id = t.id AND m.type IN ('staff', 'contractor')
+)
+WHERE t.first_response_at IS NULL;
+
+UPDATE noleadnola_tickets
+SET resolved_at = updated_at
+WHERE resolved_at IS NULL AND status IN ('resolved', 'closed');
+
+UPDATE noleadnola_tickets t
+SET response_due_at = t.created_at + make_interval(mins => p.first_response_minutes),
+    resolution_due_at = t.created_at + make_interval(mins => p.resolution_minutes)
+FROM noleadnola_sla_policies p
+WHERE t.response_due_at IS NULL AND p.category = 'any' AND p.urgency = t.urgency;
+
+-- RLS: service_role only — tickets contain resident names and complaints
+ALTER TABLE noleadnola_tickets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE noleadnola_ticket_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE noleadnola_sla_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE noleadnola_contractors ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_tickets' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_tickets FOR ALL TO service_role USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_ticket_messages' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_ticket_messages FOR ALL TO service_role USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_sla_policies' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_sla_policies FOR ALL TO service_role USING (true);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_contractors' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_contractors FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
+
+-- Indexes for the dashboard list and thread lookups
+CREATE INDEX IF NOT EXISTS idx_tickets_status ON noleadnola_tickets (status);
+CREATE INDEX IF NOT EXISTS idx_tickets_created_at ON noleadnola_tickets (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket ON noleadnola_ticket_messages (ticket_id, id);
+CREATE INDEX IF NOT EXISTS idx_tickets_contractor ON noleadnola_tickets (contractor_id);
+
+-- Open tickets by deadline, for the SLA scheduler
+CREATE INDEX IF NOT EXISTS idx_tickets_resolution_due ON noleadnola_tickets (resolution_due_at)
+  WHERE status IN ('open', 'in-progress') AND sla_escalated_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tickets_response_due ON noleadnola_tickets (response_due_at)
+  WHERE status IN ('open', 'in-progress') AND sla_escalated_at IS NULL AND first_response_at IS NULL;
+
+-- Uploaded photo evidence (files live in the storage adapter, see lib/storage.js)
+CREATE TABLE IF NOT EXISTS noleadnola_photos (
+  id              BIGSERIAL PRIMARY KEY,
+  storage_key     TEXT NOT NULL,
+  thumbnail_key   TEXT NOT NULL,
+  content_type    TEXT NOT NULL DEFAULT 'image/jpeg',
+  width           INTEGER,
+  height          INTEGER,
+  size_bytes      INTEGER,
+  original_name   TEXT,
+
+  -- Set once the photo is attached to a ticket / message
+  ticket_id       TEXT REFERENCES noleadnola_tickets (id) ON DELETE CASCADE,
+  message_id      BIGINT REFERENCES noleadnola_ticket_messages (id) ON DELETE CASCADE,
+
+  created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE noleadnola_photos ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies WHERE tablename = 'noleadnola_photos' AND policyname = 'Service role full access'
+  ) THEN
+    CREATE POLICY "Service role full access" ON noleadnola_photos FOR ALL TO service_role USING (true);
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_photos_message ON noleadnola_photos (message_id);
+CREATE INDEX IF NOT EXISTS idx_photos_ticket ON noleadnola_photos (ticket_id);
+
+-- Program analytics (GET /api/analytics): tickets opened between from_time and
+-- to_time (either may be NULL) per contractor and per urgency, plus one 'all'
+-- row, with minutes from opening to the first staff or contractor reply and to
+-- resolution. A reopened ticket counts as unresolved until it is resolved again.
+CREATE OR REPLACE FUNCTION noleadnola_analytics_tickets(
+  from_time TIMESTAMPTZ DEFAULT NULL,
+  to_time TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  kind TEXT, value TEXT, label TEXT, tickets BIGINT,
+  responded BIGINT, median_response_minutes DOUBLE PRECISION, avg_response_minutes DOUBLE PRECISION,
+  resolved BIGINT, median_resolution_minutes DOUBLE PRECISION, avg_resolution_minutes DOUBLE PRECISION
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH t AS (
+    SELECT
+      t.urgency,
+      t.contractor_id::TEXT AS contractor_id,
+      c.name AS contractor_name,
+      extract(epoch FROM t.first_response_at - t.created_at) / 60 AS response_minutes,
+      extract(epoch FROM t.resolved_at - t.created_at) / 60 AS resolution_minutes
+    FROM noleadnola_tickets t
+    LEFT JOIN noleadnola_contractors c ON c.id = t.contractor_id
+    WHERE (from_time IS NULL OR t.created_at >= from_time)
+      AND (to_time IS NULL OR t.created_at <= to_time)
+  ),
+  grouped AS (
+    SELECT 'all' AS kind, NULL AS value, NULL AS label, t.* FROM t
+    UNION ALL
+    SELECT 'contractor', contractor_id, contractor_name, t.* FROM t
+    UNION ALL
+    SELECT 'urgency', urgency, urgency, t.* FROM t
+  )
+  SELECT kind, value, min(label), count(*),
+    count(response_minutes),
+    percentile_cont(0.5) WITHIN GROUP (ORDER BY response_minutes),
+    avg(response_minutes),
+    count(resolution_minutes),
+    percentile_cont(0.5) WITHIN GROUP (ORDER BY resolution_minutes),
+    avg(resolution_minutes)
+  FROM grouped
+  GROUP BY kind, value
+  ORDER BY 1, 2;
+$$;
+
+REVOKE EXECUTE ON FUNCTION noleadnola_analytics_tickets(TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION noleadnola_analytics_tickets(TIMESTAMPTZ, TIMESTAMPTZ) TO service_role;
@@ -3,19 +3,25 @@
 /**
  * Bulk-download all Orleans Parish parcels from ArcGIS and upsert into Supabase.
  *
- * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node scripts/download-parcels.js [START_ID] [CONCURRENCY]
+ * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node scripts/download-parcels.js [--incremental] [START_ID] [CONCURRENCY]
  *
  * Pass START_ID to resume from a specific OBJECTID (e.g., after a crash).
  * Pass CONCURRENCY to control parallel ArcGIS requests (default: 5, max: 10).
  *
- * Uses OBJECTID range queries instead of offset pagination — much faster
- * because ArcGIS can use the index directly without sorting.
+ * --incremental (npm run sync-parcels) is the nightly refresh: it compares an
+ * attribute hash per parcel and only writes rows that changed, marks parcels
+ * that disappeared from ArcGIS as retired, and records ownership changes in
+ * noleadnola_parcel_history. A full run upserts everything and stores hashes.
  *
- * OBJECTID range: 102,079,250 — 102,241,234 (sequential, ~162K parcels)
+ * Uses OBJECTID range queries instead of offset pagination — much faster
+ * because ArcGIS can use the index directly without sorting. The current
+ * OBJECTID range is read from the service; the constants below are only a
+ * fallback if that query fails.
  */
 
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
+const { ARCGIS_FIELDS, transformFeature, withHash, upsertParcels } = require('../lib/parcels');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
@@ -28,19 +34,22 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
 
 const ARCGIS_BASE = 'https://gis.nola.gov/arcgis/rest/services/GovernmentServices/LandBaseServices/MapServer/0/query';
-const OUT_FIELDS = 'OBJECTID,SITEADDRESS,OWNERNME1,OWNERNME2,PARCELID,CLASSDSCRP,PRPRTYDSCRP,RESYRBLT,RESFLRAREA,ASS_SQFT,ASS_DIMS,LNDVALUE,CNTASSDVAL,CNTTXBLVAL,TAXBILLID,BLOCK,LOT';
+const OUT_FIELDS = ARCGIS_FIELDS.join(',');
 
-// OBJECTID range (from exploration of the dataset)
-const DEFAULT_MIN_ID = 102079250;
-const MAX_ID = 102241235; // exclusive upper bound (max found + 1)
+// Fallback OBJECTID range (from exploration of the dataset, Feb 2026)
+const FALLBACK_MIN_ID = 102079250;
+const FALLBACK_MAX_ID = 102241235; // exclusive upper bound (max found + 1)
 const RANGE_STEP = 2500; // ArcGIS maxRecordCount is 2500 — max out each request
-const UPSERT_BATCH = 500; // Supabase upsert batch size
 const FETCH_TIMEOUT = 120000;
+const SELECT_PAGE_SIZE = 1000; // PostgREST caps each response at 1,000 rows
 const MAX_RETRIES = 5;
-const UPSERT_RETRIES = 3;
+
+const args = process.argv.slice(2);
+const INCREMENTAL = args.includes('--incremental');
+const positional = args.filter(a => !a.startsWith('--'));
 
 // Allow resuming from a specific OBJECTID
-const START_ID = process.argv[2] ? parseInt(process.argv[2], 10) : DEFAULT_MIN_ID;
+const START_ID = positional[0] ? parseInt(positional[0], 10) : null;
 
 /**
  * Fetch with timeout and retry (with exponential backoff)
@@ -82,72 +91,144 @@ async function fetchRange(startId, endId) {
 }
 
 /**
- * Transform an ArcGIS feature into a Supabase row
+ * Ask ArcGIS for the current OBJECTID range so parcels added outside the
+ * original range are picked up. Returns { minId, maxId } with maxId exclusive.
  */
-function transformFeature(feature) {
-  const a = feature.attributes;
-  let centroid_lat = null, centroid_lng = null, polygon_coords = null;
-
-  if (feature.geometry && feature.geometry.rings && feature.geometry.rings.length > 0) {
-    const ring = feature.geometry.rings[0];
-    if (ring.length > 0) {
-      const sumX = ring.reduce((s, pt) => s + pt[0], 0);
-      const sumY = ring.reduce((s, pt) => s + pt[1], 0);
-      centroid_lng = sumX / ring.length;
-      centroid_lat = sumY / ring.length;
-      polygon_coords = ring.map(pt => [pt[1], pt[0]]);
-    }
+async function discoverIdRange() {
+  const params = new URLSearchParams({
+    where: '1=1',
+    outStatistics: JSON.stringify([
+      { statisticType: 'min', onStatisticField: 'OBJECTID', outStatisticFieldName: 'MIN_ID' },
+      { statisticType: 'max', onStatisticField: 'OBJECTID', outStatisticFieldName: 'MAX_ID' },
+    ]),
+    f: 'json',
+  });
+  try {
+    const data = await fetchWithRetry(`${ARCGIS_BASE}?${params}`, 2);
+    const stats = data.features?.[0]?.attributes || {};
+    const minId = stats.MIN_ID ?? stats.min_id;
+    const maxId = stats.MAX_ID ?? stats.max_id;
+    if (!Number.isFinite(minId) || !Number.isFinite(maxId)) throw new Error(data.error ? JSON.stringify(data.error) : 'no statistics returned');
+    return { minId, maxId: maxId + 1, discovered: true };
+  } catch (err) {
+    console.warn(`Could not read OBJECTID range from ArcGIS (${err.message.slice(0, 100)}) — using ${FALLBACK_MIN_ID}–${FALLBACK_MAX_ID}`);
+    return { minId: FALLBACK_MIN_ID, maxId: FALLBACK_MAX_ID, discovered: false };
   }
+}
 
+/**
+ * Every row a Supabase select matches, read SELECT_PAGE_SIZE at a time.
+ * `build` returns a fresh query each call (a builder can only run once).
+ */
+async function selectAll(build) {
+  const rows = [];
+  for (let from = 0; ; from += SELECT_PAGE_SIZE) {
+    const { data, error } = await build().order('id').range(from, from + SELECT_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < SELECT_PAGE_SIZE) return rows;
+  }
+}
+
+function sameOwner(a, b) {
+  return (a.owner_name1 || null) === (b.owner_name1 || null) && (a.owner_name2 || null) === (b.owner_name2 || null);
+}
+
+async function insertHistory(entries) {
+  if (!entries.length) return;
+  const { error } = await supabase.from('noleadnola_parcel_history').insert(entries);
+  if (error) throw error;
+}
+
+function historyEntry(changeType, existing, row, detectedAt) {
   return {
-    id: a.OBJECTID,
-    site_address: a.SITEADDRESS || null,
-    owner_name1: a.OWNERNME1 || null,
-    owner_name2: a.OWNERNME2 || null,
-    parcel_id: a.PARCELID || null,
-    property_type: a.CLASSDSCRP || null,
-    property_desc: a.PRPRTYDSCRP || null,
-    year_built: a.RESYRBLT || null,
-    living_area: a.RESFLRAREA || null,
-    lot_sqft: a.ASS_SQFT != null ? String(a.ASS_SQFT) : null,
-    lot_dims: a.ASS_DIMS || null,
-    land_value: a.LNDVALUE || null,
-    assessed_value: a.CNTASSDVAL || null,
-    taxable_value: a.CNTTXBLVAL || null,
-    tax_bill_id: a.TAXBILLID || null,
-    block: a.BLOCK || null,
-    lot: a.LOT || null,
-    centroid_lat,
-    centroid_lng,
-    polygon_coords,
+    parcel_object_id: existing.id,
+    parcel_id: (row || existing).parcel_id || null,
+    site_address: (row || existing).site_address || null,
+    change_type: changeType,
+    previous_owner_name1: existing.owner_name1 || null,
+    previous_owner_name2: existing.owner_name2 || null,
+    owner_name1: row ? row.owner_name1 || null : null,
+    owner_name2: row ? row.owner_name2 || null : null,
+    detected_at: detectedAt,
   };
 }
 
 /**
- * Upsert rows into Supabase with retry on transient errors
+ * Incremental sync of one OBJECTID chunk: compare hashes with what Supabase
+ * has, upsert new/changed rows, retire rows ArcGIS no longer returns and log
+ * ownership changes. Only called for chunks ArcGIS answered successfully, so
+ * a failed fetch never retires anything.
  */
-async function upsertRows(rows) {
-  let upserted = 0;
-  for (let i = 0; i < rows.length; i += UPSERT_BATCH) {
-    const batch = rows.slice(i, i + UPSERT_BATCH);
-    for (let attempt = 1; attempt <= UPSERT_RETRIES; attempt++) {
-      const { error } = await supabase
-        .from('noleadnola_parcels')
-        .upsert(batch, { onConflict: 'id' });
-      if (!error) {
-        upserted += batch.length;
-        break;
-      }
-      if (attempt === UPSERT_RETRIES) {
-        console.error(`  Upsert failed after ${UPSERT_RETRIES} retries:`, error.message.slice(0, 200));
-        throw error;
-      }
-      const wait = attempt * 10000;
-      console.log(`    Upsert retry ${attempt}/${UPSERT_RETRIES} in ${wait/1000}s: ${error.message.slice(0, 100)}`);
-      await new Promise(r => setTimeout(r, wait));
-    }
+async function syncChunk(chunk, rows) {
+  // A 2,500-ID chunk holds more rows than one response returns
+  const existing = await selectAll(() => supabase
+    .from('noleadnola_parcels')
+    .select('id, attr_hash, owner_name1, owner_name2, parcel_id, site_address, retired_at')
+    .gte('id', chunk.start)
+    .lt('id', chunk.end));
+
+  const existingById = new Map(existing.map(r => [r.id, r]));
+  const seen = new Set();
+  const changed = [];
+  const history = [];
+  const now = new Date().toISOString();
+
+  for (const row of rows.map(withHash)) {
+    seen.add(row.id);
+    const prev = existingById.get(row.id);
+    if (prev && prev.attr_hash === row.attr_hash && !prev.retired_at) continue;
+    changed.push(row);
+    if (!prev) continue;
+    if (prev.retired_at) history.push(historyEntry('restored', prev, row, now));
+    if (!sameOwner(prev, row)) history.push(historyEntry('ownership', prev, row, now));
+  }
+
+  const retired = existing.filter(r => !seen.has(r.id) && !r.retired_at);
+  for (const r of retired) history.push(historyEntry('retired', r, null, now));
+
+  const upserted = changed.length ? await upsertRows(changed) : 0;
+  if (retired.length) {
+    const { error: retireError } = await supabase
+      .from('noleadnola_parcels')
+      .update({ retired_at: now })
+      .in('id', retired.map(r => r.id));
+    if (retireError) throw retireError;
   }
-  return upserted;
+  await insertHistory(history);
+
+  return {
+    upserted,
+    unchanged: rows.length - changed.length,
+    retired: retired.length,
+    ownershipChanges: history.filter(h => h.change_type === 'ownership').length,
+  };
+}
+
+/**
+ * Parcels below/above the current ArcGIS range can't be seen chunk by chunk —
+ * retire them in one pass after a complete incremental run.
+ */
+async function retireOutsideRange(minId, maxId) {
+  const stale = await selectAll(() => supabase
+    .from('noleadnola_parcels')
+    .select('id, owner_name1, owner_name2, parcel_id, site_address')
+    .is('retired_at', null)
+    .or(`id.lt.${minId},id.gte.${maxId}`));
+  if (!stale.length) return 0;
+
+  const now = new Date().toISOString();
+  const { error: retireError } = await supabase
+    .from('noleadnola_parcels')
+    .update({ retired_at: now })
+    .in('id', stale.map(r => r.id));
+  if (retireError) throw retireError;
+  await insertHistory(stale.map(r => historyEntry('retired', r, null, now)));
+  return stale.length;
+}
+
+function upsertRows(rows) {
+  return upsertParcels(supabase, rows);
 }
 
 /**
@@ -155,7 +236,7 @@ async function upsertRows(rows) {
  * ArcGIS only handles 1 request at a time (~40s each regardless of batch size),
  * so we overlap the Supabase write with the next ArcGIS fetch.
  */
-async function runPipeline(chunks) {
+async function runPipeline(chunks, processChunk) {
   let totalFetched = 0;
   let totalUpserted = 0;
   const failedChunks = [];
@@ -190,14 +271,16 @@ async function runPipeline(chunks) {
       pendingUpsert = null;
     }
 
-    if (!data.features || data.features.length === 0) continue;
+    const features = data.features || [];
+    // Empty chunks still matter to an incremental sync — their parcels may have been retired
+    if (features.length === 0 && !INCREMENTAL) continue;
 
-    totalFetched += data.features.length;
-    console.log(`  Fetched ${data.features.length} records`);
+    totalFetched += features.length;
+    console.log(`  Fetched ${features.length} records`);
 
-    const rows = data.features.map(transformFeature);
+    const rows = features.map(transformFeature);
     // Fire off upsert in background — it runs while next ArcGIS fetch starts
-    pendingUpsert = upsertRows(rows).catch(err => {
+    pendingUpsert = processChunk(chunk, rows).catch(err => {
       console.error(`  FAILED upsert ${chunk.start}-${chunk.end}: ${err.message.slice(0, 120)}`);
       failedChunks.push(chunk);
       return 0;
@@ -217,24 +300,38 @@ async function runPipeline(chunks) {
 }
 
 async function main() {
-  const totalRange = MAX_ID - START_ID;
+  const { minId, maxId, discovered } = await discoverIdRange();
+  const startId = START_ID ?? minId;
+  const totalRange = maxId - startId;
   const totalChunks = Math.ceil(totalRange / RANGE_STEP);
 
-  console.log('=== Orleans Parish Parcel Download ===');
-  console.log(`OBJECTID range: ${START_ID} — ${MAX_ID}`);
-  if (START_ID !== DEFAULT_MIN_ID) console.log(`(Resuming from ${START_ID})`);
+  console.log(`=== Orleans Parish Parcel ${INCREMENTAL ? 'Sync (incremental)' : 'Download'} ===`);
+  console.log(`OBJECTID range: ${startId} — ${maxId}${discovered ? ' (from ArcGIS)' : ' (fallback)'}`);
+  if (START_ID != null) console.log(`(Resuming from ${START_ID})`);
   console.log(`Range step: ${RANGE_STEP} (ArcGIS max: 2500) | Chunks: ${totalChunks}`);
   console.log(`Estimated time: ~${Math.ceil(totalChunks * 42 / 60)} minutes`);
   console.log(`Supabase: ${SUPABASE_URL}\n`);
 
   // Build all chunk ranges
   const chunks = [];
-  for (let start = START_ID; start < MAX_ID; start += RANGE_STEP) {
-    chunks.push({ start, end: Math.min(start + RANGE_STEP, MAX_ID) });
+  for (let start = startId; start < maxId; start += RANGE_STEP) {
+    chunks.push({ start, end: Math.min(start + RANGE_STEP, maxId) });
   }
 
+  // Full runs upsert every row (with its hash); incremental runs only write what changed
+  const syncStats = { unchanged: 0, retired: 0, ownershipChanges: 0 };
+  const processChunk = INCREMENTAL
+    ? async (chunk, rows) => {
+      const result = await syncChunk(chunk, rows);
+      syncStats.unchanged += result.unchanged;
+      syncStats.retired += result.retired;
+      syncStats.ownershipChanges += result.ownershipChanges;
+      return result.upserted;
+    }
+    : (chunk, rows) => upsertRows(rows.map(withHash));
+
   // Pipeline run: sequential ArcGIS fetches, overlapped Supabase upserts
-  let { totalFetched, totalUpserted, failedChunks, startTime } = await runPipeline(chunks);
+  let { totalFetched, totalUpserted, failedChunks, startTime } = await runPipeline(chunks, processChunk);
 
   // Retry failed chunks with longer delays
   if (failedChunks.length > 0) {
@@ -245,11 +342,12 @@ async function main() {
       await new Promise(r => setTimeout(r, 30000));
       try {
         const data = await fetchRange(chunk.start, chunk.end);
-        if (data.features && data.features.length > 0) {
-          totalFetched += data.features.length;
-          const rows = data.features.map(transformFeature);
-          totalUpserted += await upsertRows(rows);
-          console.log(`  OK: ${data.features.length} records`);
+        const features = data.features || [];
+        if (features.length > 0 || INCREMENTAL) {
+          totalFetched += features.length;
+          const rows = features.map(transformFeature);
+          totalUpserted += await processChunk(chunk, rows);
+          console.log(`  OK: ${features.length} records`);
         }
       } catch (err) {
         console.error(`  Still failed ${chunk.start}-${chunk.end}: ${err.message.slice(0, 100)}`);
@@ -259,15 +357,25 @@ async function main() {
     failedChunks = stillFailed;
   }
 
+  // Only trust the range boundaries when the whole range was walked successfully
+  if (INCREMENTAL && discovered && START_ID == null && failedChunks.length === 0) {
+    syncStats.retired += await retireOutsideRange(minId, maxId);
+  }
+
   const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
   console.log('\n=== Download Complete ===');
   console.log(`Total fetched: ${totalFetched}`);
   console.log(`Total upserted: ${totalUpserted}`);
+  if (INCREMENTAL) {
+    console.log(`Unchanged: ${syncStats.unchanged}`);
+    console.log(`Retired: ${syncStats.retired}`);
+    console.log(`Ownership changes: ${syncStats.ownershipChanges}`);
+  }
   console.log(`Time: ${totalTime}s`);
   if (failedChunks.length > 0) {
     console.log(`\nFailed chunks (${failedChunks.length}):`);
     for (const c of failedChunks) console.log(`  ${c.start}-${c.end}`);
-    console.log(`\nRe-run with: NODE_TLS_REJECT_UNAUTHORIZED=0 node scripts/download-parcels.js ${failedChunks[0].start}`);
+    console.log(`\nRe-run with: NODE_TLS_REJECT_UNAUTHORIZED=0 node scripts/download-parcels.js ${INCREMENTAL ? '--incremental ' : ''}${failedChunks[0].start}`);
   }
 }
 
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Import parcels from a local export instead of the ArcGIS service.
+ *
+ * Usage: npm run import-parcels -- <file> [--from <crs>] [--dry-run]
+ *
+ * <file> can be:
+ *   .geojson / .json  GeoJSON FeatureCollection, or a saved ArcGIS query
+ *                     response (f=json) with attributes + rings
+ *   .zip              zipped Shapefile (.shp + .dbf, .prj recommended)
+ *   .csv              CSV with the assessor columns and an optional WKT
+ *                     geometry column (WKT, GEOMETRY, SHAPE or THE_GEOM)
+ *
+ * Field names are the gis.nola.gov ones (OBJECTID, SITEADDRESS, OWNERNME1 …),
+ * matched case-insensitively, and every record goes through the same
+ * transformFeature mapping as download-parcels. Coordinates are reprojected to
+ * WGS84 using the file's CRS (GeoJSON "crs", ArcGIS spatialReference or the
+ * Shapefile .prj); pass --from (e.g. EPSG:3452) when the file doesn't say.
+ *
+ * Polygons are validated before anything is written. Records with a broken
+ * polygon or no OBJECTID are skipped and listed at the end; --dry-run stops
+ * after validation. Use this to seed dev/test databases or to recover when
+ * gis.nola.gov is down. It upserts only — nothing is retired and no ownership
+ * history is recorded; the next sync-parcels run picks up from here. Records
+ * without geometry (or a CSV without a WKT column) update the attributes only,
+ * keeping whatever shape and centroid the parcel already has.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const proj4 = require('proj4');
+const shapefile = require('shapefile');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { createClient } = require('@supabase/supabase-js');
+const { ARCGIS_FIELDS, transformFeature, withHash, upsertParcels } = require('../lib/parcels');
+const { ringArea } = require('../lib/geometry');
+
+// State plane systems the city and parish publish in, plus Web Mercator
+proj4.defs([
+  ['EPSG:3452', '+proj=lcc +lat_0=28.5 +lon_0=-91.3333333333333 +lat_1=30.7 +lat_2=29.3 +x_0=999999.999996 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=us-ft +no_defs'],
+  ['EPSG:6479', '+proj=lcc +lat_0=28.5 +lon_0=-91.3333333333333 +lat_1=30.7 +lat_2=29.3 +x_0=999999.999996 +y_0=0 +ellps=GRS80 +units=us-ft +no_defs'],
+]);
+proj4.defs('ESRI:102682', proj4.defs('EPSG:3452'));  // NAD 1983 StatePlane Louisiana South FIPS 1702 Feet
+proj4.defs('ESRI:102100', proj4.defs('EPSG:3857'));  // ArcGIS's Web Mercator wkid
+
+const WGS84_CODES = new Set(['EPSG:4326', 'EPSG:4269', 'OGC:CRS84']);
+
+// Orleans Parish with a margin — anything outside is almost always a wrong CRS
+const BOUNDS = { minLng: -90.3, maxLng: -89.4, minLat: 29.7, maxLat: 30.4 };
+
+const NUMERIC_FIELDS = new Set(['OBJECTID', 'RESYRBLT', 'RESFLRAREA', 'ASS_SQFT', 'LNDVALUE', 'CNTASSDVAL', 'CNTTXBLVAL']);
+// Shapefile (.dbf) field names are cut to 10 characters: SITEADDRESS → SITEADDRES
+const FIELD_NAMES = new Map(ARCGIS_FIELDS.flatMap(f => [[f, f], [f.slice(0, 10), f]]));
+const WKT_COLUMNS = ['WKT', 'GEOMETRY', 'SHAPE', 'THE_GEOM'];
+// Written only from a record that has geometry
+const GEOMETRY_COLUMNS = ['centroid_lat', 'centroid_lng', 'polygon_coords', 'geometry'];
+const MAX_LISTED_SKIPS = 20;
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const fromIndex = args.indexOf('--from');
+const FROM_CRS = fromIndex >= 0 ? args[fromIndex + 1] : null;
+const FILE = args.find((a, i) => !a.startsWith('--') && (fromIndex < 0 || i !== fromIndex + 1));
+
+// ─── Readers ────────────────────────────────────────────────────────────────
+// Each returns { records: [{ properties, geometry }], crs } where geometry is
+// GeoJSON-shaped ({ type, coordinates }) or { rings } from ArcGIS, in the
+// file's own coordinate system.
+
+function readGeoJson(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // Saved ArcGIS query response
+  if (Array.isArray(data.features) && data.features.some(f => f.attributes)) {
+    const sr = data.spatialReference || {};
+    return {
+      records: data.features.map(f => ({ properties: f.attributes, geometry: f.geometry || null })),
+      crs: sr.latestWkid || sr.wkid ? `EPSG:${sr.latestWkid || sr.wkid}` : null,
+    };
+  }
+
+  const features = data.type === 'FeatureCollection' ? data.features : data.type === 'Feature' ? [data] : null;
+  if (!features) throw new Error('Expected a GeoJSON FeatureCollection or an ArcGIS query response');
+  return {
+    records: features.map(f => ({ properties: f.properties || {}, geometry: f.geometry || null })),
+    crs: data.crs?.properties?.name || null,
+  };
+}
+
+async function readShapefile(file) {
+  const zip = new AdmZip(file);
+  const entries = zip.getEntries().filter(e => !e.isDirectory && !e.entryName.startsWith('__MACOSX/'));
+  const shp = entries.find(e => /\.shp$/i.test(e.entryName));
+  if (!shp) throw new Error('No .shp file found in the zip');
+
+  const base = shp.entryName.replace(/\.shp$/i, '').toLowerCase();
+  const sibling = (ext) => entries.find(e => e.entryName.toLowerCase() === `${base}.${ext}`);
+  const dbf = sibling('dbf');
+  if (!dbf) throw new Error(`No .dbf file next to ${shp.entryName}`);
+  const prj = sibling('prj');
+  const cpg = sibling('cpg');
+
+  const collection = await shapefile.read(
+    toArrayBuffer(shp.getData()),
+    toArrayBuffer(dbf.getData()),
+    { encoding: cpg ? cpg.getData().toString('utf8').trim() : 'utf-8' }
+  );
+  return {
+    records: collection.features.map(f => ({ properties: f.properties || {}, geometry: f.geometry || null })),
+    crs: prj ? prj.getData().toString('utf8').trim() : null,
+  };
+}
+
+function toArrayBuffer(buffer) {
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+function readCsv(file) {
+  const rows = parseCsv(fs.readFileSync(file), { columns: true, skip_empty_lines: true, bom: true, trim: true });
+  const wktColumn = rows.length ? Object.keys(rows[0]).find(k => WKT_COLUMNS.includes(k.toUpperCase())) : null;
+  if (!wktColumn) console.warn('No WKT geometry column found — only attributes will be imported; existing shapes and centroids are kept');
+
+  return {
+    records: rows.map(row => {
+      const { [wktColumn]: wkt, ...properties } = row;
+      return { properties, geometry: wktColumn ? parseWkt(wkt) : null, rawGeometry: wkt };
+    }),
+    crs: null,
+  };
+}
+
+/**
+ * Parse a WKT POLYGON or MULTIPOLYGON (Z/M values dropped) into a GeoJSON
+ * geometry. Returns null for empty or unreadable text.
+ */
+function parseWkt(text) {
+  const match = String(text || '').trim().match(/^(MULTIPOLYGON|POLYGON)\s*(?:ZM|Z|M)?\s*(\(.*\))$/is);
+  if (!match) return null;
+  const number = '-?\\d+(?:\\.\\d+)?(?:[eE][-+]?\\d+)?';
+  const json = match[2]
+    .replace(new RegExp(`(${number})\\s+(${number})(?:\\s+${number})*`, 'g'), '[$1,$2]')
+    .replace(/\(/g, '[')
+    .replace(/\)/g, ']');
+  try {
+    return { type: match[1].toUpperCase() === 'POLYGON' ? 'Polygon' : 'MultiPolygon', coordinates: JSON.parse(json) };
+  } catch {
+    return null;
+  }
+}
+
+// ─── Geometry ───────────────────────────────────────────────────────────────
+
+// Returns a [x, y] → [lng, lat] function, or null when the data is already WGS84
+function projectionFor(crs) {
+  if (!crs) return null;
+  let source = String(crs).trim();
+  const epsg = source.match(/^(?:urn:ogc:def:crs:)?(EPSG|ESRI)::?(?:[\d.]*:)?(\d+)$/i);
+  if (epsg) source = `${epsg[1].toUpperCase()}:${epsg[2]}`;
+  if (/CRS84$/i.test(source)) source = 'OGC:CRS84';
+  if (/^\d+$/.test(source)) source = `EPSG:${source}`;
+  if (WGS84_CODES.has(source)) return null;
+  if (/^GEOGCS\[/i.test(source) && /WGS[ _]?(?:19)?84|NAD[ _]?(?:19)?83/i.test(source)) return null;
+
+  let converter;
+  try {
+    converter = proj4(source, 'EPSG:4326');
+  } catch {
+    throw new Error(`Unknown coordinate system "${source.slice(0, 80)}" — pass --from with a known code such as EPSG:3452`);
+  }
+  return (pt) => converter.forward([pt[0], pt[1]]);
+}
+
+// Flatten a GeoJSON Polygon/MultiPolygon or ArcGIS geometry into ArcGIS-style rings
+function toRings(geometry) {
+  if (!geometry) return null;
+  if (Array.isArray(geometry.rings)) return geometry.rings;
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+  return undefined;
+}
+
+// Returns a reason string for an unusable polygon, or null when it's fine
+function validateRings(rings) {
+  if (!rings.length) return 'empty polygon';
+  for (const ring of rings) {
+    if (!Array.isArray(ring) || ring.length < 4) return 'ring with fewer than 4 points';
+    if (ring.some(pt => !Number.isFinite(pt[0]) || !Number.isFinite(pt[1]))) return 'non-numeric coordinates';
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) return 'ring is not closed';
+    if (ring.some(([lng, lat]) => lng < BOUNDS.minLng || lng > BOUNDS.maxLng || lat < BOUNDS.minLat || lat > BOUNDS.maxLat)) {
+      return 'outside Orleans Parish (wrong coordinate system? try --from)';
+    }
+  }
+  if (ringArea(rings[0]) === 0) return 'zero-area outer ring';
+  return null;
+}
+
+// ─── Records ────────────────────────────────────────────────────────────────
+
+// Uppercase the field names and give numeric fields numbers, so a CSV row
+// hashes the same as the ArcGIS feature it came from
+function normalizeAttributes(properties) {
+  const attributes = {};
+  for (const [key, value] of Object.entries(properties)) {
+    const field = FIELD_NAMES.get(key.toUpperCase());
+    if (!field) continue;
+    let v = typeof value === 'string' ? value.trim() : value;
+    if (v === '') v = null;
+    if (NUMERIC_FIELDS.has(field) && typeof v === 'string' && Number.isFinite(Number(v.replace(/,/g, '')))) {
+      v = Number(v.replace(/,/g, ''));
+    }
+    attributes[field] = v ?? null;
+  }
+  return attributes;
+}
+
+// The row without its geometry columns, so the upsert leaves the stored shape alone
+function withoutGeometryColumns(row) {
+  return Object.fromEntries(Object.entries(row).filter(([key]) => !GEOMETRY_COLUMNS.includes(key)));
+}
+
+function toFeature(record, project) {
+  const attributes = normalizeAttributes(record.properties);
+  if (!Number.isInteger(attributes.OBJECTID)) return { error: 'missing or non-integer OBJECTID' };
+
+  if (record.rawGeometry && !record.geometry) return { attributes, error: 'unreadable WKT geometry' };
+  const rings = toRings(record.geometry);
+  if (rings === undefined) return { attributes, error: `unsupported geometry type ${record.geometry.type}` };
+  if (!rings) return { feature: { attributes, geometry: null } };
+
+  const projected = project ? rings.map(ring => ring.map(project)) : rings.map(ring => ring.map(pt => [pt[0], pt[1]]));
+  const error = validateRings(projected);
+  if (error) return { attributes, error };
+  return { feature: { attributes, geometry: { rings: projected } } };
+}
+
+async function readFile(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.geojson' || ext === '.json') return readGeoJson(file);
+  if (ext === '.zip') return readShapefile(file);
+  if (ext === '.csv') return readCsv(file);
+  throw new Error(`Unsupported file type "${ext}" — expected .geojson, .json, .zip or .csv`);
+}
+
+async function main() {
+  if (!FILE || (fromIndex >= 0 && !FROM_CRS)) {
+    console.error('Usage: npm run import-parcels -- <file.geojson|file.zip|file.csv> [--from <crs>] [--dry-run]');
+    process.exit(1);
+  }
+  if (!DRY_RUN && (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY)) {
+    console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY in .env');
+    process.exit(1);
+  }
+
+  console.log(`=== Orleans Parish Parcel Import${DRY_RUN ? ' (dry run)' : ''} ===`);
+  console.log(`File: ${FILE}`);
+
+  const { records, crs } = await readFile(FILE);
+  const sourceCrs = FROM_CRS || crs;
+  const project = projectionFor(sourceCrs);
+  console.log(`Records: ${records.length}`);
+  console.log(`Coordinate system: ${sourceCrs ? sourceCrs.split('\n')[0].slice(0, 80) : 'WGS84 (assumed)'}${project ? ' → reprojecting to WGS84' : ''}`);
+
+  const rows = [];
+  const skipped = [];
+  const seenIds = new Set();
+  let withoutGeometry = 0;
+  records.forEach((record, index) => {
+    const { feature, attributes, error } = toFeature(record, project);
+    const label = attributes?.OBJECTID != null ? `OBJECTID ${attributes.OBJECTID}` : `record ${index + 1}`;
+    if (error) return skipped.push({ label, error });
+    if (seenIds.has(feature.attributes.OBJECTID)) return skipped.push({ label, error: 'duplicate OBJECTID' });
+    seenIds.add(feature.attributes.OBJECTID);
+    if (!feature.geometry) withoutGeometry++;
+    rows.push(withHash(transformFeature(feature)));
+  });
+
+  console.log(`Valid: ${rows.length}${withoutGeometry ? ` (${withoutGeometry} without geometry — shapes on file are kept)` : ''}`);
+  if (skipped.length) {
+    console.log(`Skipped: ${skipped.length}`);
+    for (const s of skipped.slice(0, MAX_LISTED_SKIPS)) console.log(`  ${s.label}: ${s.error}`);
+    if (skipped.length > MAX_LISTED_SKIPS) console.log(`  … and ${skipped.length - MAX_LISTED_SKIPS} more`);
+  }
+
+  if (DRY_RUN || !rows.length) return;
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  const startTime = Date.now();
+  // Separate batches: a bulk upsert writes every column any row in it has, as null where a row lacks it
+  const upserted = await upsertParcels(supabase, rows.filter(r => r.geometry))
+    + await upsertParcels(supabase, rows.filter(r => !r.geometry).map(withoutGeometryColumns));
+  console.log(`\nUpserted: ${upserted} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -2,22 +2,45 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const docusign = require('docusign-esign');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
 
 const app = express();
-app.use(express.json());
+// Keep the raw body around for signature checks (DocuSign Connect HMAC)
+app.use(express.json({
+  verify: (req, res, buf) => { req.rawBody = buf; },
+}));
 
 // ─── Supabase Configuration ──────────────────────────────────────────────────
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const SUPABASE_HEADERS = SUPABASE_URL && SUPABASE_SERVICE_KEY ? {
-  'apikey': SUPABASE_SERVICE_KEY,
-  'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`,
-  'Content-Type': 'application/json',
-  'Prefer': 'return=representation',
-} : null;
+const { SUPABASE_URL, SUPABASE_HEADERS, supabaseRequest, supabaseSelectPage } = require('./lib/supabase');
+const { getStorage, storageConfigError } = require('./lib/storage');
+const { MAX_UPLOAD_BYTES, MAX_FILES_PER_UPLOAD, processPhoto, photoStorageKeys } = require('./lib/photos');
+const { parseAddress, scoreAddressMatch } = require('./lib/address');
+const { pointInPolygon, distanceMeters, boundsAround } = require('./lib/geometry');
+const { matchOwner } = require('./lib/owners');
+const { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage } = require('./lib/i18n');
+const { SLA_ANY_CATEGORY, toSlaPolicy, findSlaPolicy, slaDeadlines, slaStatus } = require('./lib/sla');
+const { renderNotification } = require('./lib/notifications');
+const { toE164, getTransport } = require('./lib/messaging');
+const { field, validateRequest, sendValidationErrors } = require('./lib/validation');
+const { SYSTEM_ACTOR, DOCUSIGN_ACTOR, diffFields, recordEvent, recordChange, loadTimeline } = require('./lib/events');
+const {
+  toPropertyCase, findPropertyCase, loadCaseSubmissions,
+  refreshPropertyCase, assignPropertyCase, mergePropertyCases, findMatchingCases,
+} = require('./lib/cases');
+const auth = require('./lib/auth');
+const { STAFF_ROLES, authenticate, requireRole, requireSubmissionAccess } = auth;
+
+// Sets req.staff from the session cookie or bearer token; routes opt in to checks
+app.use(authenticate);
+
+// A deploy that can't store uploads (local disk on Vercel) fails here, not on a resident's first photo
+const STORAGE_CONFIG_ERROR = storageConfigError();
+if (STORAGE_CONFIG_ERROR) throw new Error(STORAGE_CONFIG_ERROR);
 
 // ─── DocuSign Configuration ───────────────────────────────────────────────────
 
@@ -30,6 +53,13 @@ const DOCUSIGN_CONFIG = {
   basePath: process.env.DOCUSIGN_BASE_PATH || 'https://demo.docusign.net/restapi',
   appBaseUrl: process.env.APP_BASE_URL || 'http://localhost:3000',
   templateId: process.env.DOCUSIGN_TEMPLATE_ID,
+  // Translated copies of the agreement; a language without one gets the English template
+  languageTemplateIds: {
+    es: process.env.DOCUSIGN_TEMPLATE_ID_ES,
+    vi: process.env.DOCUSIGN_TEMPLATE_ID_VI,
+  },
+  // Comma-separated so a new Connect HMAC key can be added before the old one is retired
+  connectHmacKeys: (process.env.DOCUSIGN_CONNECT_HMAC_KEYS || '').split(',').map(k => k.trim()).filter(Boolean),
 };
 
 // ─── JWT Token Cache ──────────────────────────────────────────────────────────
@@ -108,7 +138,130 @@ function isTemplateConfigured() {
   return !!DOCUSIGN_CONFIG.templateId;
 }
 
+function templateIdFor(language) {
+  return DOCUSIGN_CONFIG.languageTemplateIds[language] || DOCUSIGN_CONFIG.templateId;
+}
+
+// ─── Envelope Helpers ─────────────────────────────────────────────────────────
+
+// embedded = signer is at the device and signs in the recipient view;
+// remote   = DocuSign emails the signer a link to sign later.
+const SIGNING_MODES = ['embedded', 'remote'];
+
+// Marks the recipient as embedded — must match when requesting the recipient view
+const EMBEDDED_CLIENT_USER_ID = '1000';
+
+async function getEnvelopesApi() {
+  const accessToken = await getAccessToken();
+
+  // Configure DocuSign API client
+  const apiClient = new docusign.ApiClient();
+  apiClient.setBasePath(DOCUSIGN_CONFIG.basePath);
+  apiClient.addDefaultHeader('Authorization', `Bearer ${accessToken}`);
+  return new docusign.EnvelopesApi(apiClient);
+}
+
+/**
+ * Create an envelope from the template for the signer's language and send it
+ * immediately. Remote envelopes leave out clientUserId, which makes DocuSign
+ * email the signer.
+ */
+async function sendTemplateEnvelope({ signerEmail, signerName, propertyAddress, parcelId, ownerName, signingMode, language }) {
+  const envelopesApi = await getEnvelopesApi();
+
+  // Create envelope from template
+  // The signer role name must match the role defined in your DocuSign template.
+  // Default role name is "signer" — update below if your template uses a different name.
+  const signer = {
+    email: signerEmail,
+    name: signerName,
+    roleName: 'signer', // Must match the role name in your DocuSign template
+    tabs: {
+      // Pre-fill text tabs if they exist in the template (optional — won't error if tabs don't exist)
+      textTabs: [
+        { tabLabel: 'propertyAddress', value: propertyAddress },
+        { tabLabel: 'parcelId', value: parcelId || '' },
+        { tabLabel: 'ownerName', value: ownerName || '' },
+        { tabLabel: 'signerName', value: signerName },
+      ],
+    },
+  };
+  if (signingMode === 'embedded') signer.clientUserId = EMBEDDED_CLIENT_USER_ID;
+
+  const envelopeDefinition = {
+    templateId: templateIdFor(language),
+    templateRoles: [signer],
+    status: 'sent', // Immediately send for signing
+  };
+
+  // Create the envelope
+  const envelope = await envelopesApi.createEnvelope(DOCUSIGN_CONFIG.accountId, {
+    envelopeDefinition,
+  });
+
+  console.log(`[DocuSign] Envelope created (${signingMode}, ${language || DEFAULT_LANGUAGE}): ${envelope.envelopeId}`);
+  return { envelopesApi, envelopeId: envelope.envelopeId };
+}
+
+async function linkEnvelopeToSubmission(submissionId, envelopeId, signingMode, req) {
+  const [previous] = await supabaseRequest(
+    `noleadnola_submissions?id=eq.${encodeURIComponent(submissionId)}&select=docusign_envelope_id,docusign_signing_mode`
+  );
+  await supabaseRequest(`noleadnola_submissions?id=eq.${encodeURIComponent(submissionId)}`, {
+    method: 'PATCH',
+    body: {
+      docusign_envelope_id: envelopeId,
+      docusign_signing_mode: signingMode,
+      // Starts the clock for the signing reminder (remote envelopes only)
+      docusign_sent_at: signingMode === 'remote' ? new Date().toISOString() : null,
+      signing_reminder_sent_at: null,
+      updated_at: new Date().toISOString(),
+    },
+  });
+  await recordChange({
+    entityType: 'submission',
+    entityId: submissionId,
+    action: 'envelope-sent',
+    req,
+    before: previous,
+    after: { docusign_envelope_id: envelopeId, docusign_signing_mode: signingMode },
+  });
+  await recordDocuSignStatus({
+    submissionId,
+    envelopeId,
+    status: 'sent',
+    source: 'api',
+    event: 'envelope-created',
+    deliveryKey: `api:${envelopeId}:created`,
+    force: true,
+    req,
+  });
+}
+
+function respondWithDocuSignError(res, err) {
+  // Provide helpful error messages
+  if (err.message?.includes('consent')) {
+    return res.status(403).json({
+      error: 'DocuSign consent has not been granted. See docusign-setup.md step 5.',
+    });
+  }
+
+  res.status(500).json({
+    error: err.message || 'Failed to create signing envelope',
+  });
+}
+
 // ─── API Endpoints ────────────────────────────────────────────────────────────
+// Every route that takes input declares it with validateRequest (lib/validation.js)
+
+// 'es', 'es-MX' and the like; handlers still run normalizeLanguage
+const LANGUAGE_PATTERN = new RegExp(`^(${LANGUAGES.join('|')})([-_][a-z0-9]+)?$`, 'i');
+const languageField = () => field.string({ max: 20, pattern: LANGUAGE_PATTERN, patternMessage: `must be one of: ${LANGUAGES.join(', ')}` });
+const idField = () => field.integer({ required: true, min: 1 });
+const nameField = (opts = {}) => field.string({ max: 200, ...opts });
+const addressField = (opts = {}) => field.string({ max: 300, ...opts });
+// Resume codes are shown as ABCDE-FGHJK
+const resumeCodeField = (opts = {}) => field.string({ max: 20, pattern: /^[A-Za-z0-9-]+$/, patternMessage: 'must be a resume code', ...opts });
 
 // Expose the integration key to the frontend (needed for Focused View SDK)
 app.get('/api/docusign/config', (req, res) => {
@@ -121,7 +274,19 @@ app.get('/api/docusign/config', (req, res) => {
   });
 });
 
-app.post('/api/docusign/create-envelope', async (req, res) => {
+app.post('/api/docusign/create-envelope', validateRequest({
+  body: {
+    signerEmail: field.email({ required: true }),
+    signerName: nameField({ required: true }),
+    propertyAddress: addressField({ required: true }),
+    parcelId: field.string({ max: 50 }),
+    ownerName: nameField({ max: 300 }),
+    submissionId: field.integer({ min: 1 }),
+    draftCode: resumeCodeField(),
+    signingMode: field.string({ oneOf: SIGNING_MODES, default: 'embedded' }),
+    language: languageField(),
+  },
+}), requireSubmissionAccess(req => req.body.submissionId), async (req, res) => {
   try {
     if (!isDocuSignConfigured()) {
       return res.status(503).json({
@@ -129,13 +294,8 @@ app.post('/api/docusign/create-envelope', async (req, res) => {
       });
     }
 
-    const { signerEmail, signerName, propertyAddress, parcelId, ownerName, submissionId } = req.body;
-
-    if (!signerEmail || !signerName || !propertyAddress) {
-      return res.status(400).json({
-        error: 'Missing required fields: signerEmail, signerName, propertyAddress',
-      });
-    }
+    const { signerEmail, signerName, submissionId, draftCode, signingMode } = req.body;
+    let { propertyAddress, parcelId, ownerName } = req.body;
 
     if (!isTemplateConfigured()) {
       return res.status(503).json({
@@ -143,120 +303,409 @@ app.post('/api/docusign/create-envelope', async (req, res) => {
       });
     }
 
-    const accessToken = await getAccessToken();
-
-    // Configure DocuSign API client
-    const apiClient = new docusign.ApiClient();
-    apiClient.setBasePath(DOCUSIGN_CONFIG.basePath);
-    apiClient.addDefaultHeader('Authorization', `Bearer ${accessToken}`);
-
-    // Create envelope from template
-    // The signer role name must match the role defined in your DocuSign template.
-    // Default role name is "signer" — update below if your template uses a different name.
-    const envelopeDefinition = {
-      templateId: DOCUSIGN_CONFIG.templateId,
-      templateRoles: [
-        {
-          email: signerEmail,
-          name: signerName,
-          roleName: 'signer', // Must match the role name in your DocuSign template
-          clientUserId: '1000', // Embedded signing — must match when requesting recipient view
-          tabs: {
-            // Pre-fill text tabs if they exist in the template (optional — won't error if tabs don't exist)
-            textTabs: [
-              { tabLabel: 'propertyAddress', value: propertyAddress },
-              { tabLabel: 'parcelId', value: parcelId || '' },
-              { tabLabel: 'ownerName', value: ownerName || '' },
-              { tabLabel: 'signerName', value: signerName },
-            ],
-          },
-        },
-      ],
-      status: 'sent', // Immediately send for signing
-    };
+    let language = normalizeLanguage(req.body.language);
 
-    // Create the envelope
-    const envelopesApi = new docusign.EnvelopesApi(apiClient);
-    const envelope = await envelopesApi.createEnvelope(DOCUSIGN_CONFIG.accountId, {
-      envelopeDefinition,
-    });
+    // "Try signing again" after a decline or timeout reuses the submission — but not once it's signed
+    if (submissionId && SUPABASE_HEADERS) {
+      const [existing] = await supabaseRequest(
+        `noleadnola_submissions?id=eq.${submissionId}&select=docusign_status,preferred_language,address,parcel_id,assessor_owner_name`
+      );
+      if (existing?.docusign_status === 'signing_complete') {
+        return res.status(409).json({ error: 'This submission already has a completed agreement' });
+      }
+      language = language || existing?.preferred_language;
+      // The agreement is pre-filled from what the server saved, not what the browser says
+      if (existing) {
+        propertyAddress = existing.address;
+        parcelId = existing.parcel_id;
+        ownerName = existing.assessor_owner_name;
+      }
+    }
 
-    console.log(`[DocuSign] Envelope created: ${envelope.envelopeId}`);
+    const { envelopesApi, envelopeId } = await sendTemplateEnvelope({
+      signerEmail, signerName, propertyAddress, parcelId, ownerName, signingMode, language,
+    });
 
     // Update submission row with envelope ID
     if (submissionId && SUPABASE_HEADERS) {
       try {
-        await fetch(`${SUPABASE_URL}/rest/v1/noleadnola_submissions?id=eq.${submissionId}`, {
-          method: 'PATCH',
-          headers: SUPABASE_HEADERS,
-          body: JSON.stringify({
-            docusign_envelope_id: envelope.envelopeId,
-            docusign_status: 'sent',
-            updated_at: new Date().toISOString(),
-          }),
-        });
+        await linkEnvelopeToSubmission(submissionId, envelopeId, signingMode, req);
       } catch (err) {
         console.error('[DocuSign] Failed to update submission with envelope ID:', err);
       }
     }
 
+    // Remote signing: DocuSign has emailed the signer, nothing more to do here
+    if (signingMode === 'remote') {
+      return res.json({ signingMode, envelopeId, sentTo: signerEmail });
+    }
+
     // Get the recipient view URL — redirect-based signing
     // After signing, DocuSign redirects the browser to returnUrl with ?event=signing_complete
     const callbackUrl = new URL(`${DOCUSIGN_CONFIG.appBaseUrl}/api/docusign/callback`);
-    if (submissionId) callbackUrl.searchParams.set('submissionId', submissionId);
+    const token = submissionId ? submissionToken(submissionId) : null;
+    if (token) {
+      callbackUrl.searchParams.set('submissionId', submissionId);
+      callbackUrl.searchParams.set('token', token);
+    }
+    // Brings the resident back to their filled-in form if signing doesn't complete
+    if (draftCode) callbackUrl.searchParams.set('resume', normalizeResumeCode(draftCode));
     const viewRequest = {
       returnUrl: callbackUrl.toString(),
       authenticationMethod: 'none',
       email: signerEmail,
       userName: signerName,
-      clientUserId: '1000',
+      clientUserId: EMBEDDED_CLIENT_USER_ID,
     };
 
     const recipientView = await envelopesApi.createRecipientView(
       DOCUSIGN_CONFIG.accountId,
-      envelope.envelopeId,
+      envelopeId,
       { recipientViewRequest: viewRequest }
     );
 
-    res.json({ url: recipientView.url });
+    res.json({ signingMode, envelopeId, url: recipientView.url });
   } catch (err) {
     console.error('[DocuSign] Error creating envelope:', err);
+    respondWithDocuSignError(res, err);
+  }
+});
 
-    // Provide helpful error messages
-    if (err.message?.includes('consent')) {
-      return res.status(403).json({
-        error: 'DocuSign consent has not been granted. See docusign-setup.md step 5.',
+// Email an envelope to a submission's contact — the signer who walked away from
+// the kiosk, or the owner/landlord a resident referred us to.
+app.post('/api/submissions/:id/envelope', validateRequest({
+  params: { id: idField() },
+}), requireSubmissionAccess(), async (req, res) => {
+  try {
+    if (!isDocuSignConfigured() || !isTemplateConfigured()) {
+      return res.status(503).json({
+        error: 'DocuSign is not fully configured. See docusign-setup.md for setup instructions.',
       });
     }
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const [submission] = await supabaseRequest(`noleadnola_submissions?id=eq.${encodeURIComponent(req.params.id)}`);
+    if (!submission) return res.status(404).json({ error: 'Submission not found' });
+
+    const signerName = [submission.contact_first_name, submission.contact_last_name].filter(Boolean).join(' ');
+    if (!submission.contact_email || !signerName) {
+      return res.status(400).json({ error: 'Submission has no contact name and email to send an envelope to' });
+    }
+    if (submission.docusign_status === 'signing_complete') {
+      return res.status(409).json({ error: 'This submission already has a completed agreement' });
+    }
+
+    const { envelopeId } = await sendTemplateEnvelope({
+      signerEmail: submission.contact_email,
+      signerName,
+      propertyAddress: submission.address,
+      parcelId: submission.parcel_id,
+      ownerName: submission.assessor_owner_name,
+      signingMode: 'remote',
+      language: submission.preferred_language,
+    });
+    await linkEnvelopeToSubmission(submission.id, envelopeId, 'remote', req);
+
+    console.log(`[DocuSign] Emailed envelope ${envelopeId} to ${submission.contact_role || 'contact'} for submission #${submission.id}`);
+    res.json({ signingMode: 'remote', envelopeId, sentTo: submission.contact_email });
+  } catch (err) {
+    console.error('[DocuSign] Error sending envelope for submission:', err);
+    respondWithDocuSignError(res, err);
+  }
+});
+
+// ─── Staff Auth API ──────────────────────────────────────────────────────────
+
+app.post('/api/auth/login', validateRequest({
+  body: {
+    email: field.email({ required: true }),
+    password: field.string({ required: true, trim: false, max: 200 }),
+  },
+}), async (req, res) => {
+  if (!auth.isAuthConfigured()) {
+    return res.status(503).json({ error: 'Authentication is not configured. Set AUTH_JWT_SECRET in .env.' });
+  }
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+
+  const { email, password } = req.body;
+
+  try {
+    const row = await auth.findStaffByEmail(email);
+    if (!row || !row.active || !auth.verifyPassword(password, row.password_hash)) {
+      console.warn(`[Auth] Failed login for ${email}`);
+      return res.status(401).json({ error: 'Incorrect email or password' });
+    }
+
+    await supabaseRequest(`noleadnola_staff?id=eq.${row.id}`, {
+      method: 'PATCH',
+      headers: { 'Prefer': 'return=minimal' },
+      body: { last_login_at: new Date().toISOString() },
+    });
+
+    await recordEvent({
+      entityType: 'staff',
+      entityId: row.id,
+      action: 'signed-in',
+      req,
+      actor: { type: 'staff', id: String(row.id), name: row.email, role: row.role },
+    });
+
+    const token = auth.signSessionToken(row);
+    res.set('Set-Cookie', auth.sessionCookie(token, req));
+    console.log(`[Auth] ${row.email} signed in (${row.role})`);
+    res.json({ token, staff: auth.toStaff(row) });
+  } catch (err) {
+    console.error('[Auth] Login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  res.set('Set-Cookie', auth.sessionCookie(null, req));
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', requireRole(), (req, res) => {
+  res.json({ staff: req.staff });
+});
+
+// Account management — admins only. The first admin is created with
+// `npm run create-staff-user`.
+app.get('/api/staff', requireRole('admin'), async (req, res) => {
+  try {
+    const rows = await supabaseRequest(`noleadnola_staff?select=${auth.STAFF_FIELDS}&order=name.asc`);
+    res.json({ staff: rows.map(auth.toStaff) });
+  } catch (err) {
+    console.error('[Auth] Failed to list staff:', err);
+    res.status(500).json({ error: 'Failed to load staff' });
+  }
+});
+
+const STAFF_PASSWORD_FIELD = { trim: false, min: 10, max: 200 };
+
+app.post('/api/staff', requireRole('admin'), validateRequest({
+  body: {
+    email: field.email({ required: true }),
+    name: nameField({ required: true }),
+    role: field.string({ required: true, oneOf: auth.ROLES }),
+    password: field.string({ required: true, ...STAFF_PASSWORD_FIELD }),
+  },
+}), async (req, res) => {
+  const { email, name, role, password } = req.body;
+
+  try {
+    const [row] = await supabaseRequest(`noleadnola_staff?select=${auth.STAFF_FIELDS}`, {
+      method: 'POST',
+      body: { email, name, role, password_hash: auth.hashPassword(password) },
+    });
+    console.log(`[Auth] ${req.staff.email} created ${role} account ${row.email}`);
+    await recordEvent({ entityType: 'staff', entityId: row.id, action: 'created', req, after: auth.toStaff(row) });
+    res.status(201).json({ staff: auth.toStaff(row) });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ error: 'An account with that email already exists' });
+    console.error('[Auth] Failed to create staff:', err);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+app.patch('/api/staff/:id', requireRole('admin'), validateRequest({
+  params: { id: idField() },
+  body: {
+    name: nameField(),
+    role: field.string({ oneOf: auth.ROLES }),
+    active: field.boolean(),
+    password: field.string(STAFF_PASSWORD_FIELD),
+  },
+}), async (req, res) => {
+  const { name, role, active, password } = req.body;
+  const updates = {};
+  if (name !== undefined) updates.name = name;
+  if (role !== undefined) updates.role = role;
+  if (active !== undefined) updates.active = active;
+  if (password !== undefined) updates.password_hash = auth.hashPassword(password);
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+  // Keep at least one way back in
+  if (String(req.params.id) === String(req.staff.id) && (updates.active === false || (updates.role && updates.role !== 'admin'))) {
+    return res.status(400).json({ error: 'You cannot deactivate or demote your own account' });
+  }
 
-    res.status(500).json({
-      error: err.message || 'Failed to create signing envelope',
+  try {
+    const previous = await auth.findStaffById(req.params.id);
+    const [row] = await supabaseRequest(`noleadnola_staff?id=eq.${encodeURIComponent(req.params.id)}&select=${auth.STAFF_FIELDS}`, {
+      method: 'PATCH',
+      body: updates,
     });
+    if (!row) return res.status(404).json({ error: 'Staff member not found' });
+    console.log(`[Auth] ${req.staff.email} updated account ${row.email}`);
+
+    // Password hashes stay out of the audit trail; a reset is noted in details
+    const changed = diffFields(previous && auth.toStaff(previous), auth.toStaff(row));
+    if (changed || password !== undefined) {
+      await recordEvent({
+        entityType: 'staff',
+        entityId: row.id,
+        action: 'updated',
+        req,
+        ...changed,
+        details: password !== undefined ? { passwordReset: true } : null,
+      });
+    }
+    res.json({ staff: auth.toStaff(row) });
+  } catch (err) {
+    console.error('[Auth] Failed to update staff:', err);
+    res.status(500).json({ error: 'Failed to update account' });
   }
 });
 
 // ─── Submissions API ─────────────────────────────────────────────────────────
 
-app.post('/api/submissions', async (req, res) => {
+// Canvassing tablets retry queued submissions until they get an answer, so a
+// repeated Idempotency-Key returns the submission the first attempt created
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9-]{8,100}$/;
+
+// The random ID a questionnaire reports its steps under (see Program Analytics)
+const sessionIdField = (opts = {}) => field.string({ pattern: IDEMPOTENCY_KEY_PATTERN, patternMessage: 'must be 8-100 letters, digits or dashes', ...opts });
+
+// Connect statuses plus the events the signing redirect can report
+const DOCUSIGN_STATUSES = ['sent', 'delivered', 'signing_complete', 'decline', 'cancel', 'session_timeout', 'ttl_expired', 'exception', 'voided'];
+
+// Whoever fills in the form, and the signer or owner/landlord they name
+const PERSON_SHAPE = {
+  firstName: nameField({ max: 100 }),
+  lastName: nameField({ max: 100 }),
+  email: field.email(),
+  phone: field.phone(),
+};
+
+// The resident's signing token, or null when AUTH_JWT_SECRET is unset (jwt.sign would
+// throw, and the signing routes refuse every request then anyway). Never let it fail
+// a save that has already been written, or a retried upload would never clear.
+function submissionToken(submissionId) {
+  return auth.isAuthConfigured() ? auth.signSubmissionToken(submissionId) : null;
+}
+
+async function findSubmissionByIdempotencyKey(key) {
+  const [row] = await supabaseRequest(`noleadnola_submissions?idempotency_key=eq.${encodeURIComponent(key)}&select=id`);
+  return row || null;
+}
+
+// Receipt to whoever filled in the form, and an invite to the owner or landlord they referred us to
+async function notifySubmissionReceived(row) {
+  const language = row.preferred_language;
+  const residentName = [row.filler_first_name, row.filler_last_name].filter(Boolean).join(' ');
+  await notify({
+    template: 'submission-receipt',
+    language,
+    vars: { address: row.address, reference: row.id },
+    to: { name: row.filler_first_name, email: row.filler_email, phone: row.filler_phone, role: 'resident' },
+    submissionId: row.id,
+  });
+  if (row.contact_role === 'landlord' || row.contact_role === 'owner_referral') {
+    await notify({
+      template: 'landlord-invite',
+      language,
+      vars: {
+        address: row.address,
+        residentName: residentName || 'A resident',
+        link: `${DOCUSIGN_CONFIG.appBaseUrl}/index.html?lang=${language}#questionnaire`,
+      },
+      to: { name: row.contact_first_name, email: row.contact_email, phone: row.contact_phone, role: CONTACT_RECIPIENT_ROLES[row.contact_role] },
+      submissionId: row.id,
+    });
+  }
+}
+
+/**
+ * The assessor columns a submission stores, read from noleadnola_parcels by
+ * parcel ID so nobody can save made-up values from the browser. Returns
+ * { ownerNames, columns }, or null when no such parcel is on file.
+ */
+async function loadAssessorRecord(parcelId) {
+  const [row] = await supabaseRequest(
+    `noleadnola_parcels?parcel_id=eq.${encodeURIComponent(parcelId)}&select=${PARCEL_FIELDS}&order=retired_at.asc.nullsfirst&limit=1`
+  );
+  if (!row) return null;
+  const ownerNames = [row.owner_name1, row.owner_name2].filter(Boolean);
+  return {
+    ownerNames,
+    columns: {
+      assessor_owner_name: ownerNames.join(' & ') || null,
+      parcel_id: row.parcel_id,
+      legal_description: row.property_desc || null,
+      property_type: row.property_type || null,
+      year_built: row.year_built || null,
+      living_area: row.living_area || null,
+      lot_sqft: row.lot_sqft || null,
+      lot_dimensions: row.lot_dims || null,
+      land_value: row.land_value || null,
+      assessed_value: row.assessed_value || null,
+      taxable_value: row.taxable_value || null,
+      tax_bill_id: row.tax_bill_id || null,
+      square: row.block || null,
+      lot: row.lot || null,
+    },
+  };
+}
+
+app.post('/api/submissions', validateRequest({
+  headers: {
+    'Idempotency-Key': field.string({ pattern: IDEMPOTENCY_KEY_PATTERN, patternMessage: 'must be 8-100 letters, digits or dashes' }),
+  },
+  body: {
+    address: addressField({ required: true }),
+    fillerInfo: field.object({
+      ...PERSON_SHAPE,
+      firstName: nameField({ required: true, max: 100 }),
+      lastName: nameField({ required: true, max: 100 }),
+    }, { required: true }),
+    ownership: field.string({ required: true, oneOf: ['own', 'rent'] }),
+    signingAuthority: field.string({ oneOf: ['yes', 'no'] }),
+    contact: field.object(PERSON_SHAPE),
+    ownerContact: field.object(PERSON_SHAPE),
+    // Which parcel the owner confirmed; the rest of the assessor record is looked up here
+    assessorData: field.object({ parcelId: field.string({ max: 50 }) }),
+    language: languageField(),
+    draftCode: resumeCodeField(),
+    sessionId: sessionIdField(),
+    queuedAt: field.date(),
+  },
+}), async (req, res) => {
   try {
     if (!SUPABASE_HEADERS) {
       return res.status(503).json({ error: 'Supabase is not configured. Set SUPABASE_URL and SUPABASE_SERVICE_KEY in .env.' });
     }
 
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    if (idempotencyKey) {
+      const existing = await findSubmissionByIdempotencyKey(idempotencyKey);
+      if (existing) {
+        console.log(`[Submissions] Replayed submission #${existing.id} for Idempotency-Key ${idempotencyKey}`);
+        return res.json({ id: existing.id, token: submissionToken(existing.id), replayed: true });
+      }
+    }
+
     const body = req.body;
+    const queuedAt = body.queuedAt ? new Date(body.queuedAt).toISOString() : null;
     const ownership = body.ownership;
-    const filler = body.fillerInfo || {};
-    const assessor = (ownership === 'own' && body.assessorData) || {};
+    const filler = body.fillerInfo;
 
-    // Determine property_records_match
-    let propertyRecordsMatch = null;
-    if (ownership === 'own' && assessor.found && assessor.ownerName) {
-      const ownerUpper = (assessor.ownerName || '').toUpperCase();
-      const firstUpper = (filler.firstName || '').toUpperCase().trim();
-      const lastUpper = (filler.lastName || '').toUpperCase().trim();
-      propertyRecordsMatch = !!(firstUpper && lastUpper && (ownerUpper.includes(firstUpper) || ownerUpper.includes(lastUpper)));
+    const parcelId = ownership === 'own' ? body.assessorData?.parcelId : null;
+    const assessor = parcelId ? await loadAssessorRecord(parcelId) : null;
+    if (parcelId && !assessor) {
+      return sendValidationErrors(res, [
+        { location: 'body', field: 'assessorData.parcelId', message: `assessorData.parcelId ${parcelId} is not a parcel on file` },
+      ]);
     }
 
+    // Does the filler's name match the owner(s) on the assessor record?
+    const ownerMatch = assessor ? matchOwner(filler, assessor.ownerNames) : null;
+
     // Determine contact info and role
     let contactFirstName, contactLastName, contactEmail, contactPhone, contactRole;
     if (ownership === 'own' && body.signingAuthority === 'yes' && body.contact) {
@@ -286,27 +735,20 @@ app.post('/api/submissions', async (req, res) => {
       filler_email: filler.email || null,
       filler_phone: filler.phone || null,
       ownership,
-      property_records_match: propertyRecordsMatch,
+      property_records_match: ownerMatch ? ownerMatch.match : null,
+      owner_match_confidence: ownerMatch ? ownerMatch.confidence : null,
+      owner_match_reason: ownerMatch ? ownerMatch.reason : null,
       signing_authority: body.signingAuthority || null,
-      assessor_owner_name: assessor.ownerName || null,
-      parcel_id: assessor.parcelId || null,
-      legal_description: assessor.legalDescription || null,
-      property_type: assessor.propertyType || null,
-      year_built: assessor.yearBuilt || null,
-      living_area: assessor.livingArea || null,
-      lot_sqft: assessor.lotSqft || null,
-      lot_dimensions: assessor.lotDimensions || null,
-      land_value: assessor.landValue || null,
-      assessed_value: assessor.assessedValue || null,
-      taxable_value: assessor.taxableValue || null,
-      tax_bill_id: assessor.taxBillId || null,
-      square: assessor.square || null,
-      lot: assessor.lot || null,
+      ...assessor?.columns,
       contact_first_name: contactFirstName || null,
       contact_last_name: contactLastName || null,
       contact_email: contactEmail || null,
       contact_phone: contactPhone || null,
       contact_role: contactRole || null,
+      preferred_language: normalizeLanguage(body.language) || DEFAULT_LANGUAGE,
+      idempotency_key: idempotencyKey,
+      queued_at: queuedAt,
+      questionnaire_session_id: body.sessionId || null,
     };
 
     const resp = await fetch(`${SUPABASE_URL}/rest/v1/noleadnola_submissions`, {
@@ -317,20 +759,46 @@ app.post('/api/submissions', async (req, res) => {
 
     if (!resp.ok) {
       const errText = await resp.text();
+      // Lost a race with a concurrent retry carrying the same key
+      const existing = resp.status === 409 && idempotencyKey && await findSubmissionByIdempotencyKey(idempotencyKey);
+      if (existing) return res.json({ id: existing.id, token: submissionToken(existing.id), replayed: true });
       console.error('[Submissions] Insert failed:', resp.status, errText);
       return res.status(500).json({ error: 'Failed to save submission' });
     }
 
     const [inserted] = await resp.json();
     console.log(`[Submissions] Saved submission #${inserted.id} for ${body.address}`);
-    res.json({ id: inserted.id });
+    await recordEvent({ entityType: 'submission', entityId: inserted.id, action: 'created', req, after: inserted });
+    if (body.draftCode) {
+      try {
+        await linkDraftToSubmission(body.draftCode, inserted.id);
+      } catch (err) {
+        console.error('[Drafts] Failed to link draft to submission:', err);
+      }
+    }
+    try {
+      const { propertyCase, duplicateOf } = await assignPropertyCase(inserted);
+      console.log(`[Cases] Submission #${inserted.id} filed under case #${propertyCase.id} (${propertyCase.status})${duplicateOf ? `, duplicates #${duplicateOf}` : ''}`);
+    } catch (err) {
+      console.error('[Cases] Failed to file submission under a property case:', err);
+    }
+    await notifySubmissionReceived(inserted);
+    // The token lets this browser start signing for the new submission (and nothing else)
+    res.json({ id: inserted.id, token: submissionToken(inserted.id) });
   } catch (err) {
     console.error('[Submissions] Error:', err);
     res.status(500).json({ error: err.message || 'Internal server error' });
   }
 });
 
-app.patch('/api/submissions/:id/docusign', async (req, res) => {
+// Manual status corrections — admins only
+app.patch('/api/submissions/:id/docusign', requireRole('admin'), validateRequest({
+  params: { id: idField() },
+  body: {
+    envelope_id: field.string({ max: 100 }),
+    status: field.string({ oneOf: DOCUSIGN_STATUSES }),
+  },
+}), async (req, res) => {
   try {
     if (!SUPABASE_HEADERS) {
       return res.status(503).json({ error: 'Supabase is not configured.' });
@@ -341,8 +809,8 @@ app.patch('/api/submissions/:id/docusign', async (req, res) => {
 
     const updates = { updated_at: new Date().toISOString() };
     if (envelope_id) updates.docusign_envelope_id = envelope_id;
-    if (status) updates.docusign_status = status;
 
+    const [previous] = await supabaseRequest(`noleadnola_submissions?id=eq.${id}&select=docusign_envelope_id`);
     const resp = await fetch(`${SUPABASE_URL}/rest/v1/noleadnola_submissions?id=eq.${id}`, {
       method: 'PATCH',
       headers: SUPABASE_HEADERS,
@@ -355,6 +823,31 @@ app.patch('/api/submissions/:id/docusign', async (req, res) => {
       return res.status(500).json({ error: 'Failed to update submission' });
     }
 
+    // Status changes go through the event log like every other source
+    const [updated] = await resp.json();
+    if (envelope_id && updated) {
+      await recordChange({
+        entityType: 'submission',
+        entityId: updated.id,
+        action: 'envelope-corrected',
+        req,
+        before: { docusign_envelope_id: previous?.docusign_envelope_id },
+        after: { docusign_envelope_id: envelope_id },
+      });
+    }
+    if (status && updated) {
+      await recordDocuSignStatus({
+        submissionId: updated.id,
+        envelopeId: updated.docusign_envelope_id,
+        status,
+        source: 'manual',
+        event: 'status-update',
+        deliveryKey: `manual:${updated.id}:${status}:${Date.now()}`,
+        force: true,
+        req,
+      });
+    }
+
     console.log(`[Submissions] Updated submission #${id} docusign: ${status || 'n/a'}`);
     res.json({ ok: true });
   } catch (err) {
@@ -363,43 +856,2958 @@ app.patch('/api/submissions/:id/docusign', async (req, res) => {
   }
 });
 
-app.get('/api/docusign/callback', async (req, res) => {
+// ─── Questionnaire Drafts ────────────────────────────────────────────────────
+// Residents can leave the questionnaire and pick it up later from a resume
+// code or link (#resume-<code>). Whoever holds the code can read and update
+// the draft, so codes are random and drafts expire.
+
+// Answers kept between visits — assessor data is looked up again on resume.
+// Half-typed emails and phone numbers are fine here; they're checked on submit.
+const DRAFT_PERSON_SHAPE = {
+  firstName: nameField({ max: 100 }),
+  lastName: nameField({ max: 100 }),
+  email: field.string({ max: 254 }),
+  phone: field.string({ max: 40 }),
+};
+const DRAFT_SHAPE = {
+  step: field.integer({ min: 1, max: 4 }),
+  address: addressField(),
+  fillerInfo: field.object(DRAFT_PERSON_SHAPE),
+  ownership: field.string({ oneOf: ['own', 'rent'] }),
+  signingAuth: field.string({ oneOf: ['yes', 'no'] }),
+  contact: field.object(DRAFT_PERSON_SHAPE),
+  ownerContact: field.object(DRAFT_PERSON_SHAPE),
+  signingMode: field.string({ oneOf: SIGNING_MODES }),
+  emailOwner: field.boolean(),
+  sessionId: sessionIdField(),
+};
+const DRAFT_TTL_DAYS = 30;
+// No 0/O or 1/I/L, so a code read out over the phone or typed from a text survives
+const RESUME_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const RESUME_CODE_LENGTH = 10;
+
+function newResumeCode() {
+  let code = '';
+  for (let i = 0; i < RESUME_CODE_LENGTH; i++) code += RESUME_CODE_ALPHABET[crypto.randomInt(RESUME_CODE_ALPHABET.length)];
+  return code;
+}
+
+// Codes are shown as ABCDE-FGHJK; accept them with or without the dash, any case
+function normalizeResumeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function draftExpiry() {
+  return new Date(Date.now() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function toDraft(row) {
+  return {
+    code: row.resume_code,
+    data: row.data,
+    submissionId: row.submission_id,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+// The draft row for a code, or an error with .status (404 unknown, 410 expired)
+async function findDraft(code) {
+  const normalized = normalizeResumeCode(code);
+  const [row] = normalized.length === RESUME_CODE_LENGTH
+    ? await supabaseRequest(`noleadnola_drafts?resume_code=eq.${normalized}`)
+    : [];
+  if (!row) throw Object.assign(new Error('Resume code not found'), { status: 404 });
+  if (new Date(row.expires_at) < new Date()) throw Object.assign(new Error('This resume link has expired'), { status: 410 });
+  return row;
+}
+
+// Point a draft at the submission it turned into, so a failed signing can be retried
+async function linkDraftToSubmission(code, submissionId) {
+  await supabaseRequest(`noleadnola_drafts?resume_code=eq.${normalizeResumeCode(code)}`, {
+    method: 'PATCH',
+    body: { submission_id: submissionId, updated_at: new Date().toISOString() },
+  });
+}
+
+app.post('/api/drafts', validateRequest({ body: DRAFT_SHAPE }), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    const [row] = await supabaseRequest('noleadnola_drafts', {
+      method: 'POST',
+      body: { resume_code: newResumeCode(), data: req.body, expires_at: draftExpiry() },
+    });
+    res.status(201).json({ draft: toDraft(row) });
+  } catch (err) {
+    console.error('[Drafts] Failed to create draft:', err);
+    res.status(500).json({ error: 'Failed to save draft' });
+  }
+});
+
+app.put('/api/drafts/:code', validateRequest({
+  params: { code: resumeCodeField({ required: true }) },
+  body: DRAFT_SHAPE,
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    const existing = await findDraft(req.params.code);
+    const [row] = await supabaseRequest(`noleadnola_drafts?id=eq.${existing.id}`, {
+      method: 'PATCH',
+      body: { data: req.body, updated_at: new Date().toISOString(), expires_at: draftExpiry() },
+    });
+    res.json({ draft: toDraft(row) });
+  } catch (err) {
+    if (err.status === 404 || err.status === 410) return res.status(err.status).json({ error: err.message });
+    console.error('[Drafts] Failed to update draft:', err);
+    res.status(500).json({ error: 'Failed to save draft' });
+  }
+});
+
+// Also hands back the linked submission with a fresh submission token, so a
+// resident who declined or timed out can start signing again from any device
+app.get('/api/drafts/:code', validateRequest({
+  params: { code: resumeCodeField({ required: true }) },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    const row = await findDraft(req.params.code);
+    let submission = null;
+    if (row.submission_id) {
+      const [sub] = await supabaseRequest(`noleadnola_submissions?id=eq.${row.submission_id}&select=id,docusign_status`);
+      if (sub) {
+        submission = {
+          id: sub.id,
+          docusignStatus: sub.docusign_status,
+          token: submissionToken(sub.id),
+        };
+      }
+    }
+    res.set('Cache-Control', 'no-store');
+    res.json({ draft: toDraft(row), submission });
+  } catch (err) {
+    if (err.status === 404 || err.status === 410) return res.status(err.status).json({ error: err.message });
+    console.error('[Drafts] Failed to load draft:', err);
+    res.status(500).json({ error: 'Failed to load draft' });
+  }
+});
+
+// ─── DocuSign Status Tracking ────────────────────────────────────────────────
+
+// Connect envelope statuses mapped onto the values the signing redirect already
+// stores in docusign_status, so both sources agree.
+const CONNECT_STATUS_MAP = {
+  sent: 'sent',
+  delivered: 'delivered',
+  completed: 'signing_complete',
+  declined: 'decline',
+  voided: 'voided',
+};
+
+// Once an envelope reaches one of these, a late or out-of-order event must not change it
+const FINAL_DOCUSIGN_STATUSES = ['signing_complete', 'decline', 'voided'];
+
+/**
+ * Apply a signing status change to the submission and log it in
+ * noleadnola_docusign_events. `deliveryKey` de-duplicates repeated deliveries
+ * of the same event; returns { duplicate: true } when the event was already
+ * recorded. The key is written only after the status is applied, so a failure
+ * part-way leaves DocuSign Connect's retry free to try again.
+ *
+ * Final statuses are sticky — a late or out-of-order event (even another final
+ * one, like a decline after signing_complete) is logged but not applied.
+ * `force` skips that guard (new envelopes and manual corrections). An applied
+ * change also goes in the audit trail, credited to `actor` (or whoever made `req`).
+ */
+async function recordDocuSignStatus({ submissionId, envelopeId, status, source, event, deliveryKey, occurredAt, payload, force = false, req, actor }) {
+  const [seen] = await supabaseRequest(`noleadnola_docusign_events?delivery_key=eq.${encodeURIComponent(deliveryKey)}&select=id`);
+  if (seen) return { duplicate: true };
+
+  const [submission] = submissionId
+    ? await supabaseRequest(`noleadnola_submissions?id=eq.${submissionId}&select=docusign_status,case_id`)
+    : [];
+  // The same final status again (the redirect, then Connect) still counts, so signing_complete archives
+  const applied = !!submission
+    && (force || !FINAL_DOCUSIGN_STATUSES.includes(submission.docusign_status) || submission.docusign_status === status);
+  if (applied) {
+    await supabaseRequest(`noleadnola_submissions?id=eq.${submissionId}`, {
+      method: 'PATCH',
+      body: { docusign_status: status, updated_at: new Date().toISOString() },
+    });
+  }
+
+  const [recorded] = await supabaseRequest('noleadnola_docusign_events?on_conflict=delivery_key', {
+    method: 'POST',
+    headers: { 'Prefer': 'return=representation,resolution=ignore-duplicates' },
+    body: {
+      delivery_key: deliveryKey,
+      submission_id: submissionId || null,
+      envelope_id: envelopeId || null,
+      source,
+      event,
+      status,
+      occurred_at: occurredAt || new Date().toISOString(),
+      payload: payload || null,
+    },
+  });
+  // A concurrent delivery of the same event got here first and does the rest
+  if (!recorded) return { duplicate: true };
+  if (!applied) return { duplicate: false, applied: false };
+
+  await recordChange({
+    entityType: 'submission',
+    entityId: submissionId,
+    action: 'signing-status',
+    req,
+    actor,
+    before: { docusign_status: submission.docusign_status },
+    after: { docusign_status: status },
+    details: { source, event, envelopeId: envelopeId || null },
+  });
+  if (submission.case_id) {
+    await refreshPropertyCase(submission.case_id)
+      .catch(err => console.error(`[Cases] Failed to refresh case #${submission.case_id}:`, err.message));
+  }
+  return { duplicate: false, applied: true };
+}
+
+// DocuSign sends base64(HMAC-SHA256(key, body)) in X-DocuSign-Signature-1..N (one per active key)
+function isValidConnectSignature(req) {
+  if (!req.rawBody) return false;
+  const signatures = Object.keys(req.headers)
+    .filter(h => /^x-docusign-signature-\d+$/.test(h))
+    .map(h => Buffer.from(req.headers[h], 'base64'));
+
+  return DOCUSIGN_CONFIG.connectHmacKeys.some(key => {
+    const expected = crypto.createHmac('sha256', key).update(req.rawBody).digest();
+    return signatures.some(sig => sig.length === expected.length && crypto.timingSafeEqual(sig, expected));
+  });
+}
+
+app.get('/api/docusign/callback', validateRequest({
+  query: {
+    event: field.string({ max: 40, pattern: /^[a-z_]+$/, default: 'unknown' }),
+    submissionId: field.integer({ min: 1 }),
+    token: field.string({ max: 2000 }),
+    resume: resumeCodeField(),
+  },
+}), async (req, res) => {
   // DocuSign redirects here after signing completes.
-  const event = req.query.event || 'unknown';
+  const event = req.query.event;
   const submissionId = req.query.submissionId;
+  // The return URL carries a submission token so a hand-typed URL can't mark a submission signed
+  const claims = auth.verifyToken(req.query.token, 'submission');
 
   // Update submission with signing result
-  if (submissionId && SUPABASE_HEADERS) {
+  if (submissionId && claims?.sub === String(submissionId) && SUPABASE_HEADERS) {
     try {
-      await fetch(`${SUPABASE_URL}/rest/v1/noleadnola_submissions?id=eq.${submissionId}`, {
-        method: 'PATCH',
-        headers: SUPABASE_HEADERS,
-        body: JSON.stringify({
-          docusign_status: event,
-          updated_at: new Date().toISOString(),
-        }),
-      });
-      console.log(`[DocuSign] Updated submission #${submissionId} with status: ${event}`);
+      const [submission] = await supabaseRequest(`noleadnola_submissions?id=eq.${encodeURIComponent(submissionId)}&select=id,docusign_envelope_id`);
+      if (submission) {
+        const result = await recordDocuSignStatus({
+          submissionId: submission.id,
+          envelopeId: submission.docusign_envelope_id,
+          status: event,
+          source: 'redirect',
+          event,
+          deliveryKey: `redirect:${submission.id}:${event}:${Date.now()}`,
+          req,
+        });
+        console.log(`[DocuSign] Updated submission #${submissionId} with status: ${result.applied ? event : `${event} (kept final status)`}`);
+      }
     } catch (err) {
       console.error('[DocuSign] Failed to update submission status:', err);
     }
   }
 
-  // Redirect back to the app with the signing result as a hash parameter.
-  res.redirect(`/#signing-${event}`);
+  // Redirect back to the app with the signing result (and resume code) as a hash parameter.
+  const resume = normalizeResumeCode(req.query.resume);
+  res.redirect(`/#signing-${encodeURIComponent(event)}${resume ? `&resume=${resume}` : ''}`);
 });
 
-// ─── Export for Vercel Serverless ─────────────────────────────────────────────
+// DocuSign Connect (JSON SIM format) — envelope status events, delivered even
+// when the signer never returns through the redirect above.
+// Signature first, so unsigned requests learn nothing about the payload schema
+function requireConnectSignature(req, res, next) {
+  if (!DOCUSIGN_CONFIG.connectHmacKeys.length) {
+    return res.status(503).json({ error: 'DocuSign Connect HMAC key is not configured (DOCUSIGN_CONNECT_HMAC_KEYS).' });
+  }
+  if (!isValidConnectSignature(req)) {
+    console.warn('[DocuSign] Webhook rejected: invalid HMAC signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  next();
+}
 
-module.exports = app;
+app.post('/api/docusign/webhook', requireConnectSignature, validateRequest({
+  body: {
+    event: field.string({ required: true, max: 100 }),
+    generatedDateTime: field.date(),
+    data: field.object({
+      envelopeId: field.string({ required: true, max: 100 }),
+      envelopeSummary: field.object({ status: field.string({ max: 40 }) }),
+    }, { required: true }),
+  },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
 
-// ─── Start Server (local dev only) ───────────────────────────────────────────
+  const { event, generatedDateTime, data } = req.body;
+  const { envelopeId } = data;
+  const envelopeStatus = data.envelopeSummary?.status || event.replace(/^envelope-/, '');
+  const status = CONNECT_STATUS_MAP[envelopeStatus];
+
+  try {
+    // Recipient-level and other events are acknowledged but only envelope statuses are tracked
+    if (!status) {
+      return res.json({ ok: true, ignored: event });
+    }
+
+    const [submission] = await supabaseRequest(
+      `noleadnola_submissions?docusign_envelope_id=eq.${encodeURIComponent(envelopeId)}&select=id`
+    );
+
+    const result = await recordDocuSignStatus({
+      submissionId: submission?.id,
+      envelopeId,
+      status,
+      source: 'connect',
+      event,
+      deliveryKey: `connect:${envelopeId}:${event}:${generatedDateTime || ''}`,
+      occurredAt: generatedDateTime,
+      // The whole delivery as signed, not just the fields read above
+      payload: JSON.parse(req.rawBody),
+      req,
+      actor: DOCUSIGN_ACTOR,
+    });
+
+    if (result.duplicate) {
+      console.log(`[DocuSign] Duplicate Connect delivery ignored: ${event} for ${envelopeId}`);
+    } else if (!submission) {
+      console.warn(`[DocuSign] Connect event ${event} for unknown envelope ${envelopeId}`);
+    } else {
+      console.log(`[DocuSign] Connect ${event} → submission #${submission.id} ${result.applied ? status : '(kept final status)'}`);
+    }
+
+    // Archive the executed agreement while we have it; GET .../documents retries on demand
+    if (submission && result.applied && status === 'signing_complete') {
+      try {
+        await archiveSignedDocuments(submission.id, envelopeId);
+      } catch (err) {
+        console.error(`[Documents] Archival failed for submission #${submission.id}:`, err.message);
+      }
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    // Non-2xx makes DocuSign retry the delivery later
+    console.error('[DocuSign] Webhook processing error:', err);
+    res.status(500).json({ error: 'Failed to process event' });
+  }
+});
+
+// ─── Signed Documents ────────────────────────────────────────────────────────
+
+// documentId values understood by EnvelopesApi.getDocument
+const ARCHIVED_DOCUMENTS = {
+  signed: { documentId: 'combined', options: { certificate: 'false' }, label: 'Signed agreement' },
+  certificate: { documentId: 'certificate', options: {}, label: 'Certificate of completion' },
+};
+
+function toDocument(row) {
+  return {
+    kind: row.kind,
+    label: ARCHIVED_DOCUMENTS[row.kind]?.label || row.kind,
+    envelopeId: row.envelope_id,
+    sizeBytes: row.size_bytes,
+    sha256: row.sha256,
+    archivedAt: row.archived_at,
+    url: `/api/submissions/${row.submission_id}/documents/${row.kind}`,
+  };
+}
+
+/**
+ * Download the combined signed PDF and certificate of completion for a
+ * completed envelope and keep copies in storage. Safe to call again — rows are
+ * keyed by (envelope_id, kind) and re-archiving overwrites the same files.
+ */
+async function archiveSignedDocuments(submissionId, envelopeId) {
+  const envelopesApi = await getEnvelopesApi();
+  const envelope = await envelopesApi.getEnvelope(DOCUSIGN_CONFIG.accountId, envelopeId);
+  if (envelope.status !== 'completed') {
+    const err = new Error(`Envelope ${envelopeId} is ${envelope.status}, not completed`);
+    err.status = 409;
+    throw err;
+  }
+
+  const storage = getStorage();
+  const rows = [];
+  for (const [kind, { documentId, options }] of Object.entries(ARCHIVED_DOCUMENTS)) {
+    const data = await envelopesApi.getDocument(DOCUSIGN_CONFIG.accountId, envelopeId, documentId, options);
+    // The SDK resolves PDFs as a Buffer, or a binary string in older versions
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'binary');
+    const storageKey = `documents/${submissionId}/${envelopeId}-${kind}.pdf`;
+    await storage.save(storageKey, buffer, 'application/pdf');
+    rows.push({
+      submission_id: submissionId,
+      envelope_id: envelopeId,
+      kind,
+      storage_key: storageKey,
+      content_type: 'application/pdf',
+      size_bytes: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      archived_at: new Date().toISOString(),
+    });
+  }
+
+  const saved = await supabaseRequest('noleadnola_documents?on_conflict=envelope_id,kind', {
+    method: 'POST',
+    headers: { 'Prefer': 'return=representation,resolution=merge-duplicates' },
+    body: rows,
+  });
+  console.log(`[Documents] Archived ${saved.length} document(s) for submission #${submissionId} (${envelopeId})`);
+  return saved;
+}
+
+async function loadSubmissionForDocuments(id) {
+  const [submission] = await supabaseRequest(
+    `noleadnola_submissions?id=eq.${encodeURIComponent(id)}&select=id,docusign_envelope_id,docusign_status`
+  );
+  return submission || null;
+}
+
+// Lists the archived documents, fetching them from DocuSign on first request
+// (covers envelopes completed before archival existed or when the webhook missed).
+app.get('/api/submissions/:id/documents', requireRole(...STAFF_ROLES), validateRequest({
+  params: { id: idField() },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+
+  try {
+    const submission = await loadSubmissionForDocuments(req.params.id);
+    if (!submission) return res.status(404).json({ error: 'Submission not found' });
+    if (!submission.docusign_envelope_id) {
+      return res.status(404).json({ error: 'Submission has no signing envelope' });
+    }
+
+    let rows = await supabaseRequest(
+      `noleadnola_documents?submission_id=eq.${submission.id}&envelope_id=eq.${encodeURIComponent(submission.docusign_envelope_id)}&order=kind.desc`
+    );
+    if (rows.length < Object.keys(ARCHIVED_DOCUMENTS).length) {
+      if (submission.docusign_status !== 'signing_complete') {
+        return res.status(409).json({
+          error: 'Agreement has not been signed yet',
+          docusignStatus: submission.docusign_status,
+        });
+      }
+      if (!isDocuSignConfigured()) {
+        return res.status(503).json({ error: 'DocuSign is not configured. See docusign-setup.md.' });
+      }
+      rows = await archiveSignedDocuments(submission.id, submission.docusign_envelope_id);
+    }
+
+    res.json({
+      submissionId: submission.id,
+      envelopeId: submission.docusign_envelope_id,
+      documents: rows.map(toDocument),
+    });
+  } catch (err) {
+    console.error('[Documents] Failed to load documents:', err);
+    res.status(err.status === 409 ? 409 : 500).json({ error: err.message || 'Failed to load documents' });
+  }
+});
+
+app.get('/api/submissions/:id/documents/:kind', requireRole(...STAFF_ROLES), validateRequest({
+  params: { id: idField(), kind: field.string({ required: true, max: 40 }) },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { id, kind } = req.params;
+  if (!ARCHIVED_DOCUMENTS[kind]) {
+    return res.status(404).json({ error: `Unknown document: ${kind}` });
+  }
+
+  try {
+    const submission = await loadSubmissionForDocuments(id);
+    if (!submission) return res.status(404).json({ error: 'Submission not found' });
+
+    const [row] = await supabaseRequest(
+      `noleadnola_documents?submission_id=eq.${submission.id}&envelope_id=eq.${encodeURIComponent(submission.docusign_envelope_id || '')}&kind=eq.${kind}`
+    );
+    const file = row && await getStorage().read(row.storage_key);
+    if (!file) return res.status(404).json({ error: 'Document has not been archived' });
+
+    res.set('Content-Type', row.content_type);
+    res.set('Content-Disposition', `inline; filename="submission-${submission.id}-${kind}.pdf"`);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(file.buffer);
+  } catch (err) {
+    console.error('[Documents] Failed to read document:', err);
+    res.status(500).json({ error: 'Failed to read document' });
+  }
+});
+
+// ─── Submissions Review ──────────────────────────────────────────────────────
+
+const SUBMISSION_PAGE_SIZE = 25;
+const MAX_SUBMISSION_PAGE_SIZE = 100;
+const EXPORT_BATCH = 1000;
+const MAX_EXPORT_ROWS = 20000;
+
+const CONTACT_ROLES = ['signer', 'owner_referral', 'landlord'];
+
+function toSubmission(row) {
+  return {
+    id: row.id,
+    address: row.address,
+    submittedAt: row.submitted_at,
+    queuedAt: row.queued_at,
+    updatedAt: row.updated_at,
+    ownership: row.ownership,
+    preferredLanguage: row.preferred_language,
+    filler: {
+      firstName: row.filler_first_name,
+      lastName: row.filler_last_name,
+      email: row.filler_email,
+      phone: row.filler_phone,
+    },
+    propertyRecordsMatch: row.property_records_match,
+    ownerMatch: row.owner_match_reason ? { confidence: row.owner_match_confidence, reason: row.owner_match_reason } : null,
+    signingAuthority: row.signing_authority,
+    contact: {
+      firstName: row.contact_first_name,
+      lastName: row.contact_last_name,
+      email: row.contact_email,
+      phone: row.contact_phone,
+      role: row.contact_role,
+    },
+    assessor: {
+      ownerName: row.assessor_owner_name,
+      parcelId: row.parcel_id,
+      legalDescription: row.legal_description,
+      propertyType: row.property_type,
+      yearBuilt: row.year_built,
+      livingArea: row.living_area,
+      lotSqft: row.lot_sqft,
+      lotDimensions: row.lot_dimensions,
+      landValue: row.land_value,
+      assessedValue: row.assessed_value,
+      taxableValue: row.taxable_value,
+      taxBillId: row.tax_bill_id,
+      square: row.square,
+      lot: row.lot,
+    },
+    docusign: {
+      envelopeId: row.docusign_envelope_id,
+      status: row.docusign_status,
+      signingMode: row.docusign_signing_mode,
+    },
+    caseId: row.case_id,
+    caseStatus: row.property_case ? row.property_case.status : null,
+    duplicateOf: row.duplicate_of,
+  };
+}
+
+// The dashboard's filters, shared by the list and the export
+const SUBMISSION_FILTER_QUERY = {
+  ownership: field.string({ oneOf: ['own', 'rent'] }),
+  contactRole: field.string({ oneOf: ['none', ...CONTACT_ROLES] }),
+  docusignStatus: field.string({ oneOf: ['none', ...DOCUSIGN_STATUSES] }),
+  recordsMatch: field.string({ oneOf: ['true', 'false', 'unknown'] }),
+  from: field.date(),
+  to: field.date(),
+  q: field.string({ max: 200 }),
+};
+
+// Accepts full timestamps (the dashboard sends local day bounds) or a bare
+// YYYY-MM-DD, which covers that whole UTC day
+function parseDateBound(value, endOfDay) {
+  if (!value) return null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+    : new Date(value);
+  return date.toISOString();
+}
+
+// Translate the dashboard's (validated) query string into PostgREST filters
+function buildSubmissionFilters(query) {
+  const filters = [];
+  const { ownership, contactRole, docusignStatus, recordsMatch, from, to, q } = query;
+
+  if (ownership) filters.push(`ownership=eq.${ownership}`);
+  if (contactRole) filters.push(contactRole === 'none' ? 'contact_role=is.null' : `contact_role=eq.${contactRole}`);
+  if (docusignStatus) filters.push(docusignStatus === 'none' ? 'docusign_status=is.null' : `docusign_status=eq.${docusignStatus}`);
+  if (recordsMatch) {
+    const values = { true: 'is.true', false: 'is.false', unknown: 'is.null' };
+    filters.push(`property_records_match=${values[recordsMatch]}`);
+  }
+
+  const fromIso = parseDateBound(from, false);
+  const toIso = parseDateBound(to, true);
+  if (fromIso) filters.push(`submitted_at=gte.${encodeURIComponent(fromIso)}`);
+  if (toIso) filters.push(`submitted_at=lte.${encodeURIComponent(toIso)}`);
+
+  // Free-text search over address, names and emails. PostgREST's or=() syntax
+  // reserves , ( ) and * so they are stripped from the term.
+  const term = (q || '').replace(/[,()*"\\]/g, ' ').trim();
+  if (term) {
+    const like = `ilike.*${term}*`;
+    const columns = ['address', 'filler_first_name', 'filler_last_name', 'filler_email',
+      'contact_first_name', 'contact_last_name', 'contact_email', 'parcel_id'];
+    filters.push(`or=${encodeURIComponent(`(${columns.map(c => `${c}.${like}`).join(',')})`)}`);
+  }
+
+  return filters;
+}
+
+// Each row carries its property case's status
+function submissionQuery(filters, extra) {
+  const select = 'select=*,property_case:noleadnola_property_cases(status)';
+  return `noleadnola_submissions?${[select, ...filters, 'order=submitted_at.desc,id.desc', ...extra].join('&')}`;
+}
+
+app.get('/api/submissions', requireRole(...STAFF_ROLES), validateRequest({
+  query: {
+    ...SUBMISSION_FILTER_QUERY,
+    page: field.integer({ min: 1, default: 1 }),
+    pageSize: field.integer({ min: 1, max: MAX_SUBMISSION_PAGE_SIZE, default: SUBMISSION_PAGE_SIZE }),
+  },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const filters = buildSubmissionFilters(req.query);
+  const { page, pageSize } = req.query;
+
+  try {
+    const { rows, total } = await supabaseSelectPage(
+      submissionQuery(filters, [`limit=${pageSize}`, `offset=${(page - 1) * pageSize}`])
+    );
+    res.json({ submissions: rows.map(toSubmission), total, page, pageSize });
+  } catch (err) {
+    console.error('[Submissions] List failed:', err);
+    res.status(500).json({ error: 'Failed to load submissions' });
+  }
+});
+
+// Spreadsheet columns for call lists and signing reports
+const EXPORT_COLUMNS = [
+  ['ID', r => r.id],
+  ['Submitted', r => r.submitted_at],
+  ['Address', r => r.address],
+  ['Ownership', r => r.ownership],
+  ['Language', r => r.preferred_language],
+  ['Filler First Name', r => r.filler_first_name],
+  ['Filler Last Name', r => r.filler_last_name],
+  ['Filler Email', r => r.filler_email],
+  ['Filler Phone', r => r.filler_phone],
+  ['Records Match', r => r.property_records_match],
+  ['Owner Match Confidence', r => r.owner_match_confidence],
+  ['Owner Match Reason', r => r.owner_match_reason],
+  ['Signing Authority', r => r.signing_authority],
+  ['Contact Role', r => r.contact_role],
+  ['Contact First Name', r => r.contact_first_name],
+  ['Contact Last Name', r => r.contact_last_name],
+  ['Contact Email', r => r.contact_email],
+  ['Contact Phone', r => r.contact_phone],
+  ['Assessor Owner', r => r.assessor_owner_name],
+  ['Parcel ID', r => r.parcel_id],
+  ['Property Type', r => r.property_type],
+  ['DocuSign Status', r => r.docusign_status],
+  ['Signing Mode', r => r.docusign_signing_mode],
+  ['Envelope ID', r => r.docusign_envelope_id],
+  ['Case', r => r.case_id],
+  ['Case Status', r => (r.property_case ? r.property_case.status : null)],
+  ['Duplicate Of', r => r.duplicate_of],
+  ['Updated', r => r.updated_at],
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cells that start like a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+app.get('/api/submissions/export', requireRole(...STAFF_ROLES), validateRequest({
+  query: { ...SUBMISSION_FILTER_QUERY, format: field.string({ oneOf: ['csv', 'xlsx'], default: 'csv' }) },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { format } = req.query;
+  const filters = buildSubmissionFilters(req.query);
+
+  try {
+    const rows = [];
+    for (let offset = 0; offset < MAX_EXPORT_ROWS; offset += EXPORT_BATCH) {
+      const batch = await supabaseRequest(submissionQuery(filters, [`limit=${EXPORT_BATCH}`, `offset=${offset}`]));
+      rows.push(...batch);
+      if (batch.length < EXPORT_BATCH) break;
+    }
+
+    const filename = `submissions-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'private, no-store');
+    console.log(`[Submissions] ${req.staff.email} exported ${rows.length} submission(s) as ${format}`);
+
+    if (format === 'csv') {
+      const lines = [EXPORT_COLUMNS.map(([header]) => header).join(',')];
+      for (const row of rows) lines.push(EXPORT_COLUMNS.map(([, get]) => csvCell(get(row))).join(','));
+      res.type('text/csv').send(`${lines.join('\r\n')}\r\n`);
+      return;
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Submissions');
+    sheet.columns = EXPORT_COLUMNS.map(([header]) => ({ header, width: Math.max(12, header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    for (const row of rows) {
+      sheet.addRow(EXPORT_COLUMNS.map(([header, get]) => {
+        const value = get(row);
+        return value && (header === 'Submitted' || header === 'Updated') ? new Date(value) : value;
+      }));
+    }
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+  } catch (err) {
+    console.error('[Submissions] Export failed:', err);
+    res.status(500).json({ error: 'Failed to export submissions' });
+  }
+});
+
+app.get('/api/submissions/:id', requireRole(...STAFF_ROLES), validateRequest({
+  params: { id: idField() },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+
+  try {
+    const [row] = await supabaseRequest(`noleadnola_submissions?id=eq.${encodeURIComponent(req.params.id)}`);
+    if (!row) return res.status(404).json({ error: 'Submission not found' });
+
+    const [parcels, ownerChanges, events, documents, notifications, propertyCase] = await Promise.all([
+      row.parcel_id
+        ? supabaseRequest(`noleadnola_parcels?parcel_id=eq.${encodeURIComponent(row.parcel_id)}&select=site_address,owner_name1,owner_name2,centroid_lat,centroid_lng,polygon_coords,geometry,retired_at&limit=1`)
+        : [],
+      // Recorded by the nightly parcel sync (npm run sync-parcels)
+      row.parcel_id
+        ? supabaseRequest(`noleadnola_parcel_history?parcel_id=eq.${encodeURIComponent(row.parcel_id)}&change_type=eq.ownership&order=detected_at.asc`)
+        : [],
+      supabaseRequest(`noleadnola_docusign_events?submission_id=eq.${row.id}&select=source,event,status,occurred_at&order=occurred_at.asc`),
+      supabaseRequest(`noleadnola_documents?submission_id=eq.${row.id}&order=kind.desc`),
+      loadNotifications(`submission_id=eq.${row.id}`),
+      row.case_id ? loadPropertyCaseDetail(row.case_id) : null,
+    ]);
+    const parcel = parcels[0];
+
+    res.json({
+      submission: toSubmission(row),
+      parcel: parcel ? {
+        siteAddress: parcel.site_address,
+        ownerName: [parcel.owner_name1, parcel.owner_name2].filter(Boolean).join(' / '),
+        lat: parcel.centroid_lat,
+        lng: parcel.centroid_lng,
+        polygonCoords: parcel.polygon_coords,
+        geometry: parcel.geometry,
+        retiredAt: parcel.retired_at,
+      } : null,
+      ownerChanges: ownerChanges.map(h => ({
+        previousOwner: [h.previous_owner_name1, h.previous_owner_name2].filter(Boolean).join(' / '),
+        owner: [h.owner_name1, h.owner_name2].filter(Boolean).join(' / '),
+        detectedAt: h.detected_at,
+        afterSubmission: new Date(h.detected_at) > new Date(row.submitted_at),
+      })),
+      events: events.map(e => ({ source: e.source, event: e.event, status: e.status, occurredAt: e.occurred_at })),
+      documents: documents.map(toDocument),
+      notifications,
+      propertyCase,
+    });
+  } catch (err) {
+    console.error('[Submissions] Detail failed:', err);
+    res.status(500).json({ error: 'Failed to load submission' });
+  }
+});
+
+// ─── Property Cases ──────────────────────────────────────────────────────────
+// Submissions grouped by property (lib/cases.js). The questionnaire asks whether
+// an address already has an agreement; staff see each case's submissions and
+// merge cases that belong to one household.
+
+// A case with its submissions (oldest first) and other cases that may be the same household
+async function loadPropertyCaseDetail(caseId) {
+  const [caseRow] = await supabaseRequest(`noleadnola_property_cases?id=eq.${caseId}`);
+  if (!caseRow) return null;
+  const submissions = await loadCaseSubmissions(caseRow.id);
+  const matches = caseRow.merged_into ? [] : await findMatchingCases(caseRow, submissions);
+  return {
+    ...toPropertyCase(caseRow),
+    members: submissions.map(s => ({
+      id: s.id,
+      address: s.address,
+      submittedAt: s.submitted_at,
+      contactRole: s.contact_role,
+      docusignStatus: s.docusign_status,
+      duplicateOf: s.duplicate_of,
+    })),
+    matches,
+  };
+}
+
+// Public: only whether an agreement for the property is signed or out for
+// signature, so the questionnaire can warn before someone starts another one
+app.get('/api/property-cases/agreement', validateRequest({
+  query: { address: addressField(), parcelId: field.string({ max: 50 }) },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { address, parcelId } = req.query;
+  if (!address && !parcelId) {
+    return sendValidationErrors(res, [{ location: 'query', field: 'address', message: 'address or parcelId is required' }]);
+  }
+
+  try {
+    const caseRow = await findPropertyCase({ parcelId: parcelId || null, address });
+    const agreement = caseRow && ['signed', 'sent'].includes(caseRow.status) ? caseRow.status : null;
+    res.set('Cache-Control', 'no-store');
+    res.json({ agreement });
+  } catch (err) {
+    console.error('[Cases] Agreement lookup failed:', err);
+    res.status(500).json({ error: 'Failed to look up the property' });
+  }
+});
+
+app.get('/api/property-cases/:id', requireRole(...STAFF_ROLES), validateRequest({
+  params: { id: idField() },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { id } = req.params;
+
+  try {
+    const propertyCase = await loadPropertyCaseDetail(id);
+    if (!propertyCase) return res.status(404).json({ error: 'Case not found' });
+    res.json({ propertyCase });
+  } catch (err) {
+    console.error('[Cases] Detail failed:', err);
+    res.status(500).json({ error: 'Failed to load case' });
+  }
+});
+
+// Fold case `caseId` into this one
+app.post('/api/property-cases/:id/merge', requireRole(...STAFF_ROLES), validateRequest({
+  params: { id: idField() },
+  body: { caseId: idField() },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const targetId = req.params.id;
+  const sourceId = req.body.caseId;
+  if (sourceId === targetId) {
+    return sendValidationErrors(res, [{ location: 'body', field: 'caseId', message: 'A case cannot be merged into itself' }]);
+  }
+
+  try {
+    const cases = await supabaseRequest(`noleadnola_property_cases?id=in.(${targetId},${sourceId})&select=id,merged_into`);
+    const target = cases.find(c => c.id === targetId);
+    const source = cases.find(c => c.id === sourceId);
+    if (!target || !source) return res.status(404).json({ error: 'Case not found' });
+    if (target.merged_into || source.merged_into) {
+      return res.status(409).json({ error: `Case #${target.merged_into ? target.id : source.id} was already merged into case #${target.merged_into || source.merged_into}` });
+    }
+
+    const moving = await loadCaseSubmissions(sourceId);
+    await mergePropertyCases(targetId, sourceId);
+    console.log(`[Cases] ${req.staff.email} merged case #${sourceId} into #${targetId}`);
+
+    await recordEvent({
+      entityType: 'property_case',
+      entityId: sourceId,
+      action: 'merged',
+      req,
+      before: { merged_into: null },
+      after: { merged_into: targetId },
+      details: { submissions: moving.map(s => s.id) },
+    });
+    const moved = await loadCaseSubmissions(targetId);
+    for (const row of moving) {
+      const merged = moved.find(m => m.id === row.id);
+      await recordChange({
+        entityType: 'submission',
+        entityId: row.id,
+        action: 'case-merged',
+        req,
+        before: { case_id: row.case_id, duplicate_of: row.duplicate_of },
+        after: { case_id: merged?.case_id ?? targetId, duplicate_of: merged?.duplicate_of ?? row.duplicate_of },
+      });
+    }
+    res.json({ propertyCase: await loadPropertyCaseDetail(targetId) });
+  } catch (err) {
+    console.error('[Cases] Merge failed:', err);
+    res.status(500).json({ error: 'Failed to merge cases' });
+  }
+});
+
+// ─── Uploads API ─────────────────────────────────────────────────────────────
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_FILES_PER_UPLOAD },
+});
+
+// Served through /api so it works behind the Vercel /api rewrite as well as locally
+function uploadUrl(key) {
+  return `/api/uploads/${key}`;
+}
+
+function toPhoto(row) {
+  return {
+    id: row.id,
+    url: uploadUrl(row.storage_key),
+    thumbnailUrl: uploadUrl(row.thumbnail_key),
+    width: row.width,
+    height: row.height,
+  };
+}
+
+// Multer reports limit violations as errors; turn them into 4xx responses
+function acceptPhotos(req, res, next) {
+  photoUpload.array('photos', MAX_FILES_PER_UPLOAD)(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Each photo must be ${MAX_UPLOAD_BYTES / 1024 / 1024}MB or smaller` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  });
+}
+
+app.post('/api/uploads/photos', requireRole(), acceptPhotos, async (req, res) => {
+  const storage = getStorage();
+  const savedKeys = [];
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({ error: 'No photos uploaded (use the "photos" form field)' });
+    }
+
+    // Process everything first so one bad file rejects the whole batch
+    const processed = [];
+    for (const file of req.files) {
+      processed.push({ file, ...(await processPhoto(file.buffer)) });
+    }
+
+    const rows = [];
+    for (const { file, image, thumbnail, width, height } of processed) {
+      const { key, thumbnailKey } = photoStorageKeys();
+      await storage.save(key, image, 'image/jpeg');
+      savedKeys.push(key);
+      await storage.save(thumbnailKey, thumbnail, 'image/jpeg');
+      savedKeys.push(thumbnailKey);
+      rows.push({
+        storage_key: key,
+        thumbnail_key: thumbnailKey,
+        content_type: 'image/jpeg',
+        width,
+        height,
+        size_bytes: image.length,
+        original_name: file.originalname || null,
+      });
+    }
+
+    const inserted = await supabaseRequest('noleadnola_photos', { method: 'POST', body: rows });
+    console.log(`[Uploads] Stored ${inserted.length} photo(s)`);
+    res.status(201).json({ photos: inserted.map(toPhoto) });
+  } catch (err) {
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    if (err.status === 415) {
+      return res.status(415).json({ error: err.message });
+    }
+    console.error('[Uploads] Error:', err);
+    res.status(500).json({ error: 'Failed to store photos' });
+  }
+});
+
+// Photos only: archived agreements share the storage adapter but are served by
+// GET /api/submissions/:id/documents/:kind, which is limited to staff
+const SERVED_UPLOAD_PATTERN = /^photos\//;
+
+app.get('/api/uploads/*', requireRole(), validateRequest({
+  params: { 0: field.string({ required: true, max: 200 }) },
+}), async (req, res) => {
+  if (!SERVED_UPLOAD_PATTERN.test(req.params[0])) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  try {
+    const file = await getStorage().read(req.params[0]);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    // Keys are random and never reused, so the content can be cached indefinitely
+    res.set('Content-Type', file.contentType);
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    res.send(file.buffer);
+  } catch (err) {
+    if (err.message.startsWith('Invalid storage key')) {
+      return res.status(400).json({ error: 'Invalid file path' });
+    }
+    console.error('[Uploads] Read error:', err);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+});
+
+// ─── Parcels API ─────────────────────────────────────────────────────────────
+
+const PARCEL_FIELDS = 'id,site_address,owner_name1,owner_name2,parcel_id,property_type,property_desc,year_built,living_area,lot_sqft,lot_dims,land_value,assessed_value,taxable_value,tax_bill_id,block,lot,zip,centroid_lat,centroid_lng';
+const PARCEL_CANDIDATES = 25;     // rows pulled from Postgres before re-ranking
+const MAX_PARCEL_RESULTS = 10;
+// House number matches and the rest of the address lines up well enough to use without asking
+const CONFIDENT_MATCH_SCORE = 0.8;
+
+function toParcel(row) {
+  return {
+    id: row.id,
+    siteAddress: row.site_address,
+    ownerName1: row.owner_name1,
+    ownerName2: row.owner_name2,
+    parcelId: row.parcel_id,
+    propertyType: row.property_type,
+    propertyDesc: row.property_desc,
+    yearBuilt: row.year_built,
+    livingArea: row.living_area,
+    lotSqft: row.lot_sqft,
+    lotDims: row.lot_dims,
+    landValue: row.land_value,
+    assessedValue: row.assessed_value,
+    taxableValue: row.taxable_value,
+    taxBillId: row.tax_bill_id,
+    block: row.block,
+    lot: row.lot,
+    zip: row.zip,
+    lat: row.centroid_lat,
+    lng: row.centroid_lng,
+    ...(row.polygon_coords !== undefined && { polygonCoords: row.polygon_coords }),
+    ...(row.geometry !== undefined && { geometry: row.geometry }),
+  };
+}
+
+/**
+ * Rank parcels against typed address text. Returns { query, matches } where each
+ * match is { score, exact, houseNumberMatch, confident, parcel }.
+ */
+async function searchParcelsByAddress(text, { limit = 5, withGeometry = false } = {}) {
+  const query = parseAddress(text);
+  if (!query.normalized) return { query, matches: [] };
+
+  const candidates = await supabaseRequest('rpc/noleadnola_search_parcels', {
+    method: 'POST',
+    body: { search_text: query.normalized, house_number: query.houseNumber, max_results: PARCEL_CANDIDATES },
+  });
+
+  const ranked = candidates
+    .map(c => ({ id: c.id, ...scoreAddressMatch(query, c.site_address, c.trigram_score) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  let rows = [];
+  if (ranked.length) {
+    const select = withGeometry ? `${PARCEL_FIELDS},polygon_coords,geometry` : PARCEL_FIELDS;
+    rows = await supabaseRequest(`noleadnola_parcels?id=in.(${ranked.map(r => r.id).join(',')})&select=${select}`);
+  }
+  const byId = new Map(rows.map(r => [r.id, r]));
+
+  // Only the top match can be confident, and never when it ties the runner-up
+  const [best, runnerUp] = ranked;
+  const isConfident = (r) => r === best
+    && (r.exact || (r.houseNumberMatch && r.score >= CONFIDENT_MATCH_SCORE && r.score !== runnerUp?.score));
+  const matches = ranked.filter(r => byId.has(r.id)).map(r => ({
+    score: r.score,
+    exact: r.exact,
+    houseNumberMatch: r.houseNumberMatch,
+    confident: isConfident(r),
+    parcel: toParcel(byId.get(r.id)),
+  }));
+  return { query, matches };
+}
+
+// Public — parcels are assessor records, and the questionnaire needs this before anyone signs in.
+// ?q=<address>&limit=5&geometry=1 (include parcel shapes)
+app.get('/api/parcels/search', validateRequest({
+  query: {
+    q: addressField({ required: true, min: 3 }),
+    limit: field.integer({ min: 1, max: MAX_PARCEL_RESULTS, default: 5 }),
+    geometry: field.boolean({ default: false }),
+  },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { q, limit, geometry: withGeometry } = req.query;
+
+  try {
+    const result = await searchParcelsByAddress(q, { limit, withGeometry });
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(result);
+  } catch (err) {
+    console.error('[Parcels] Search failed:', err);
+    res.status(500).json({ error: 'Address search failed' });
+  }
+});
+
+// ─── Spatial Parcel Queries ──────────────────────────────────────────────────
+// Parcels are located by their centroid columns (indexed in create-table.sql).
+// PostgREST can't sort by distance, so rows in a bounding box are read a page at
+// a time and the exact distance is worked out here.
+
+const PARCEL_PAGE_SIZE = 1000;          // PostgREST's default max-rows
+const DEFAULT_SPATIAL_LIMIT = 500;
+const MAX_SPATIAL_LIMIT = 5000;
+const MAX_RADIUS_M = 1500;
+const MAX_BOX_DEGREES = 0.1;            // ~11 km north–south; a whole-city viewport should zoom in
+const DEFAULT_NEAREST_DISTANCE_M = 100;
+const MAX_NEAREST_DISTANCE_M = 500;
+const NEAREST_SEARCH_STEPS_M = [30, 100, 250, 500];
+// How far past the nearest centroid to keep looking for a lot the point is on.
+// Only very large lots (schools, parks) have centroids farther from their edge.
+const LOT_REACH_M = 75;
+
+// Reads parcels whose centroid is inside box, stopping after `max` rows.
+// Returns { rows, complete } — complete is false when the box held more.
+async function parcelsInBox(box, { max, select = PARCEL_FIELDS }) {
+  const filters = [
+    `centroid_lat=gte.${box.south}`, `centroid_lat=lte.${box.north}`,
+    `centroid_lng=gte.${box.west}`, `centroid_lng=lte.${box.east}`,
+    'retired_at=is.null', `select=${select}`, 'order=id',
+  ].join('&');
+
+  const rows = [];
+  for (let offset = 0; offset < max; offset += PARCEL_PAGE_SIZE) {
+    const limit = Math.min(PARCEL_PAGE_SIZE, max - offset);
+    const page = await supabaseRequest(`noleadnola_parcels?${filters}&limit=${limit}&offset=${offset}`);
+    rows.push(...page);
+    if (page.length < limit) return { rows, complete: true };
+  }
+  // Exactly `max` rows: one more tells whether that was all of them
+  const [extra] = await supabaseRequest(`noleadnola_parcels?${filters}&limit=1&offset=${max}`);
+  return { rows, complete: !extra };
+}
+
+/**
+ * Parcels whose centroid is within `radius` meters of [lng, lat], nearest first.
+ * Returns { parcels: [{ row, distance }], truncated }.
+ */
+async function parcelsWithinRadius([lng, lat], radius, { max = MAX_SPATIAL_LIMIT, select } = {}) {
+  // The box corners hold ~27% more than the circle, so read a little past the cap
+  const { rows, complete } = await parcelsInBox(boundsAround([lng, lat], radius), { max: Math.ceil(max * 1.3), select });
+  const inRange = rows
+    .map(row => ({ row, distance: distanceMeters([lng, lat], [row.centroid_lng, row.centroid_lat]) }))
+    .filter(r => r.distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+  return { parcels: inRange.slice(0, max), truncated: !complete || inRange.length > max };
+}
+
+function parcelContains(geometry, point) {
+  if (!geometry) return false;
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(polygon => pointInPolygon(point, polygon));
+}
+
+/**
+ * The parcel at [lng, lat], or the one with the nearest centroid within
+ * maxDistance meters. Searches outward in steps so a point on a lot only
+ * reads the parcels around it. The lot the point is on wins even when a
+ * neighbor's centroid is closer. Returns { row, distance, contains } or null.
+ */
+async function findNearestParcel([lng, lat], maxDistance) {
+  const steps = [...NEAREST_SEARCH_STEPS_M.filter(d => d < maxDistance), maxDistance];
+  let nearest = null;
+  for (const radius of steps) {
+    const { parcels } = await parcelsWithinRadius([lng, lat], radius, {
+      max: MAX_SPATIAL_LIMIT,
+      select: `${PARCEL_FIELDS},geometry`,
+    });
+    const inside = parcels.find(p => parcelContains(p.row.geometry, [lng, lat]));
+    if (inside) return { ...inside, contains: true };
+    nearest = nearest || parcels[0] || null;
+    if (nearest && radius >= nearest.distance + LOT_REACH_M) break;
+  }
+  return nearest && { ...nearest, contains: false };
+}
+
+const latitudeField = (opts = {}) => field.number({ min: -90, max: 90, ...opts });
+const longitudeField = (opts = {}) => field.number({ min: -180, max: 180, ...opts });
+
+// ?lat=&lng=
+const POINT_QUERY = { lat: latitudeField({ required: true }), lng: longitudeField({ required: true }) };
+// ?south=&west=&north=&east=
+const BOX_QUERY = {
+  south: latitudeField({ required: true }),
+  west: longitudeField({ required: true }),
+  north: latitudeField({ required: true }),
+  east: longitudeField({ required: true }),
+};
+const SPATIAL_QUERY = {
+  limit: field.integer({ min: 1, max: MAX_SPATIAL_LIMIT, default: DEFAULT_SPATIAL_LIMIT }),
+  geometry: field.boolean({ default: false }),
+};
+
+// A validated BOX_QUERY as a box no wider than maxSpan degrees.
+// Returns { box } or { error } (one validation error) for a 400.
+function readBox({ south, west, north, east }, maxSpan) {
+  if (south >= north || west >= east) {
+    return { error: { location: 'query', field: 'north', message: 'Box must have south < north and west < east' } };
+  }
+  if (north - south > maxSpan || east - west > maxSpan) {
+    return { error: { location: 'query', field: 'east', message: `Box can be at most ${maxSpan} degrees on a side` } };
+  }
+  return { box: { south, west, north, east } };
+}
+
+// Public like search. The parcel at or nearest a point — e.g. a phone's location,
+// to start the questionnaire without typing the address.
+// ?lat=&lng=&maxDistance=<meters, default 100, max 500>&geometry=1
+// → { parcel, distance, contains } with parcel null when nothing is that close
+app.get('/api/parcels/nearest', validateRequest({
+  query: {
+    ...POINT_QUERY,
+    maxDistance: field.number({ min: 1, max: MAX_NEAREST_DISTANCE_M, default: DEFAULT_NEAREST_DISTANCE_M }),
+    geometry: field.boolean({ default: false }),
+  },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { lat, lng, maxDistance, geometry: withGeometry } = req.query;
+
+  try {
+    const found = await findNearestParcel([lng, lat], maxDistance);
+    if (!found) return res.json({ parcel: null, distance: null, contains: false });
+    const { geometry, ...row } = found.row;
+    res.json({
+      parcel: toParcel(withGeometry ? found.row : row),
+      distance: Math.round(found.distance),
+      contains: found.contains,
+    });
+  } catch (err) {
+    console.error('[Parcels] Nearest lookup failed:', err);
+    res.status(500).json({ error: 'Failed to find the nearest parcel' });
+  }
+});
+
+// Public. Parcels in a map viewport.
+// ?south=&west=&north=&east=&limit=<default 500, max 5000>&geometry=1
+// A viewport with more than `limit` parcels comes back with `truncated` set.
+app.get('/api/parcels/bbox', validateRequest({
+  query: { ...BOX_QUERY, ...SPATIAL_QUERY },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { box, error } = readBox(req.query, MAX_BOX_DEGREES);
+  if (error) return sendValidationErrors(res, [error]);
+  const { limit, geometry: withGeometry } = req.query;
+
+  try {
+    const select = withGeometry ? `${PARCEL_FIELDS},polygon_coords,geometry` : PARCEL_FIELDS;
+    const { rows, complete } = await parcelsInBox(box, { max: limit, select });
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({ bounds: box, truncated: !complete, parcels: rows.map(toParcel) });
+  } catch (err) {
+    console.error('[Parcels] Bounding box query failed:', err);
+    res.status(500).json({ error: 'Failed to load parcels for this area' });
+  }
+});
+
+// Public. Parcels within a radius, nearest first, each with its distance in meters.
+// ?lat=&lng=&radius=<meters, max 1500>&limit=<default 500, max 5000>&geometry=1
+app.get('/api/parcels/radius', validateRequest({
+  query: { ...POINT_QUERY, radius: field.number({ required: true, min: 1, max: MAX_RADIUS_M }), ...SPATIAL_QUERY },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { lat, lng, radius, limit, geometry: withGeometry } = req.query;
+  const point = { lat, lng };
+
+  try {
+    const select = withGeometry ? `${PARCEL_FIELDS},polygon_coords,geometry` : PARCEL_FIELDS;
+    const { parcels, truncated } = await parcelsWithinRadius([point.lng, point.lat], radius, { max: limit, select });
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({
+      center: point,
+      radius,
+      truncated,
+      parcels: parcels.map(p => ({ ...toParcel(p.row), distance: Math.round(p.distance) })),
+    });
+  } catch (err) {
+    console.error('[Parcels] Radius query failed:', err);
+    res.status(500).json({ error: 'Failed to load parcels for this area' });
+  }
+});
+
+const DEFAULT_SLICE_RADIUS_M = 800;
+
+// Public. A canvassing tablet downloads the parcels around where the crew is
+// working so address lookups keep working without signal.
+// ?lat=&lng=&radius=<meters, default 800, max 1500>. Nearest parcels first. An area
+// with more than MAX_SPATIAL_LIMIT comes back incomplete with `truncated` set, so the
+// tablet can ask for a smaller radius.
+app.get('/api/parcels/slice', validateRequest({
+  query: { ...POINT_QUERY, radius: field.number({ min: 1, max: MAX_RADIUS_M, default: DEFAULT_SLICE_RADIUS_M }) },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { lat, lng, radius } = req.query;
+  const point = { lat, lng };
+
+  try {
+    const { parcels, truncated } = await parcelsWithinRadius([point.lng, point.lat], radius, { max: MAX_SPATIAL_LIMIT });
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({
+      center: point,
+      radius,
+      truncated,
+      // The tablet matches typed addresses against normalizedAddress while offline
+      parcels: parcels.map(p => ({
+        ...toParcel(p.row),
+        normalizedAddress: parseAddress(p.row.site_address).normalized,
+      })),
+    });
+  } catch (err) {
+    console.error('[Parcels] Slice failed:', err);
+    res.status(500).json({ error: 'Failed to load parcels for this area' });
+  }
+});
+
+// Public — lets the questionnaire tell a resident whether their name matches the
+// owner names on the parcel it found, using the same matcher as POST /api/submissions.
+// Body: { firstName, lastName, ownerNames: [owner_name1, owner_name2] }
+app.post('/api/parcels/owner-match', validateRequest({
+  body: {
+    firstName: nameField({ max: 100 }),
+    lastName: nameField({ max: 100 }),
+    ownerNames: field.array(nameField({ nullable: true }), { required: true, max: 4 }),
+  },
+}), (req, res) => {
+  const { firstName, lastName, ownerNames } = req.body;
+  res.json(matchOwner({ firstName, lastName }, ownerNames));
+});
+
+// ─── Outreach Coverage API ───────────────────────────────────────────────────
+// Where outreach has reached people, for coverage.html. Parcel statuses come from
+// the noleadnola_parcel_coverage view (create-submissions-table.sql); zoomed-out
+// views are counted per grid cell in Postgres so the browser never gets 162K parcels.
+
+const COVERAGE_STATUSES = ['none', 'submitted', 'referral', 'signed'];
+const MAX_COVERAGE_SPAN = 1;                // degrees — all of Orleans Parish fits
+const COVERAGE_PARCEL_SPAN = 0.015;         // narrower views (~zoom 16) list parcels
+const MAX_COVERAGE_PARCELS = 5000;
+const COVERAGE_GRID_CELLS = 40;             // cells across the longer side of the view
+const COVERAGE_CELL_SIZES = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05];   // degrees; ~110 m to ~5.5 km
+const ZIP_PATTERN = /^\d{5}$/;
+
+// Reads every row an RPC returns, a page at a time (PostgREST caps each response)
+async function rpcRows(fn, body, max) {
+  const rows = [];
+  for (let offset = 0; offset < max; offset += PARCEL_PAGE_SIZE) {
+    const limit = Math.min(PARCEL_PAGE_SIZE, max - offset);
+    const page = await supabaseRequest(`rpc/${fn}?limit=${limit}&offset=${offset}`, { method: 'POST', body });
+    rows.push(...page);
+    if (page.length < limit) break;
+  }
+  return rows;
+}
+
+// Cell corners are multiples of cellSize; rounding drops float noise like -90.09700000000001
+const roundDegrees = (value) => Number(value.toFixed(6));
+
+function toCoverageCell(row, cellSize) {
+  return {
+    south: roundDegrees(row.cell_south),
+    west: roundDegrees(row.cell_west),
+    north: roundDegrees(row.cell_south + cellSize),
+    east: roundDegrees(row.cell_west + cellSize),
+    parcels: Number(row.parcels),
+    counts: {
+      none: Number(row.no_contact),
+      submitted: Number(row.submitted),
+      referral: Number(row.referral),
+      signed: Number(row.signed),
+    },
+    sampleAddress: row.sample_address,
+  };
+}
+
+function toCoverageParcel(row) {
+  return {
+    id: row.id,
+    parcelId: row.parcel_id,
+    siteAddress: row.site_address,
+    propertyType: row.property_type,
+    zip: row.zip,
+    lat: row.centroid_lat,
+    lng: row.centroid_lng,
+    status: row.status,
+    submissions: Number(row.submissions),
+    lastSubmittedAt: row.last_submitted_at,
+  };
+}
+
+// ?south=&west=&north=&east=&propertyType=&zip=
+// → { mode: 'cells', cellSize, cells, totals } or { mode: 'parcels', parcels, truncated, totals }
+app.get('/api/coverage', requireRole(...STAFF_ROLES), validateRequest({
+  query: {
+    ...BOX_QUERY,
+    propertyType: field.string({ max: 100 }),
+    zip: field.string({ pattern: ZIP_PATTERN, patternMessage: 'must be 5 digits' }),
+  },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { box, error } = readBox(req.query, MAX_COVERAGE_SPAN);
+  if (error) return sendValidationErrors(res, [error]);
+  const propertyType = req.query.propertyType || null;
+  const zip = req.query.zip || null;
+
+  const filters = { ...box, filter_property_type: propertyType, filter_zip: zip };
+  const totals = Object.fromEntries(COVERAGE_STATUSES.map(s => [s, 0]));
+  const span = Math.max(box.north - box.south, box.east - box.west);
+
+  try {
+    if (span <= COVERAGE_PARCEL_SPAN) {
+      const rows = await rpcRows('noleadnola_coverage_parcels', filters, MAX_COVERAGE_PARCELS + 1);
+      const parcels = rows.slice(0, MAX_COVERAGE_PARCELS).map(toCoverageParcel);
+      parcels.forEach(p => { totals[p.status]++; });
+      return res.json({ mode: 'parcels', parcels, truncated: rows.length > MAX_COVERAGE_PARCELS, totals });
+    }
+
+    const cellSize = COVERAGE_CELL_SIZES.find(size => span / size <= COVERAGE_GRID_CELLS)
+      || COVERAGE_CELL_SIZES[COVERAGE_CELL_SIZES.length - 1];
+    const rows = await rpcRows('noleadnola_coverage_cells', { ...filters, cell_size: cellSize }, (COVERAGE_GRID_CELLS + 1) ** 2);
+    const cells = rows.map(row => toCoverageCell(row, cellSize));
+    cells.forEach(c => COVERAGE_STATUSES.forEach(s => { totals[s] += c.counts[s]; }));
+    res.json({ mode: 'cells', cellSize, cells, totals });
+  } catch (err) {
+    console.error('[Coverage] Query failed:', err);
+    res.status(500).json({ error: 'Failed to load coverage' });
+  }
+});
+
+// Filter options for the coverage map: { propertyTypes: [{ value, parcels }], zips: [...] }
+app.get('/api/coverage/filters', requireRole(...STAFF_ROLES), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    const rows = await rpcRows('noleadnola_coverage_facets', {}, MAX_COVERAGE_PARCELS);
+    const facet = (kind) => rows.filter(r => r.kind === kind).map(r => ({ value: r.value, parcels: Number(r.parcels) }));
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.json({ propertyTypes: facet('property_type'), zips: facet('zip') });
+  } catch (err) {
+    console.error('[Coverage] Filter options failed:', err);
+    res.status(500).json({ error: 'Failed to load coverage filters' });
+  }
+});
+
+// ─── Program Analytics ───────────────────────────────────────────────────────
+// Weekly numbers for leadership, for analytics.html: how far residents get
+// through the questionnaire, how owners convert by ZIP code and property type,
+// and how quickly complaints are answered and resolved. Counting happens in
+// Postgres (noleadnola_analytics_* in the create-*-table.sql scripts).
+
+// Questionnaire steps in order; 'signed' comes from the submission, not an event
+const QUESTIONNAIRE_STEPS = ['address', 'filler', 'ownership', 'contact'];
+const FUNNEL_STEPS = [...QUESTIONNAIRE_STEPS, 'signed'];
+const MAX_ANALYTICS_ROWS = 1000;
+
+// The questionnaire reports each step it reaches; no login, and nothing personal
+app.post('/api/analytics/steps', validateRequest({
+  body: {
+    sessionId: sessionIdField({ required: true }),
+    step: field.string({ required: true, oneOf: QUESTIONNAIRE_STEPS }),
+    language: languageField(),
+  },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    await supabaseRequest('noleadnola_questionnaire_steps?on_conflict=session_id,step', {
+      method: 'POST',
+      headers: { 'Prefer': 'return=minimal,resolution=ignore-duplicates' },
+      body: {
+        session_id: req.body.sessionId,
+        step: req.body.step,
+        language: normalizeLanguage(req.body.language) || null,
+      },
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[Analytics] Step event failed:', err);
+    res.status(500).json({ error: 'Failed to record step' });
+  }
+});
+
+const toConversion = (row) => ({
+  value: row.value,
+  submissions: Number(row.submissions),
+  owners: Number(row.owners),
+  signingAuthority: Number(row.signing_authority),
+  sent: Number(row.sent),
+  signed: Number(row.signed),
+});
+
+const toMinutes = (value) => (value === null || value === undefined ? null : Math.round(Number(value)));
+
+const toTicketMetrics = (row) => ({
+  value: row.value,
+  label: row.label,
+  tickets: Number(row.tickets),
+  responded: Number(row.responded),
+  medianResponseMinutes: toMinutes(row.median_response_minutes),
+  avgResponseMinutes: toMinutes(row.avg_response_minutes),
+  resolved: Number(row.resolved),
+  medianResolutionMinutes: toMinutes(row.median_resolution_minutes),
+  avgResolutionMinutes: toMinutes(row.avg_resolution_minutes),
+});
+
+const EMPTY_TICKET_METRICS = toTicketMetrics({ value: null, label: null, tickets: 0, responded: 0, resolved: 0 });
+
+/**
+ * Everything analytics.html shows for one date range (either end optional):
+ * { funnel: [{ step, sessions }], conversion: { totals, zips, propertyTypes },
+ *   tickets: { totals, contractors, urgencies } }
+ */
+async function loadAnalytics(from, to) {
+  const range = { from_time: parseDateBound(from, false), to_time: parseDateBound(to, true) };
+  const [funnelRows, conversionRows, ticketRows] = await Promise.all([
+    rpcRows('noleadnola_analytics_funnel', range, FUNNEL_STEPS.length),
+    rpcRows('noleadnola_analytics_conversion', range, MAX_ANALYTICS_ROWS),
+    rpcRows('noleadnola_analytics_tickets', range, MAX_ANALYTICS_ROWS),
+  ]);
+
+  const sessions = Object.fromEntries(funnelRows.map(r => [r.step, Number(r.sessions)]));
+  const zips = conversionRows.filter(r => r.kind === 'zip').map(toConversion);
+  const propertyTypes = conversionRows.filter(r => r.kind === 'property_type').map(toConversion);
+  // Every submission has exactly one ZIP row, so those add up to the whole range
+  const totals = zips.reduce((sum, row) => {
+    for (const key of ['submissions', 'owners', 'signingAuthority', 'sent', 'signed']) sum[key] += row[key];
+    return sum;
+  }, { submissions: 0, owners: 0, signingAuthority: 0, sent: 0, signed: 0 });
+  const bySubmissions = (a, b) => b.submissions - a.submissions;
+
+  const ticketsOf = (kind) => ticketRows.filter(r => r.kind === kind).map(toTicketMetrics);
+  const allTickets = ticketsOf('all')[0];
+
+  return {
+    funnel: FUNNEL_STEPS.map(step => ({ step, sessions: sessions[step] || 0 })),
+    conversion: { totals, zips: zips.sort(bySubmissions), propertyTypes: propertyTypes.sort(bySubmissions) },
+    tickets: {
+      // The 'all' row is missing when no tickets were opened in the range
+      totals: allTickets && allTickets.tickets ? allTickets : EMPTY_TICKET_METRICS,
+      contractors: ticketsOf('contractor').sort((a, b) => b.tickets - a.tickets),
+      urgencies: ticketsOf('urgency').sort((a, b) => TICKET_URGENCIES.indexOf(b.value) - TICKET_URGENCIES.indexOf(a.value)),
+    },
+  };
+}
+
+const ANALYTICS_QUERY = { from: field.date(), to: field.date() };
+
+// ?from=&to= — same date bounds as the submissions list
+app.get('/api/analytics', requireRole(...STAFF_ROLES), validateRequest({ query: ANALYTICS_QUERY }), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    res.set('Cache-Control', 'private, no-store');
+    res.json(await loadAnalytics(req.query.from, req.query.to));
+  } catch (err) {
+    console.error('[Analytics] Query failed:', err);
+    res.status(500).json({ error: 'Failed to load analytics' });
+  }
+});
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+const CONVERSION_COLUMNS = (heading) => [
+  [heading, r => r.value || 'Unknown'],
+  ['Submissions', r => r.submissions],
+  ['Owners', r => r.owners],
+  ['Signing Authority', r => r.signingAuthority],
+  ['Agreements Sent', r => r.sent],
+  ['Signed', r => r.signed],
+  ['Signed % of Submissions', r => rate(r.signed, r.submissions)],
+  ['Signed % of Signing Authority', r => rate(r.signed, r.signingAuthority)],
+];
+
+const TICKET_COLUMNS = (heading, name) => [
+  [heading, name],
+  ['Tickets', r => r.tickets],
+  ['Responded', r => r.responded],
+  ['Median Minutes to First Response', r => r.medianResponseMinutes],
+  ['Average Minutes to First Response', r => r.avgResponseMinutes],
+  ['Resolved', r => r.resolved],
+  ['Median Minutes to Resolution', r => r.medianResolutionMinutes],
+  ['Average Minutes to Resolution', r => r.avgResolutionMinutes],
+];
+
+// One CSV per chart on analytics.html: report → [rows from loadAnalytics, columns]
+const ANALYTICS_REPORTS = {
+  funnel: [data => data.funnel, [
+    ['Step', r => r.step],
+    ['Sessions', r => r.sessions],
+    ['% of Started', (r, rows) => rate(r.sessions, rows[0].sessions)],
+  ]],
+  zips: [data => data.conversion.zips, CONVERSION_COLUMNS('ZIP Code')],
+  propertyTypes: [data => data.conversion.propertyTypes, CONVERSION_COLUMNS('Property Type')],
+  contractors: [data => data.tickets.contractors, TICKET_COLUMNS('Contractor', r => r.label || 'Unassigned')],
+  urgencies: [data => data.tickets.urgencies, TICKET_COLUMNS('Urgency', r => r.value)],
+};
+
+app.get('/api/analytics/export', requireRole(...STAFF_ROLES), validateRequest({
+  query: { ...ANALYTICS_QUERY, report: field.string({ required: true, oneOf: Object.keys(ANALYTICS_REPORTS) }) },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const { from, to, report } = req.query;
+  const [select, columns] = ANALYTICS_REPORTS[report];
+
+  try {
+    const rows = select(await loadAnalytics(from, to));
+    const lines = [columns.map(([header]) => header).join(',')];
+    for (const row of rows) lines.push(columns.map(([, get]) => csvCell(get(row, rows))).join(','));
+
+    const filename = `analytics-${report}-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'private, no-store');
+    console.log(`[Analytics] ${req.staff.email} exported ${report} (${rows.length} row(s))`);
+    res.type('text/csv').send(`${lines.join('\r\n')}\r\n`);
+  } catch (err) {
+    console.error('[Analytics] Export failed:', err);
+    res.status(500).json({ error: 'Failed to export analytics' });
+  }
+});
+
+// ─── Contractor Directory ────────────────────────────────────────────────────
+// Crews tickets are assigned to. A crew signs in through a `contractor` staff
+// account linked by staff_id and only sees the tickets assigned to it.
+
+const CREW_TYPES = ['plumbing', 'meter', 'excavation', 'restoration', 'inspection', 'general'];
+
+function toContractor(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    crewType: row.crew_type,
+    serviceArea: row.service_zips || [],
+    phone: row.phone,
+    email: row.email,
+    staffId: row.staff_id,
+    active: row.active,
+  };
+}
+
+// PATCH body; POST also requires name and crewType. Blank phone, email or
+// loginEmail clears them.
+const CONTRACTOR_BODY = {
+  name: nameField(),
+  crewType: field.string({ oneOf: CREW_TYPES }),
+  serviceArea: field.array(field.string({ pattern: ZIP_PATTERN, patternMessage: 'must be a 5-digit ZIP code' }), { max: 200 }),
+  phone: field.phone({ nullable: true }),
+  email: field.email({ nullable: true }),
+  loginEmail: field.email({ nullable: true }),
+  active: field.boolean(),
+};
+
+// A validated contractor body as column values; returns { values } or { error }
+async function readContractor(body) {
+  const values = {};
+  if (body.name !== undefined) values.name = body.name;
+  if (body.crewType !== undefined) values.crew_type = body.crewType;
+  if (body.serviceArea !== undefined) values.service_zips = [...new Set(body.serviceArea.filter(Boolean))];
+  if (body.phone !== undefined) values.phone = body.phone;
+  if (body.email !== undefined) values.email = body.email;
+  if (body.active !== undefined) values.active = body.active;
+
+  // The crew's sign-in: an existing contractor account, by email
+  if (body.loginEmail !== undefined) {
+    if (!body.loginEmail) {
+      values.staff_id = null;
+    } else {
+      const account = await auth.findStaffByEmail(body.loginEmail);
+      if (!account || account.role !== 'contractor') {
+        return { error: { location: 'body', field: 'loginEmail', message: 'loginEmail must belong to a staff account with the contractor role' } };
+      }
+      values.staff_id = account.id;
+    }
+  }
+  return { values };
+}
+
+// For contractor accounts, sets req.contractor to their crew; staff pass through
+async function loadContractor(req, res, next) {
+  if (req.staff.role !== 'contractor') return next();
+  try {
+    const [row] = await supabaseRequest(`noleadnola_contractors?staff_id=eq.${encodeURIComponent(req.staff.id)}&active=is.true`);
+    if (!row) return res.status(403).json({ error: 'This account is not linked to an active contractor' });
+    req.contractor = toContractor(row);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Contractors only reach tickets assigned to their crew
+const ticketScope = (req) => (req.contractor ? `&contractor_id=eq.${req.contractor.id}` : '');
+
+// ?ticketId= marks the crews whose service area includes that ticket's ZIP and lists them first
+app.get('/api/contractors', requireRole(...STAFF_ROLES), validateRequest({
+  query: { all: field.boolean({ default: false }), ticketId: field.string({ max: 40 }) },
+}), async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const includeInactive = req.query.all;
+    const [rows, ticketRows] = await Promise.all([
+      supabaseRequest(`noleadnola_contractors?select=*${includeInactive ? '' : '&active=is.true'}&order=name.asc`),
+      req.query.ticketId
+        ? supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(req.query.ticketId)}&select=zip`)
+        : Promise.resolve([]),
+    ]);
+    const zip = ticketRows[0]?.zip;
+
+    const contractors = rows.map(toContractor).map(c => ({
+      ...c,
+      servesTicket: zip ? c.serviceArea.includes(zip) : null,
+    }));
+    if (zip) contractors.sort((a, b) => b.servesTicket - a.servesTicket);
+
+    // Which account signs in for each crew, for the directory
+    const staffIds = rows.map(r => r.staff_id).filter(Boolean);
+    if (staffIds.length) {
+      const accounts = await supabaseRequest(`noleadnola_staff?id=in.(${staffIds.join(',')})&select=id,email`);
+      contractors.forEach(c => { c.loginEmail = accounts.find(a => a.id === c.staffId)?.email || null; });
+    }
+
+    res.json({ contractors, ticketZip: zip || null, crewTypes: CREW_TYPES });
+  } catch (err) {
+    console.error('[Contractors] List error:', err);
+    res.status(500).json({ error: 'Failed to load contractors' });
+  }
+});
+
+app.post('/api/contractors', requireRole('admin'), validateRequest({
+  body: {
+    ...CONTRACTOR_BODY,
+    name: nameField({ required: true }),
+    crewType: field.string({ required: true, oneOf: CREW_TYPES }),
+  },
+}), async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const { values, error } = await readContractor(req.body);
+    if (error) return sendValidationErrors(res, [error]);
+
+    const [row] = await supabaseRequest('noleadnola_contractors', { method: 'POST', body: values });
+    console.log(`[Contractors] ${req.staff.email} added ${row.name} (${row.crew_type})`);
+    await recordEvent({ entityType: 'contractor', entityId: row.id, action: 'created', req, after: row });
+    res.status(201).json({ contractor: toContractor(row) });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ error: 'That login is already linked to another contractor' });
+    console.error('[Contractors] Create error:', err);
+    res.status(500).json({ error: 'Failed to add contractor' });
+  }
+});
+
+app.patch('/api/contractors/:id', requireRole('admin'), validateRequest({
+  params: { id: idField() },
+  body: CONTRACTOR_BODY,
+}), async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const { values, error } = await readContractor(req.body);
+    if (error) return sendValidationErrors(res, [error]);
+    if (!Object.keys(values).length) return res.status(400).json({ error: 'Nothing to update' });
+
+    const [previous] = await supabaseRequest(`noleadnola_contractors?id=eq.${encodeURIComponent(req.params.id)}`);
+    const [row] = await supabaseRequest(`noleadnola_contractors?id=eq.${encodeURIComponent(req.params.id)}`, {
+      method: 'PATCH',
+      body: { ...values, updated_at: new Date().toISOString() },
+    });
+    if (!row) return res.status(404).json({ error: 'Contractor not found' });
+    console.log(`[Contractors] ${req.staff.email} updated ${row.name}`);
+    await recordChange({ entityType: 'contractor', entityId: row.id, action: 'updated', req, before: previous, after: row });
+    res.json({ contractor: toContractor(row) });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ error: 'That login is already linked to another contractor' });
+    console.error('[Contractors] Update error:', err);
+    res.status(500).json({ error: 'Failed to update contractor' });
+  }
+});
+
+// ─── Tickets API ─────────────────────────────────────────────────────────────
+
+const TICKET_STATUSES = ['open', 'in-progress', 'escalated', 'resolved', 'closed'];
+const TICKET_URGENCIES = ['low', 'medium', 'high'];
+const TICKET_CATEGORIES = ['meter', 'leak', 'water-quality', 'lead', 'billing', 'construction', 'other'];
+// What staff can post as: themselves, or a reply the resident gave them
+const STAFF_MESSAGE_TYPES = ['staff', 'customer'];
+// Staff work every ticket; contractors their own (see loadContractor)
+const TICKET_ROLES = [...STAFF_ROLES, 'contractor'];
+
+// Case numbers like CMP-2026-0041
+const TICKET_PARAMS = { id: field.string({ required: true, max: 40 }) };
+const photoIdsField = () => field.array(idField(), { max: MAX_FILES_PER_UPLOAD });
+const messageTextField = (opts = {}) => field.string({ max: 5000, ...opts });
+
+// Embed each ticket's thread (with attached photos), oldest message first
+const TICKET_SELECT = 'select=*,noleadnola_ticket_messages(*,noleadnola_photos(*))&noleadnola_ticket_messages.order=id.asc';
+
+// System cards posted to the thread when a ticket changes status
+const STATUS_MESSAGES = {
+  closed: {
+    variant: 'connected',
+    title: 'Case Closed',
+    icon: 'check',
+    text: 'This case has been reviewed and closed by the administrator.',
+  },
+  resolved: {
+    variant: 'connected',
+    title: 'Ticket Resolved',
+    icon: 'check',
+    text: 'This complaint has been marked as resolved.',
+  },
+  escalated: {
+    variant: 'forwarded',
+    title: 'Case Escalated',
+    icon: 'forward',
+    text: 'This case has been escalated to a supervisor for priority review and resolution.',
+  },
+};
+
+// System cards for a ticket's contractor assignment
+const contractorMessages = {
+  assigned: (c) => ({
+    variant: 'forwarded',
+    title: 'Forwarded to Contractor',
+    icon: 'forward',
+    text: `This case has been forwarded to ${c.name} (${c.crewType} crew) for field work.`,
+  }),
+  reassigned: (c, from) => ({
+    variant: 'forwarded',
+    title: 'Contractor Reassigned',
+    icon: 'forward',
+    text: `This case has been reassigned from ${from} to ${c.name} (${c.crewType} crew).`,
+  }),
+  unassigned: (from) => ({
+    variant: 'info',
+    title: 'Contractor Unassigned',
+    icon: 'forward',
+    text: `${from} is no longer assigned to this case.`,
+  }),
+  connected: (c) => ({
+    variant: 'connected',
+    title: 'Contractor Connected',
+    icon: 'connected',
+    text: `${c.name} has picked up this case and joined the conversation.`,
+  }),
+  completed: (c) => ({
+    variant: 'connected',
+    title: 'Work Completed',
+    icon: 'check',
+    text: `${c.name} has reported the work complete. Staff will review the photos and resolve the case.`,
+  }),
+};
+
+function toTicketMessage(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    sender: row.sender,
+    text: row.text,
+    photo: row.photo,
+    photos: (row.noleadnola_photos || []).sort((a, b) => a.id - b.id).map(toPhoto),
+    variant: row.variant,
+    title: row.title,
+    icon: row.icon,
+    aiSummary: row.ai_summary,
+    aiGenerated: row.ai_generated,
+    createdAt: row.created_at,
+  };
+}
+
+// Shape a ticket row the way ticketing.html renders it
+function toTicket(row) {
+  return {
+    id: row.id,
+    address: row.address,
+    customer: row.customer_name,
+    customerEmail: row.customer_email,
+    customerPhone: row.customer_phone,
+    message: row.message,
+    photo: row.photo,
+    date: row.created_at,
+    status: row.status,
+    urgency: row.urgency,
+    category: row.category,
+    sla: slaStatus(row),
+    firstResponseAt: row.first_response_at,
+    resolvedAt: row.resolved_at,
+    slaEscalatedAt: row.sla_escalated_at,
+    preferredLanguage: row.preferred_language,
+    parcelId: row.parcel_id,
+    zip: row.zip,
+    lat: row.lat,
+    lng: row.lng,
+    contractorId: row.contractor_id,
+    assignedTo: row.assigned_to,
+    assignedRole: row.assigned_role,
+    assignedAt: row.assigned_at,
+    contractorConnectedAt: row.contractor_connected_at,
+    workCompletedAt: row.work_completed_at,
+    updatedAt: row.updated_at,
+    messages: (row.noleadnola_ticket_messages || []).map(toTicketMessage),
+  };
+}
+
+async function fetchTicket(id) {
+  const rows = await supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(id)}&${TICKET_SELECT}`);
+  return rows.length ? toTicket(rows[0]) : null;
+}
+
+// The bare ticket row, to compare with what touchTicket returns for the audit trail
+async function fetchTicketRow(id) {
+  const [row] = await supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(id)}`);
+  return row || null;
+}
+
+async function insertTicketMessage(ticketId, msg) {
+  const [inserted] = await supabaseRequest('noleadnola_ticket_messages', {
+    method: 'POST',
+    body: {
+      ticket_id: ticketId,
+      type: msg.type,
+      sender: msg.sender || null,
+      text: msg.text || null,
+      photo: msg.photo || null,
+      variant: msg.variant || null,
+      title: msg.title || null,
+      icon: msg.icon || null,
+      ai_summary: msg.aiSummary || null,
+      ai_generated: !!msg.aiGenerated,
+    },
+  });
+  return toTicketMessage(inserted);
+}
+
+// Uploaded photos that are not attached to a message yet, in the order given.
+// Returns null if any ID is unknown or already in use.
+async function loadUnattachedPhotos(photoIds) {
+  if (!Array.isArray(photoIds) || !photoIds.length) return [];
+  const ids = photoIds.map(Number);
+  if (ids.some(id => !Number.isInteger(id))) return null;
+
+  const rows = await supabaseRequest(`noleadnola_photos?id=in.(${ids.join(',')})&message_id=is.null`);
+  const ordered = ids.map(id => rows.find(r => r.id === id));
+  return ordered.every(Boolean) ? ordered : null;
+}
+
+async function attachPhotos(photos, { ticketId, messageId }) {
+  if (!photos.length) return;
+  await supabaseRequest(`noleadnola_photos?id=in.(${photos.map(p => p.id).join(',')})`, {
+    method: 'PATCH',
+    body: { ticket_id: ticketId, message_id: messageId },
+  });
+}
+
+async function touchTicket(id, updates = {}) {
+  const rows = await supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    body: { ...updates, updated_at: new Date().toISOString() },
+  });
+  return rows[0] || null;
+}
+
+app.get('/api/tickets', requireRole(...TICKET_ROLES), loadContractor, async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const rows = await supabaseRequest(`noleadnola_tickets?${TICKET_SELECT}&order=created_at.desc${ticketScope(req)}`);
+    res.json({ tickets: rows.map(toTicket) });
+  } catch (err) {
+    console.error('[Tickets] List error:', err);
+    res.status(500).json({ error: 'Failed to load tickets' });
+  }
+});
+
+// The parcel a ticket's address confidently matches, or null. A failed lookup
+// only costs the ticket its map pin, so it doesn't stop the ticket being created.
+async function findTicketParcel(address) {
+  try {
+    const { matches } = await searchParcelsByAddress(address, { limit: 3 });
+    return matches.find(m => m.confident)?.parcel || null;
+  } catch (err) {
+    console.error('[Tickets] Parcel lookup failed:', err);
+    return null;
+  }
+}
+
+app.post('/api/tickets', requireRole(...STAFF_ROLES), validateRequest({
+  body: {
+    address: addressField({ required: true }),
+    customer: nameField({ required: true }),
+    customerEmail: field.email(),
+    customerPhone: field.phone(),
+    message: messageTextField({ required: true }),
+    photoIds: photoIdsField(),
+    lat: latitudeField(),
+    lng: longitudeField(),
+    urgency: field.string({ oneOf: TICKET_URGENCIES }),
+    category: field.string({ oneOf: TICKET_CATEGORIES }),
+    language: languageField(),
+  },
+}), async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const { address, customer, customerEmail, customerPhone, message, photoIds, lat, lng, urgency, category, language } = req.body;
+    if ((lat === undefined) !== (lng === undefined)) {
+      return sendValidationErrors(res, [{ location: 'body', field: lat === undefined ? 'lat' : 'lng', message: 'lat and lng must be given together' }]);
+    }
+
+    const photos = await loadUnattachedPhotos(photoIds);
+    if (!photos) return res.status(400).json({ error: 'Unknown or already attached photo IDs' });
+    const photo = photos.length ? uploadUrl(photos[0].storage_key) : null;
+
+    // Pin the ticket on its parcel; coordinates from the client only when the address matches none
+    const parcel = await findTicketParcel(address);
+
+    const createdAt = new Date().toISOString();
+    const workflow = { urgency: urgency || 'medium', category: category || 'other' };
+    const policy = findSlaPolicy(await loadSlaPolicies(), workflow);
+
+    const [inserted] = await supabaseRequest('noleadnola_tickets', {
+      method: 'POST',
+      body: {
+        address,
+        customer_name: customer,
+        customer_email: customerEmail || null,
+        customer_phone: customerPhone || null,
+        message,
+        photo,
+        ...workflow,
+        ...slaDeadlines(policy, createdAt),
+        created_at: createdAt,
+        preferred_language: normalizeLanguage(language) || DEFAULT_LANGUAGE,
+        parcel_id: parcel?.parcelId || null,
+        zip: parcel?.zip || address.match(/\b(70\d{3})\b/)?.[1] || null,
+        lat: parcel ? parcel.lat : lat ?? null,
+        lng: parcel ? parcel.lng : lng ?? null,
+      },
+    });
+
+    // Opening thread: the resident's complaint followed by the acknowledgement card
+    const opening = await insertTicketMessage(inserted.id, { type: 'customer', sender: customer, text: message, photo });
+    await attachPhotos(photos, { ticketId: inserted.id, messageId: opening.id });
+    await insertTicketMessage(inserted.id, {
+      type: 'system',
+      variant: 'info',
+      title: 'Complaint Received',
+      icon: 'check',
+      text: 'We have received your complaint. A team member will review it shortly.',
+    });
+
+    await notify({
+      template: 'ticket-received',
+      language: inserted.preferred_language,
+      vars: { ticketId: inserted.id, address },
+      to: { name: customer, email: inserted.customer_email, phone: inserted.customer_phone, role: 'resident' },
+      ticketId: inserted.id,
+    });
+
+    console.log(`[Tickets] Created ${inserted.id} for ${address}${parcel ? ` (parcel ${parcel.parcelId})` : ' (no parcel match)'}`);
+    await recordEvent({ entityType: 'ticket', entityId: inserted.id, action: 'created', req, after: inserted });
+    res.status(201).json({ ticket: await fetchTicket(inserted.id) });
+  } catch (err) {
+    console.error('[Tickets] Create error:', err);
+    res.status(500).json({ error: 'Failed to create ticket' });
+  }
+});
+
+app.patch('/api/tickets/:id', requireRole(...STAFF_ROLES), validateRequest({
+  params: TICKET_PARAMS,
+  body: {
+    status: field.string({ oneOf: TICKET_STATUSES }),
+    urgency: field.string({ oneOf: TICKET_URGENCIES }),
+    category: field.string({ oneOf: TICKET_CATEGORIES }),
+    language: languageField(),
+  },
+}), async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const { id } = req.params;
+    const { status, urgency, category, language } = req.body;
+
+    const existing = await fetchTicket(id);
+    if (!existing) return res.status(404).json({ error: 'Ticket not found' });
+    const previous = await fetchTicketRow(id);
+
+    const updates = {};
+    if (status) updates.status = status;
+    if (urgency) updates.urgency = urgency;
+    if (category) updates.category = category;
+    if (language) updates.preferred_language = normalizeLanguage(language);
+
+    // Re-triage moves the deadlines to the new policy, still counted from when the ticket came in
+    if ((urgency && urgency !== existing.urgency) || (category && category !== existing.category)) {
+      const policy = findSlaPolicy(await loadSlaPolicies(), { urgency: urgency || existing.urgency, category: category || existing.category });
+      Object.assign(updates, slaDeadlines(policy, existing.date));
+    }
+    // Escalation always bumps the ticket to high urgency, keeping the deadlines it missed
+    if (status === 'escalated') updates.urgency = 'high';
+    if (status && status !== existing.status) {
+      const finished = ['resolved', 'closed'];
+      if (finished.includes(status) && !finished.includes(existing.status)) updates.resolved_at = new Date().toISOString();
+      if (!finished.includes(status)) updates.resolved_at = null;
+    }
+
+    const updated = await touchTicket(id, updates);
+    await recordChange({ entityType: 'ticket', entityId: id, action: 'updated', req, before: previous, after: updated });
+
+    if (status && status !== existing.status && STATUS_MESSAGES[status]) {
+      await insertTicketMessage(id, { type: 'system', ...STATUS_MESSAGES[status] });
+    }
+    if (status === 'resolved' && existing.status !== 'resolved') {
+      await notify({
+        template: 'ticket-resolved',
+        language: existing.preferredLanguage,
+        vars: { ticketId: id, address: existing.address },
+        to: { name: existing.customer, email: existing.customerEmail, phone: existing.customerPhone, role: 'resident' },
+        ticketId: id,
+      });
+    }
+
+    console.log(`[Tickets] Updated ${id}: ${JSON.stringify(updates)}`);
+    res.json({ ticket: await fetchTicket(id) });
+  } catch (err) {
+    console.error('[Tickets] Update error:', err);
+    res.status(500).json({ error: 'Failed to update ticket' });
+  }
+});
+
+// Polled by the dashboard while a ticket is open: returns messages newer than
+// ?after=<message id> plus the ticket's current workflow fields.
+const TICKET_POLL_FIELDS = 'status,urgency,category,contractor_id,assigned_to,assigned_role,created_at,updated_at,'
+  + 'response_due_at,resolution_due_at,first_response_at,resolved_at,work_completed_at';
+
+app.get('/api/tickets/:id/messages', requireRole(...TICKET_ROLES), validateRequest({
+  params: TICKET_PARAMS,
+  query: { after: field.integer({ min: 0, default: 0 }) },
+}), loadContractor, async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const { id } = req.params;
+    const { after } = req.query;
+
+    const [ticketRows, messageRows] = await Promise.all([
+      supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(id)}&select=${TICKET_POLL_FIELDS}${ticketScope(req)}`),
+      supabaseRequest(`noleadnola_ticket_messages?ticket_id=eq.${encodeURIComponent(id)}&id=gt.${after}&select=*,noleadnola_photos(*)&order=id.asc`),
+    ]);
+    if (!ticketRows.length) return res.status(404).json({ error: 'Ticket not found' });
+
+    const t = ticketRows[0];
+    res.json({
+      ticket: {
+        status: t.status,
+        urgency: t.urgency,
+        category: t.category,
+        sla: slaStatus(t),
+        contractorId: t.contractor_id,
+        assignedTo: t.assigned_to,
+        assignedRole: t.assigned_role,
+        workCompletedAt: t.work_completed_at,
+        updatedAt: t.updated_at,
+      },
+      messages: messageRows.map(toTicketMessage),
+    });
+  } catch (err) {
+    console.error('[Tickets] Message poll error:', err);
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+});
+
+// Assigns the ticket to a crew from the directory, or unassigns it with { contractorId: null }
+app.put('/api/tickets/:id/contractor', requireRole(...STAFF_ROLES), validateRequest({
+  params: TICKET_PARAMS,
+  body: { contractorId: field.integer({ required: true, nullable: true, min: 1 }) },
+}), async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const { id } = req.params;
+    const { contractorId } = req.body;
+
+    const existing = await fetchTicket(id);
+    if (!existing) return res.status(404).json({ error: 'Ticket not found' });
+
+    let contractor = null;
+    if (contractorId !== null) {
+      const [row] = await supabaseRequest(`noleadnola_contractors?id=eq.${contractorId}&active=is.true`);
+      if (!row) {
+        return sendValidationErrors(res, [{ location: 'body', field: 'contractorId', message: `Unknown or inactive contractor: ${contractorId}` }]);
+      }
+      contractor = toContractor(row);
+    }
+    if ((contractor?.id ?? null) === (existing.contractorId ?? null)) {
+      return res.json({ ticket: existing });
+    }
+    const previous = await fetchTicketRow(id);
+
+    const updates = contractor
+      ? {
+        contractor_id: contractor.id,
+        assigned_to: contractor.name,
+        assigned_role: contractor.crewType,
+        assigned_at: new Date().toISOString(),
+      }
+      : { contractor_id: null, assigned_to: null, assigned_role: null, assigned_at: null };
+    // A new crew has to connect (and finish) the work itself
+    updates.contractor_connected_at = null;
+    updates.work_completed_at = null;
+    if (contractor && existing.status === 'open') updates.status = 'in-progress';
+
+    const updated = await touchTicket(id, updates);
+    await recordChange({
+      entityType: 'ticket',
+      entityId: id,
+      action: contractor ? 'contractor-assigned' : 'contractor-unassigned',
+      req,
+      before: previous,
+      after: updated,
+    });
+
+    const card = !contractor ? contractorMessages.unassigned(existing.assignedTo)
+      : existing.contractorId ? contractorMessages.reassigned(contractor, existing.assignedTo)
+        : contractorMessages.assigned(contractor);
+    await insertTicketMessage(id, { type: 'system', ...card });
+    if (contractor) {
+      await notify({
+        template: 'ticket-assigned',
+        language: DEFAULT_LANGUAGE,
+        vars: {
+          ticketId: id,
+          address: existing.address,
+          category: existing.category,
+          urgency: existing.urgency,
+          link: `${DOCUSIGN_CONFIG.appBaseUrl}/ticketing.html`,
+        },
+        to: { name: contractor.name, email: contractor.email, phone: contractor.phone, role: 'contractor' },
+        ticketId: id,
+      });
+    }
+
+    console.log(`[Tickets] ${req.staff.email} assigned ${id} to ${contractor ? contractor.name : 'nobody'}`);
+    res.json({ ticket: await fetchTicket(id) });
+  } catch (err) {
+    console.error('[Tickets] Assign error:', err);
+    res.status(500).json({ error: 'Failed to assign ticket' });
+  }
+});
+
+// Staff post as themselves, or log a reply the resident gave by phone or in
+// person with { type: 'customer' }; contractors always post as their crew.
+// System cards are only ever written by the server. Contractors can mark the
+// work complete with { completed: true } on a message that carries photos of
+// the finished job.
+app.post('/api/tickets/:id/messages', requireRole(...TICKET_ROLES), validateRequest({
+  params: TICKET_PARAMS,
+  body: {
+    text: messageTextField(),
+    photoIds: photoIdsField(),
+    // A link to an image hosted elsewhere, for messages without uploads
+    photo: field.string({ max: 1000 }),
+    type: field.string({ oneOf: STAFF_MESSAGE_TYPES, default: 'staff' }),
+    completed: field.boolean({ default: false }),
+  },
+}), loadContractor, async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const { id } = req.params;
+    const { contractor } = req;
+    const { text, photoIds } = req.body;
+    const type = contractor ? 'contractor' : req.body.type;
+    const completed = !!contractor && req.body.completed;
+
+    if (contractor) {
+      const assigned = await supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(id)}&select=id${ticketScope(req)}`);
+      if (!assigned.length) return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const photos = await loadUnattachedPhotos(photoIds);
+    if (!photos) return res.status(400).json({ error: 'Unknown or already attached photo IDs' });
+    const photo = photos.length ? uploadUrl(photos[0].storage_key) : req.body.photo;
+
+    if (!text && !photo) {
+      return res.status(400).json({ error: 'A message needs text or a photo' });
+    }
+    if (completed && !photos.length) {
+      return res.status(400).json({ error: 'Attach at least one photo of the finished work' });
+    }
+
+    const ticket = await touchTicket(id);
+    if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+
+    const sender = contractor ? contractor.name
+      : type === 'customer' ? ticket.customer_name
+        : req.staff.name || req.staff.email;
+    const message = await insertTicketMessage(id, { type, sender, text, photo });
+    await attachPhotos(photos, { ticketId: id, messageId: message.id });
+    // Ticket fields this message set, for the audit trail
+    const changes = {};
+    // The first staff or contractor reply stops the response clock
+    if ((type === 'staff' || type === 'contractor') && !ticket.first_response_at) {
+      const answered = await supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(id)}&first_response_at=is.null`, {
+        method: 'PATCH',
+        body: { first_response_at: message.createdAt },
+      });
+      if (answered.length) changes.first_response_at = message.createdAt;
+    }
+    // The crew's first reply connects it to the case; claimed with a filter so it's only announced once
+    if (contractor && !ticket.contractor_connected_at) {
+      const connected = await supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(id)}&contractor_connected_at=is.null`, {
+        method: 'PATCH',
+        body: { contractor_connected_at: message.createdAt },
+      });
+      if (connected.length) {
+        changes.contractor_connected_at = message.createdAt;
+        await insertTicketMessage(id, { type: 'system', ...contractorMessages.connected(contractor) });
+      }
+    }
+    if (completed) {
+      await supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: { work_completed_at: message.createdAt },
+      });
+      changes.work_completed_at = message.createdAt;
+      await insertTicketMessage(id, { type: 'system', ...contractorMessages.completed(contractor) });
+      console.log(`[Tickets] ${contractor.name} reported ${id} complete`);
+    }
+    await recordEvent({
+      entityType: 'ticket',
+      entityId: id,
+      action: completed ? 'work-completed' : 'message-posted',
+      req,
+      ...diffFields(ticket, changes),
+      details: { messageId: message.id, type, sender, photos: photos.map(p => p.id) },
+    });
+    message.photos = photos.map(toPhoto);
+    res.status(201).json({ message });
+  } catch (err) {
+    console.error('[Tickets] Message error:', err);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
+
+// ─── Ticket SLAs ─────────────────────────────────────────────────────────────
+// Deadlines come from lib/sla.js. A scheduler escalates open tickets that pass
+// one: locally every SLA_SWEEP_MINUTES, and on Vercel (no long-running process)
+// whenever Vercel Cron calls /api/cron/sla-sweep (scheduled in vercel.json).
+
+const SLA_POLICY_CACHE_MS = 60 * 1000;
+const SLA_SWEEP_MINUTES = Number(process.env.SLA_SWEEP_MINUTES ?? 5);
+const SLA_SWEEP_BATCH = 200;
+const CRON_SECRET = process.env.CRON_SECRET;
+
+let slaPolicyCache = { policies: null, loadedAt: 0 };
+
+// Policies from noleadnola_sla_policies, cached briefly. Falls back to the built-in
+// defaults when the table can't be read, so tickets can still be created.
+async function loadSlaPolicies() {
+  if (slaPolicyCache.policies && Date.now() - slaPolicyCache.loadedAt < SLA_POLICY_CACHE_MS) {
+    return slaPolicyCache.policies;
+  }
+  try {
+    const rows = await supabaseRequest('noleadnola_sla_policies?select=*&order=category.asc,urgency.asc');
+    slaPolicyCache = { policies: rows.map(toSlaPolicy), loadedAt: Date.now() };
+  } catch (err) {
+    console.error('[SLA] Could not load policies, using defaults:', err.message);
+    return [];
+  }
+  return slaPolicyCache.policies;
+}
+
+// Every urgency × category that has a policy, plus the policy each urgency falls back to
+app.get('/api/sla/policies', requireRole(...STAFF_ROLES), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  const policies = await loadSlaPolicies();
+  res.json({
+    policies,
+    fallbacks: TICKET_URGENCIES.map(urgency => findSlaPolicy(policies, { category: SLA_ANY_CATEGORY, urgency })),
+    categories: [SLA_ANY_CATEGORY, ...TICKET_CATEGORIES],
+    urgencies: TICKET_URGENCIES,
+  });
+});
+
+// Create or change the policy for one urgency and category. Applies to tickets
+// created or re-triaged afterwards; existing deadlines stay as they are.
+const SLA_POLICY_KEYS = {
+  category: field.string({ oneOf: [SLA_ANY_CATEGORY, ...TICKET_CATEGORIES], default: SLA_ANY_CATEGORY }),
+  urgency: field.string({ required: true, oneOf: TICKET_URGENCIES }),
+};
+
+app.put('/api/sla/policies', requireRole('admin'), validateRequest({
+  body: {
+    ...SLA_POLICY_KEYS,
+    firstResponseMinutes: field.integer({ required: true, min: 1 }),
+    resolutionMinutes: field.integer({ required: true, min: 1 }),
+  },
+}), async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const { category, urgency, firstResponseMinutes, resolutionMinutes } = req.body;
+    if (resolutionMinutes < firstResponseMinutes) {
+      return sendValidationErrors(res, [
+        { location: 'body', field: 'resolutionMinutes', message: 'resolutionMinutes must be no sooner than firstResponseMinutes' },
+      ]);
+    }
+
+    const policyFilter = `category=eq.${encodeURIComponent(category)}&urgency=eq.${encodeURIComponent(urgency)}`;
+    const [previous] = await supabaseRequest(`noleadnola_sla_policies?${policyFilter}`);
+    const [row] = await supabaseRequest('noleadnola_sla_policies?on_conflict=category,urgency', {
+      method: 'POST',
+      headers: { 'Prefer': 'return=representation,resolution=merge-duplicates' },
+      body: {
+        category,
+        urgency,
+        first_response_minutes: firstResponseMinutes,
+        resolution_minutes: resolutionMinutes,
+        updated_at: new Date().toISOString(),
+      },
+    });
+    slaPolicyCache = { policies: null, loadedAt: 0 };
+
+    console.log(`[SLA] ${req.staff.email} set ${category}/${urgency}: respond ${firstResponseMinutes}m, resolve ${resolutionMinutes}m`);
+    await recordChange({
+      entityType: 'sla_policy',
+      entityId: `${category}/${urgency}`,
+      action: previous ? 'updated' : 'created',
+      req,
+      before: previous,
+      after: row,
+    });
+    res.json({ policy: toSlaPolicy(row) });
+  } catch (err) {
+    console.error('[SLA] Policy update error:', err);
+    res.status(500).json({ error: 'Failed to save SLA policy' });
+  }
+});
+
+// Drop a policy; its tickets fall back to the 'any' policy or the built-in default
+app.delete('/api/sla/policies/:category/:urgency', requireRole('admin'), validateRequest({
+  params: { ...SLA_POLICY_KEYS, category: field.string({ required: true, oneOf: [SLA_ANY_CATEGORY, ...TICKET_CATEGORIES] }) },
+}), async (req, res) => {
+  try {
+    if (!SUPABASE_HEADERS) {
+      return res.status(503).json({ error: 'Supabase is not configured.' });
+    }
+
+    const { category, urgency } = req.params;
+    const rows = await supabaseRequest(
+      `noleadnola_sla_policies?category=eq.${encodeURIComponent(category)}&urgency=eq.${encodeURIComponent(urgency)}`,
+      { method: 'DELETE' }
+    );
+    if (!rows.length) return res.status(404).json({ error: 'SLA policy not found' });
+    slaPolicyCache = { policies: null, loadedAt: 0 };
+
+    console.log(`[SLA] ${req.staff.email} removed ${category}/${urgency}`);
+    await recordEvent({ entityType: 'sla_policy', entityId: `${category}/${urgency}`, action: 'deleted', req, before: rows[0] });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[SLA] Policy delete error:', err);
+    res.status(500).json({ error: 'Failed to delete SLA policy' });
+  }
+});
+
+const SLA_SWEEP_FIELDS = 'id,status,urgency,response_due_at,resolution_due_at,first_response_at';
+
+/**
+ * Escalate open and in-progress tickets past a deadline, once each. The PATCH
+ * only matches tickets nobody has escalated yet, so overlapping runs (several
+ * server instances, a cron call during the local timer) post one card per ticket.
+ */
+async function escalateOverdueTickets(now = new Date()) {
+  const cutoff = encodeURIComponent(now.toISOString());
+  const open = 'status=in.(open,in-progress)&sla_escalated_at=is.null';
+  const [unanswered, unresolved] = await Promise.all([
+    supabaseRequest(`noleadnola_tickets?${open}&first_response_at=is.null&response_due_at=lt.${cutoff}&select=${SLA_SWEEP_FIELDS}&order=response_due_at.asc&limit=${SLA_SWEEP_BATCH}`),
+    supabaseRequest(`noleadnola_tickets?${open}&resolution_due_at=lt.${cutoff}&select=${SLA_SWEEP_FIELDS}&order=resolution_due_at.asc&limit=${SLA_SWEEP_BATCH}`),
+  ]);
+
+  const overdue = new Map();
+  unanswered.forEach(row => overdue.set(row.id, { row, deadline: 'response', dueAt: row.response_due_at }));
+  unresolved.forEach(row => { if (!overdue.has(row.id)) overdue.set(row.id, { row, deadline: 'resolution', dueAt: row.resolution_due_at }); });
+
+  let escalated = 0;
+  for (const { row, deadline, dueAt } of overdue.values()) {
+    try {
+      const claimed = await supabaseRequest(`noleadnola_tickets?id=eq.${encodeURIComponent(row.id)}&${open}`, {
+        method: 'PATCH',
+        body: { status: 'escalated', urgency: 'high', sla_escalated_at: now.toISOString(), updated_at: now.toISOString() },
+      });
+      if (!claimed.length) continue;
+      await recordEvent({
+        entityType: 'ticket',
+        entityId: row.id,
+        action: 'escalated',
+        actor: SYSTEM_ACTOR,
+        before: { status: row.status, urgency: row.urgency, sla_escalated_at: null },
+        after: { status: 'escalated', urgency: 'high', sla_escalated_at: now.toISOString() },
+        details: { deadline, dueAt },
+      });
+
+      const missed = deadline === 'response' ? 'was not answered' : 'was not resolved';
+      await insertTicketMessage(row.id, {
+        type: 'system',
+        ...STATUS_MESSAGES.escalated,
+        text: `This ${row.urgency}-urgency case ${missed} by its ${new Date(dueAt).toLocaleString('en-US', { timeZone: 'America/Chicago', dateStyle: 'medium', timeStyle: 'short' })} deadline and has been escalated to a supervisor automatically.`,
+      });
+      escalated++;
+      console.log(`[SLA] Escalated ${row.id}: ${deadline} deadline ${dueAt} passed`);
+    } catch (err) {
+      console.error(`[SLA] Could not escalate ${row.id}:`, err.message);
+    }
+  }
+  return { checked: overdue.size, escalated };
+}
+
+function isCronRequest(req) {
+  if (!CRON_SECRET) return false;
+  const given = Buffer.from(req.get('authorization') || '');
+  const expected = Buffer.from(`Bearer ${CRON_SECRET}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// For Vercel Cron, which sends `Authorization: Bearer $CRON_SECRET`
+app.get('/api/cron/sla-sweep', async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    res.json(await escalateOverdueTickets());
+  } catch (err) {
+    console.error('[SLA] Sweep error:', err);
+    res.status(500).json({ error: 'SLA sweep failed' });
+  }
+});
+
+function startSlaScheduler() {
+  if (!SUPABASE_HEADERS || !(SLA_SWEEP_MINUTES > 0)) return null;
+  const sweep = () => escalateOverdueTickets()
+    .then(({ escalated }) => { if (escalated) console.log(`[SLA] Sweep escalated ${escalated} ticket(s)`); })
+    .catch(err => console.error('[SLA] Sweep error:', err.message));
+  sweep();
+  return setInterval(sweep, SLA_SWEEP_MINUTES * 60 * 1000);
+}
+
+// ─── Notifications ───────────────────────────────────────────────────────────
+// Emails and texts to residents, landlords and contractors. Templates live in
+// lib/notifications.js and transports in lib/messaging.js. Each message is
+// logged in noleadnola_notifications before it is sent, so a failed send (or a
+// serverless function frozen mid-send) is picked up again by the notification
+// sweep: locally every NOTIFY_SWEEP_MINUTES, on Vercel from
+// /api/cron/notification-sweep (every minute, scheduled in vercel.json). The same
+// sweep sends signing reminders.
+
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS || 4);
+// Wait before each retry, in minutes; the last one repeats
+const NOTIFY_RETRY_MINUTES = [1, 10, 60];
+// A send that fails for a passing reason is tried once more before the request
+// returns. Without minute-by-minute cron jobs (Vercel's Hobby plan) the next
+// retry would otherwise wait for the daily sweep
+const NOTIFY_INLINE_RETRY_MS = 3000;
+// A send that hasn't finished after this long is assumed lost and retried
+const NOTIFY_SEND_TIMEOUT_MINUTES = 10;
+const NOTIFY_SWEEP_MINUTES = Number(process.env.NOTIFY_SWEEP_MINUTES ?? 1);
+const NOTIFY_SWEEP_BATCH = 50;
+const SIGNING_REMINDER_DAYS = Number(process.env.SIGNING_REMINDER_DAYS ?? 3);
+const PENDING_NOTIFICATION_STATUSES = ['queued', 'sending', 'retrying'];
+// Anyone can submit the questionnaire, so the notices it sends are capped per email
+// address or phone number; otherwise the form would message anyone on request
+const PUBLIC_NOTICE_TEMPLATES = ['submission-receipt', 'landlord-invite'];
+const PUBLIC_NOTICE_LIMIT = Number(process.env.PUBLIC_NOTICE_LIMIT ?? 3);
+const PUBLIC_NOTICE_WINDOW_HOURS = 24;
+
+// Who a submission's contact is, as a notification recipient
+const CONTACT_RECIPIENT_ROLES = { signer: 'resident', owner_referral: 'owner', landlord: 'landlord' };
+
+function toNotification(row) {
+  return {
+    id: row.id,
+    submissionId: row.submission_id,
+    ticketId: row.ticket_id,
+    template: row.template,
+    channel: row.channel,
+    recipient: row.recipient,
+    recipientRole: row.recipient_role,
+    language: row.language,
+    subject: row.subject,
+    status: row.status,
+    transport: row.transport,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    nextAttemptAt: PENDING_NOTIFICATION_STATUSES.includes(row.status) ? row.next_attempt_at : null,
+    createdAt: row.created_at,
+    sentAt: row.sent_at,
+  };
+}
+
+const minutesFrom = (now, minutes) => new Date(now.getTime() + minutes * 60000).toISOString();
+
+/**
+ * Send one logged notification. The PATCH claims it only if nobody else has
+ * tried it since it was read, so the sweep and a request sending it inline
+ * never both send the same message.
+ */
+async function deliverNotification(row, now = new Date()) {
+  const attempt = row.attempts + 1;
+  const claimed = await supabaseRequest(
+    `noleadnola_notifications?id=eq.${row.id}&attempts=eq.${row.attempts}&status=in.(${PENDING_NOTIFICATION_STATUSES.join(',')})`,
+    {
+      method: 'PATCH',
+      body: { status: 'sending', attempts: attempt, next_attempt_at: minutesFrom(now, NOTIFY_SEND_TIMEOUT_MINUTES), updated_at: now.toISOString() },
+    }
+  );
+  if (!claimed.length) return null;
+
+  let transport = null;
+  try {
+    transport = getTransport(row.channel);
+    const { providerId } = await transport.send({ to: row.recipient, subject: row.subject, text: row.body });
+    await supabaseRequest(`noleadnola_notifications?id=eq.${row.id}`, {
+      method: 'PATCH',
+      body: {
+        status: 'sent',
+        transport: transport.name,
+        provider_id: providerId,
+        last_error: null,
+        sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      },
+    });
+    console.log(`[Notify] Sent ${row.template} ${row.channel} #${row.id} via ${transport.name}`);
+    return 'sent';
+  } catch (err) {
+    const final = err.permanent || attempt >= NOTIFY_MAX_ATTEMPTS;
+    const wait = NOTIFY_RETRY_MINUTES[Math.min(attempt, NOTIFY_RETRY_MINUTES.length) - 1];
+    await supabaseRequest(`noleadnola_notifications?id=eq.${row.id}`, {
+      method: 'PATCH',
+      body: {
+        status: final ? 'failed' : 'retrying',
+        transport: transport ? transport.name : null,
+        last_error: String(err.message).slice(0, 1000),
+        next_attempt_at: final ? null : minutesFrom(new Date(), wait),
+        updated_at: new Date().toISOString(),
+      },
+    });
+    console.warn(`[Notify] ${row.template} ${row.channel} #${row.id} attempt ${attempt} failed${final ? ' (giving up)' : ''}: ${err.message}`);
+    return final ? 'failed' : 'retrying';
+  }
+}
+
+// Send a freshly logged message, retrying a passing failure once after a short wait
+async function deliverNow(row) {
+  const result = await deliverNotification(row);
+  if (result !== 'retrying') return result;
+  await new Promise(resolve => setTimeout(resolve, NOTIFY_INLINE_RETRY_MS));
+  return deliverNotification({ ...row, attempts: row.attempts + 1 });
+}
+
+// Whether `recipient` already had PUBLIC_NOTICE_LIMIT questionnaire notices in the window
+async function publicNoticeLimitReached(recipient, now = new Date()) {
+  const since = new Date(now.getTime() - PUBLIC_NOTICE_WINDOW_HOURS * 3600000).toISOString();
+  const recent = await supabaseRequest(
+    `noleadnola_notifications?recipient=eq.${encodeURIComponent(recipient)}&template=in.(${PUBLIC_NOTICE_TEMPLATES.join(',')})`
+    + `&created_at=gte.${encodeURIComponent(since)}&select=id&limit=${PUBLIC_NOTICE_LIMIT}`
+  );
+  return recent.length >= PUBLIC_NOTICE_LIMIT;
+}
+
+/**
+ * Log `template` for one recipient ({ name, email, phone, role }) on every
+ * channel they have an address for, then send it. Sending is awaited because a
+ * serverless function is frozen once it responds; whatever still fails after
+ * the inline retry is left to the sweep. A failure here is logged and swallowed: it never fails the request
+ * that triggered it.
+ */
+async function notify({ template, language, vars = {}, to, submissionId = null, ticketId = null }) {
+  try {
+    const message = renderNotification(template, language, { ...vars, name: to.name || vars.name || '' });
+    const email = String(to.email || '').trim();
+    const phone = toE164(to.phone);
+
+    const base = {
+      submission_id: submissionId,
+      ticket_id: ticketId,
+      template,
+      recipient_role: to.role || null,
+      language: message.language,
+    };
+    const rows = [];
+    for (const row of [
+      email && { ...base, channel: 'email', recipient: email, subject: message.subject, body: message.text },
+      phone && { ...base, channel: 'sms', recipient: phone, subject: null, body: message.sms },
+    ].filter(Boolean)) {
+      if (PUBLIC_NOTICE_TEMPLATES.includes(template) && await publicNoticeLimitReached(row.recipient)) {
+        console.warn(`[Notify] Skipped ${template} ${row.channel}: recipient had ${PUBLIC_NOTICE_LIMIT} questionnaire notices in ${PUBLIC_NOTICE_WINDOW_HOURS}h`);
+        continue;
+      }
+      rows.push(row);
+    }
+    if (!rows.length) return [];
+
+    const logged = await supabaseRequest('noleadnola_notifications', { method: 'POST', body: rows });
+    await Promise.all(logged.map(row => deliverNow(row)
+      .catch(err => console.error(`[Notify] Delivery error for ${template} #${row.id}:`, err.message))));
+    return logged;
+  } catch (err) {
+    console.error(`[Notify] Could not queue ${template}:`, err.message);
+    return [];
+  }
+}
+
+// Messages that are due for a first try or a retry, oldest first
+async function retryNotifications(now = new Date()) {
+  const due = await supabaseRequest(
+    `noleadnola_notifications?status=in.(${PENDING_NOTIFICATION_STATUSES.join(',')})`
+    + `&next_attempt_at=lte.${encodeURIComponent(now.toISOString())}&order=next_attempt_at.asc&limit=${NOTIFY_SWEEP_BATCH}`
+  );
+  const results = { sent: 0, retrying: 0, failed: 0 };
+  for (const row of due) {
+    const result = await deliverNotification(row, now);
+    if (result) results[result]++;
+  }
+  return { due: due.length, ...results };
+}
+
+/**
+ * Remind signers whose emailed agreement is still unsigned SIGNING_REMINDER_DAYS
+ * after it went out, once per submission. Claimed with a filtered PATCH like the
+ * SLA escalations, so overlapping sweeps send one reminder.
+ */
+async function sendSigningReminders(now = new Date()) {
+  if (!(SIGNING_REMINDER_DAYS > 0)) return { reminded: 0 };
+  const cutoff = encodeURIComponent(new Date(now.getTime() - SIGNING_REMINDER_DAYS * 86400000).toISOString());
+  const unsigned = `docusign_signing_mode=eq.remote&signing_reminder_sent_at=is.null&docusign_status=not.in.(${FINAL_DOCUSIGN_STATUSES.join(',')})`;
+  const rows = await supabaseRequest(
+    `noleadnola_submissions?${unsigned}&docusign_sent_at=lt.${cutoff}`
+    + `&select=id,address,contact_first_name,contact_email,contact_phone,contact_role,preferred_language&order=docusign_sent_at.asc&limit=${NOTIFY_SWEEP_BATCH}`
+  );
+
+  let reminded = 0;
+  for (const row of rows) {
+    const claimed = await supabaseRequest(`noleadnola_submissions?id=eq.${row.id}&${unsigned}`, {
+      method: 'PATCH',
+      body: { signing_reminder_sent_at: now.toISOString() },
+    });
+    if (!claimed.length) continue;
+    await notify({
+      template: 'signing-reminder',
+      language: row.preferred_language,
+      vars: { address: row.address, email: row.contact_email },
+      to: { name: row.contact_first_name, email: row.contact_email, phone: row.contact_phone, role: CONTACT_RECIPIENT_ROLES[row.contact_role] },
+      submissionId: row.id,
+    });
+    reminded++;
+  }
+  return { reminded };
+}
+
+async function sweepNotifications() {
+  const reminders = await sendSigningReminders();
+  const deliveries = await retryNotifications();
+  return { ...reminders, ...deliveries };
+}
+
+// Delivery log for a submission or ticket, newest first
+async function loadNotifications(filter) {
+  const rows = await supabaseRequest(`noleadnola_notifications?${filter}&order=created_at.desc`);
+  return rows.map(toNotification);
+}
+
+app.get('/api/submissions/:id/notifications', requireRole(...STAFF_ROLES), validateRequest({
+  params: { id: idField() },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    res.json({ notifications: await loadNotifications(`submission_id=eq.${encodeURIComponent(req.params.id)}`) });
+  } catch (err) {
+    console.error('[Notify] Submission log error:', err);
+    res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
+
+app.get('/api/tickets/:id/notifications', requireRole(...STAFF_ROLES), validateRequest({
+  params: TICKET_PARAMS,
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    res.json({ notifications: await loadNotifications(`ticket_id=eq.${encodeURIComponent(req.params.id)}`) });
+  } catch (err) {
+    console.error('[Notify] Ticket log error:', err);
+    res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
+
+app.get('/api/cron/notification-sweep', async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    res.json(await sweepNotifications());
+  } catch (err) {
+    console.error('[Notify] Sweep error:', err);
+    res.status(500).json({ error: 'Notification sweep failed' });
+  }
+});
+
+function startNotificationScheduler() {
+  if (!SUPABASE_HEADERS || !(NOTIFY_SWEEP_MINUTES > 0)) return null;
+  const sweep = () => sweepNotifications()
+    .then(({ reminded, sent, failed }) => {
+      if (reminded || sent || failed) console.log(`[Notify] Sweep: ${reminded} reminder(s), ${sent} sent, ${failed} failed`);
+    })
+    .catch(err => console.error('[Notify] Sweep error:', err.message));
+  sweep();
+  return setInterval(sweep, NOTIFY_SWEEP_MINUTES * 60 * 1000);
+}
+
+// ─── Audit Trail ─────────────────────────────────────────────────────────────
+// Every change the routes above make is appended to noleadnola_events
+// (lib/events.js). These timelines are what compliance reviews read.
+
+app.get('/api/submissions/:id/timeline', requireRole(...STAFF_ROLES), validateRequest({
+  params: { id: idField() },
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    res.json({ events: await loadTimeline('submission', req.params.id) });
+  } catch (err) {
+    console.error('[Audit] Submission timeline error:', err);
+    res.status(500).json({ error: 'Failed to load history' });
+  }
+});
+
+app.get('/api/tickets/:id/timeline', requireRole(...STAFF_ROLES), validateRequest({
+  params: TICKET_PARAMS,
+}), async (req, res) => {
+  if (!SUPABASE_HEADERS) {
+    return res.status(503).json({ error: 'Supabase is not configured.' });
+  }
+  try {
+    res.json({ events: await loadTimeline('ticket', req.params.id) });
+  } catch (err) {
+    console.error('[Audit] Ticket timeline error:', err);
+    res.status(500).json({ error: 'Failed to load history' });
+  }
+});
+
+// ─── Export for Vercel Serverless ─────────────────────────────────────────────
+
+module.exports = app;
+
+// ─── Start Server (local dev only) ───────────────────────────────────────────
+
+/**
+ * The app directory as static files, minus what must only go out through the
+ * API: the upload root when UPLOAD_DIR points inside it (photos and signed
+ * agreements are served by routes that check the caller) and config/, which
+ * holds the DocuSign private key.
+ */
+function staticFiles() {
+  const hidden = [getStorage().root, path.join(__dirname, 'config')]
+    .filter(Boolean)
+    .map(dir => path.relative(__dirname, dir))
+    .filter(rel => rel && !rel.startsWith('..') && !path.isAbsolute(rel))
+    .map(rel => `/${rel.split(path.sep).join('/').toLowerCase()}`);
+  const serve = express.static(__dirname);
+
+  return (req, res, next) => {
+    let requested;
+    try {
+      requested = path.posix.normalize(decodeURIComponent(req.path)).toLowerCase();
+    } catch {
+      return res.status(400).end();
+    }
+    if (hidden.some(dir => requested === dir || requested.startsWith(`${dir}/`))) return next();
+    serve(req, res, next);
+  };
+}
 
 if (require.main === module) {
-  app.use(express.static(path.join(__dirname)));
+  app.use(staticFiles());
   const PORT = process.env.PORT || 3000;
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
+    if (startSlaScheduler()) console.log(`SLA scheduler checking for overdue tickets every ${SLA_SWEEP_MINUTES} minutes.`);
+    if (startNotificationScheduler()) console.log(`Notification sweep retrying sends every ${NOTIFY_SWEEP_MINUTES} minute(s).`);
     if (!isDocuSignConfigured()) {
       console.log('DocuSign is NOT configured — signing features will be unavailable.');
       console.log('See docusign-setup.md for configuration instructions.');
@@ -408,6 +3816,8 @@ if (require.main === module) {
       console.log('See docusign-setup.md for template creation instructions.');
     } else {
       console.log('DocuSign fully configured (template: ' + DOCUSIGN_CONFIG.templateId + ').');
+      const missing = Object.keys(DOCUSIGN_CONFIG.languageTemplateIds).filter(lang => !DOCUSIGN_CONFIG.languageTemplateIds[lang]);
+      if (missing.length) console.log(`No DocuSign template for: ${missing.join(', ')} — those signers get the English agreement.`);
     }
   });
 }
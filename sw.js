@@ -0,0 +1,98 @@
+/**
+ * Service worker for offline canvassing (registered by index.html).
+ *
+ * Caches the questionnaire's app shell — the page, its translations, logos and
+ * the CDN scripts it loads — so a tablet that loses signal mid-shift can still
+ * open the form. Parcel data and queued submissions live in IndexedDB (see the
+ * OFFLINE section of index.html); /api/* requests are never cached here.
+ *
+ * Bump CACHE_VERSION when the shell list changes so old caches are dropped.
+ */
+const CACHE_VERSION = 'noleadnola-shell-v1';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'i18n/i18n.js',
+  'i18n/en.js',
+  'i18n/es.js',
+  'i18n/vi.js',
+  'Logos/SWBNO_logo.svg',
+  'Logos/LRP_Logo.png',
+  'https://cdnjs.cloudflare.com/ajax/libs/react/18.2.0/umd/react.production.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/react-dom/18.2.0/umd/react-dom.production.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/babel-standalone/7.23.9/babel.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.js',
+];
+
+// Fonts and map tiles are nice to have offline but not worth failing the install over
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com', 'server.arcgisonline.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first so a deploy shows up on the next load; the cached copy when there's no signal
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(CACHE_VERSION);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true }) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Cached copy right away, refreshed in the background for next time
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_VERSION);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/')) return;
+    if (request.mode === 'navigate') {
+      // Only the questionnaire works offline; staff pages need the API anyway
+      if (url.pathname === '/' || url.pathname.endsWith('/index.html')) {
+        event.respondWith(networkFirst(request, 'index.html'));
+      }
+      return;
+    }
+    event.respondWith(staleWhileRevalidate(request));
+    return;
+  }
+
+  if (RUNTIME_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`))) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
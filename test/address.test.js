@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAddress, scoreAddressMatch } = require('../lib/address');
+
+test('parseAddress splits a typed address into assessor-style parts', () => {
+  assert.deepEqual(parseAddress('100 North Main Street Apt 2, New Orleans LA 70112'), {
+    houseNumber: '100',
+    predir: 'N',
+    street: 'MAIN',
+    suffix: 'ST',
+    unit: '2',
+    normalized: '100 N MAIN ST',
+  });
+});
+
+test('parseAddress keeps street names that look like a city or state', () => {
+  assert.equal(parseAddress('1234 La Salle St').street, 'LA SALLE');
+  assert.equal(parseAddress('500 Saint Charles Avenue #3B').normalized, '500 ST CHARLES AVE');
+  assert.equal(parseAddress('500 Saint Charles Avenue #3B').unit, '3B');
+});
+
+test('parseAddress only reads a direction or suffix when a street name is left', () => {
+  const parsed = parseAddress('100 NORTH');
+  assert.equal(parsed.predir, null);
+  assert.equal(parsed.street, 'NORTH');
+  assert.equal(parseAddress('').normalized, '');
+});
+
+test('scoreAddressMatch ranks the exact house number above a longer one', () => {
+  const query = parseAddress('100 Main St');
+  const exact = scoreAddressMatch(query, '100 MAIN ST', 0.9);
+  const longer = scoreAddressMatch(query, '1100 MAIN ST', 0.9);
+  assert.equal(exact.exact, true);
+  assert.equal(exact.houseNumberMatch, true);
+  assert.equal(longer.houseNumberMatch, false);
+  assert.ok(exact.score > longer.score * 2);
+});
+
+test('scoreAddressMatch matches a partly typed street name by prefix', () => {
+  const partial = scoreAddressMatch(parseAddress('MAR'), '100 MARENGO ST', 0.4);
+  const other = scoreAddressMatch(parseAddress('MAR'), '100 BROAD ST', 0.4);
+  assert.ok(partial.score > other.score);
+  assert.equal(partial.exact, false);
+});
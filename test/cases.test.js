@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addressKey, contactKeys, caseStatus, findPropertyCase } = require('../lib/cases');
+
+// Answer every Supabase request with `rows`, recording the paths asked for
+function mockSupabase(t, rows) {
+  const paths = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    paths.push(decodeURIComponent(String(url).split('/rest/v1/')[1]));
+    return new Response(JSON.stringify(rows));
+  });
+  return paths;
+}
+
+test('addressKey gives typed and assessor spellings of an address one key', () => {
+  assert.equal(addressKey('100 North Main Street Apt 2'), '100 N MAIN ST');
+  assert.equal(addressKey('100 N MAIN ST'), '100 N MAIN ST');
+  assert.equal(addressKey(''), null);
+});
+
+test('contactKeys collects lowercased emails and E.164 phone numbers once', () => {
+  const keys = contactKeys({
+    filler_email: ' Ann@Example.org ',
+    contact_email: 'ann@example.org',
+    filler_phone: '(504) 555-1234',
+    contact_phone: 'not a phone',
+  });
+  assert.deepEqual(keys, ['ann@example.org', '+15045551234']);
+  assert.deepEqual(contactKeys({}), []);
+});
+
+test('caseStatus is the furthest any submission got', () => {
+  assert.equal(caseStatus([]), 'submitted');
+  assert.equal(caseStatus([{ contact_role: 'signer' }]), 'submitted');
+  assert.equal(caseStatus([{ contact_role: 'signer' }, { contact_role: 'landlord' }]), 'referral');
+  assert.equal(caseStatus([{ docusign_envelope_id: 'e1', docusign_status: 'decline' }]), 'declined');
+  assert.equal(caseStatus([
+    { docusign_envelope_id: 'e1', docusign_status: 'decline' },
+    { docusign_envelope_id: 'e2', docusign_status: 'sent' },
+  ]), 'sent');
+  assert.equal(caseStatus([{ docusign_envelope_id: 'e1', docusign_status: 'signing_complete' }]), 'signed');
+});
+
+test('findPropertyCase prefers the case for the parcel', async (t) => {
+  const paths = mockSupabase(t, [
+    { id: 1, parcel_id: null, address_key: '100 N MAIN ST' },
+    { id: 2, parcel_id: 'P-100', address_key: '100 N MAIN ST' },
+  ]);
+  const found = await findPropertyCase({ parcelId: 'P-100', address: '100 North Main St' });
+  assert.equal(found.id, 2);
+  assert.match(paths[0], /or=\(parcel_id\.eq\.P-100,address_key\.eq\.100 N MAIN ST\)/);
+});
+
+test('findPropertyCase does not join another parcel\'s case by address', async (t) => {
+  mockSupabase(t, [{ id: 3, parcel_id: 'P-200', address_key: '100 N MAIN ST' }]);
+  assert.equal(await findPropertyCase({ parcelId: 'P-100', address: '100 N Main St' }), null);
+});
+
+test('findPropertyCase takes an address match that has no parcel yet', async (t) => {
+  mockSupabase(t, [
+    { id: 3, parcel_id: 'P-200', address_key: '100 N MAIN ST' },
+    { id: 4, parcel_id: null, address_key: '100 N MAIN ST' },
+  ]);
+  assert.equal((await findPropertyCase({ parcelId: 'P-100', address: '100 N Main St' })).id, 4);
+});
+
+test('findPropertyCase matches by address alone when the submission has no parcel', async (t) => {
+  mockSupabase(t, [{ id: 3, parcel_id: 'P-200', address_key: '100 N MAIN ST' }]);
+  assert.equal((await findPropertyCase({ parcelId: null, address: '100 N Main St' })).id, 3);
+});
+
+test('findPropertyCase needs a parcel or an address', async (t) => {
+  const paths = mockSupabase(t, []);
+  assert.equal(await findPropertyCase({ parcelId: null, address: '' }), null);
+  assert.equal(paths.length, 0);
+});
@@ -0,0 +1,24 @@
+process.env.CRON_SECRET = 'cron-secret';
+// Empty rather than unset, so a developer's .env can't point the test at a real database
+process.env.SUPABASE_URL = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+
+const CRON_ROUTES = ['/api/cron/notification-sweep', '/api/cron/sla-sweep'];
+
+test('cron routes refuse calls without CRON_SECRET', async (t) => {
+  const server = app.listen(0, '127.0.0.1');
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  for (const route of CRON_ROUTES) {
+    assert.equal((await fetch(`${base}${route}`)).status, 401, route);
+    assert.equal((await fetch(`${base}${route}`, { headers: { Authorization: 'Bearer wrong-secret' } })).status, 401, route);
+    assert.equal((await fetch(`${base}${route}`, { headers: { Authorization: 'cron-secret' } })).status, 401, route);
+    // With the secret the sweep runs, and stops at the missing database
+    assert.equal((await fetch(`${base}${route}`, { headers: { Authorization: 'Bearer cron-secret' } })).status, 503, route);
+  }
+});
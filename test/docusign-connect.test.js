@@ -0,0 +1,118 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_KEY = 'service-key';
+process.env.DOCUSIGN_CONNECT_HMAC_KEYS = 'old-key,connect-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const app = require('../server');
+
+const ENVELOPE_ID = 'env-1';
+
+// Just enough PostgREST for the webhook: eq filters, inserts that honor on_conflict, and patches
+function fakeSupabase(tables) {
+  const realFetch = globalThis.fetch;
+  const requests = [];
+  const fetch = async (url, options = {}) => {
+    if (!String(url).startsWith(process.env.SUPABASE_URL)) return realFetch(url, options);
+    const method = options.method || 'GET';
+    const { pathname, searchParams } = new URL(url);
+    const table = pathname.replace('/rest/v1/', '');
+    const rows = tables[table] || (tables[table] = []);
+    const filters = [...searchParams].filter(([, v]) => v.startsWith('eq.'));
+    const matching = rows.filter(row => filters.every(([k, v]) => String(row[k]) === v.slice(3)));
+    const body = options.body ? JSON.parse(options.body) : null;
+    requests.push({ method, table, body });
+
+    let result = matching;
+    if (method === 'PATCH') {
+      matching.forEach(row => Object.assign(row, body));
+    } else if (method === 'POST') {
+      const conflict = searchParams.get('on_conflict');
+      const exists = conflict && rows.some(row => row[conflict] === body[conflict]);
+      result = exists ? [] : [{ id: rows.length + 1, ...body }];
+      rows.push(...result);
+    }
+    return new Response(JSON.stringify(result));
+  };
+  return { fetch, requests };
+}
+
+function connectDelivery(event, generatedDateTime) {
+  return JSON.stringify({ event, generatedDateTime, data: { envelopeId: ENVELOPE_ID } });
+}
+
+const sign = (key, body) => crypto.createHmac('sha256', key).update(body).digest('base64');
+
+async function startApp(t, submission) {
+  const tables = {
+    noleadnola_submissions: [{ id: 7, docusign_envelope_id: ENVELOPE_ID, docusign_status: 'sent', case_id: null, ...submission }],
+    noleadnola_docusign_events: [],
+  };
+  const supabase = fakeSupabase(tables);
+  t.mock.method(globalThis, 'fetch', supabase.fetch);
+
+  const server = app.listen(0, '127.0.0.1');
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const post = (body, headers = { 'X-DocuSign-Signature-1': sign('connect-key', body) }) => fetch(`${base}/api/docusign/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+  });
+  return { tables, requests: supabase.requests, post };
+}
+
+test('a delivery signed with any configured key is applied and logged', async (t) => {
+  const { tables, post } = await startApp(t);
+  const body = connectDelivery('envelope-delivered', '2026-03-02T12:00:00Z');
+
+  const resp = await post(body, { 'X-DocuSign-Signature-1': 'bm90IGl0', 'X-DocuSign-Signature-2': sign('old-key', body) });
+  assert.equal(resp.status, 200);
+  assert.equal(tables.noleadnola_submissions[0].docusign_status, 'delivered');
+  assert.deepEqual(tables.noleadnola_docusign_events.map(e => [e.delivery_key, e.status]), [
+    [`connect:${ENVELOPE_ID}:envelope-delivered:2026-03-02T12:00:00Z`, 'delivered'],
+  ]);
+});
+
+test('a delivery with a bad or missing signature is rejected before anything is read', async (t) => {
+  const { tables, requests, post } = await startApp(t);
+  const body = connectDelivery('envelope-declined', '2026-03-02T12:00:00Z');
+
+  assert.equal((await post(body, { 'X-DocuSign-Signature-1': sign('wrong-key', body) })).status, 401);
+  assert.equal((await post(body, {})).status, 401);
+  // Signed, then altered in transit
+  const signature = sign('connect-key', body);
+  assert.equal((await post(body.replace('declined', 'completed'), { 'X-DocuSign-Signature-1': signature })).status, 401);
+
+  assert.equal(requests.length, 0);
+  assert.equal(tables.noleadnola_submissions[0].docusign_status, 'sent');
+});
+
+test('a replayed delivery key is acknowledged but not applied twice', async (t) => {
+  const { tables, requests, post } = await startApp(t);
+  const body = connectDelivery('envelope-declined', '2026-03-02T12:00:00Z');
+
+  assert.equal((await post(body)).status, 200);
+  const patches = () => requests.filter(r => r.method === 'PATCH' && r.table === 'noleadnola_submissions').length;
+  assert.equal(patches(), 1);
+
+  const replay = await post(body);
+  assert.equal(replay.status, 200);
+  assert.equal(patches(), 1);
+  assert.equal(tables.noleadnola_docusign_events.length, 1);
+  assert.equal(tables.noleadnola_events.filter(e => e.action === 'signing-status').length, 1);
+});
+
+test('a late non-final status does not replace a final one', async (t) => {
+  const { tables, post } = await startApp(t, { docusign_status: 'decline' });
+
+  const resp = await post(connectDelivery('envelope-delivered', '2026-03-01T09:00:00Z'));
+  assert.equal(resp.status, 200);
+  assert.equal(tables.noleadnola_submissions[0].docusign_status, 'decline');
+  // Still logged, so the envelope's history is complete
+  assert.deepEqual(tables.noleadnola_docusign_events.map(e => e.status), ['delivered']);
+  assert.equal((tables.noleadnola_events || []).length, 0);
+});
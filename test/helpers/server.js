@@ -0,0 +1,70 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+/**
+ * Run `node server.js` as the local dev server does, with `env` on top of a
+ * clean environment (no Supabase, no schedulers). Blank values, not missing
+ * ones, so a developer's .env can't fill them in. Resolves { url, stop }.
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: path.dirname(SERVER),
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      PORT: String(port),
+      SUPABASE_URL: '',
+      SUPABASE_SERVICE_KEY: '',
+      AUTH_JWT_SECRET: '',
+      UPLOAD_DIR: '',
+      STORAGE_DRIVER: '',
+      SLA_SWEEP_MINUTES: '0',
+      NOTIFY_SWEEP_MINUTES: '0',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+    const read = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', read);
+    child.stderr.on('data', read);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+  child.removeAllListeners('exit');
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: () => new Promise((resolve) => {
+      child.once('exit', resolve);
+      child.kill();
+    }),
+  };
+}
+
+module.exports = { startServer };
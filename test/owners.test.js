@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MATCH_THRESHOLD, parseOwnerName, matchOwner } = require('../lib/owners');
+
+test('parseOwnerName reads LAST FIRST MIDDLE and shares the surname with later owners', () => {
+  assert.deepEqual(parseOwnerName('SMITH JOHN A & MARY B'), {
+    kind: 'person',
+    people: [{ last: 'SMITH', first: 'JOHN' }, { last: 'SMITH', first: 'MARY' }],
+  });
+  assert.deepEqual(parseOwnerName('SMITH JOHN ETUX').people, [{ last: 'SMITH', first: 'JOHN' }]);
+});
+
+test('parseOwnerName keeps a later owner\'s own surname', () => {
+  assert.deepEqual(parseOwnerName('SMITH JOHN & JONES MARY').people, [
+    { last: 'SMITH', first: 'JOHN' },
+    { last: 'JONES', first: 'MARY' },
+  ]);
+  assert.deepEqual(parseOwnerName('SMITH JOHN & DE LA CRUZ MARIA').people[1], { last: 'DE LA CRUZ', first: 'MARIA' });
+});
+
+test('parseOwnerName tells people from entities, trusts and estates', () => {
+  assert.deepEqual(parseOwnerName('123 MAIN LLC'), { kind: 'entity', people: [] });
+  assert.equal(parseOwnerName('SMITH FAMILY TRUST').kind, 'trust');
+  assert.deepEqual(parseOwnerName('DOE JOHN EST'), { kind: 'estate', people: [{ last: 'DOE', first: 'JOHN' }] });
+  assert.deepEqual(parseOwnerName(''), { kind: 'person', people: [] });
+});
+
+test('matchOwner matches exact names, nicknames and initials', () => {
+  assert.deepEqual(matchOwner({ firstName: 'John', lastName: 'Smith' }, ['SMITH JOHN A']), { match: true, confidence: 0.95, reason: 'name_exact' });
+  assert.equal(matchOwner({ firstName: 'Bill', lastName: 'Smith' }, ['SMITH WILLIAM']).reason, 'name_variant');
+  assert.equal(matchOwner({ firstName: 'Dan', lastName: 'Smith' }, ['SMITH DANIEL']).reason, 'name_variant');
+  assert.equal(matchOwner({ firstName: 'John', lastName: 'Smith' }, ['SMITH J']).reason, 'initial_match');
+  assert.equal(matchOwner({ firstName: 'Mary', lastName: 'Smith' }, ['SMITH JOHN A & MARY B']).reason, 'name_exact');
+});
+
+test('matchOwner does not treat any shared prefix as a nickname', () => {
+  const result = matchOwner({ firstName: 'Dan', lastName: 'Smith' }, ['SMITH DANIELLE']);
+  assert.equal(result.match, false);
+  assert.equal(result.reason, 'last_name_only');
+});
+
+test('matchOwner explains non-matches', () => {
+  assert.deepEqual(matchOwner({ firstName: 'John', lastName: 'Smith' }, ['123 MAIN LLC']), { match: false, confidence: 0, reason: 'owner_is_entity' });
+  assert.equal(matchOwner({ firstName: 'John', lastName: 'Smith' }, ['JONES MARY']).reason, 'no_match');
+  assert.equal(matchOwner({ firstName: 'John', lastName: 'Smith' }, []).match, null);
+  assert.equal(matchOwner({ firstName: '', lastName: 'Smith' }, ['SMITH JOHN']).reason, 'no_name_given');
+});
+
+test('matchOwner holds trusts and estates below a plain match', () => {
+  const trust = matchOwner({ firstName: 'John', lastName: 'Smith' }, ['SMITH JOHN REVOCABLE TRUST']);
+  assert.equal(trust.reason, 'trust_named_person');
+  assert.ok(trust.confidence >= MATCH_THRESHOLD && trust.confidence < 0.95);
+
+  const estate = matchOwner({ firstName: 'John', lastName: 'Doe' }, ['DOE JOHN EST']);
+  assert.deepEqual(estate, { match: false, confidence: 0.5, reason: 'estate_of_person' });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SLA_POLICIES, toSlaPolicy, findSlaPolicy, slaDeadlines, slaStatus } = require('../lib/sla');
+
+const CREATED_AT = '2026-03-02T12:00:00.000Z';
+const HOUR = 3600000;
+const at = (hours) => new Date(new Date(CREATED_AT).getTime() + hours * HOUR);
+
+// A high-urgency ticket: respond within 4 hours, resolve within 24
+const ticket = (fields = {}) => ({
+  status: 'open',
+  created_at: CREATED_AT,
+  response_due_at: at(4).toISOString(),
+  resolution_due_at: at(24).toISOString(),
+  first_response_at: null,
+  ...fields,
+});
+
+test('findSlaPolicy prefers the category policy, then the any-category one, then the default', () => {
+  const policies = [
+    toSlaPolicy({ category: 'leak', urgency: 'high', first_response_minutes: 30, resolution_minutes: 120 }),
+    toSlaPolicy({ category: 'any', urgency: 'high', first_response_minutes: 60, resolution_minutes: 240 }),
+  ];
+  assert.equal(findSlaPolicy(policies, { category: 'leak', urgency: 'high' }).firstResponseMinutes, 30);
+  assert.equal(findSlaPolicy(policies, { category: 'meter', urgency: 'high' }).firstResponseMinutes, 60);
+  assert.equal(findSlaPolicy(policies, { category: 'leak', urgency: 'low' }), DEFAULT_SLA_POLICIES.find(p => p.urgency === 'low'));
+  assert.equal(findSlaPolicy([], { category: 'leak', urgency: 'unknown' }), null);
+});
+
+test('slaDeadlines counts both deadlines from the creation time', () => {
+  const policy = { firstResponseMinutes: 4 * 60, resolutionMinutes: 24 * 60 };
+  assert.deepEqual(slaDeadlines(policy, CREATED_AT), {
+    response_due_at: at(4).toISOString(),
+    resolution_due_at: at(24).toISOString(),
+  });
+  assert.deepEqual(slaDeadlines(null, CREATED_AT), { response_due_at: null, resolution_due_at: null });
+});
+
+test('slaStatus runs the response clock until someone replies', () => {
+  assert.equal(slaStatus(ticket(), at(1)).state, 'on-track');
+  assert.equal(slaStatus(ticket(), at(3.5)).state, 'at-risk');
+  assert.equal(slaStatus(ticket(), at(5)).state, 'overdue');
+
+  const status = slaStatus(ticket(), at(1));
+  assert.equal(status.deadline, 'response');
+  assert.equal(status.atRiskAt, at(3).toISOString());
+});
+
+test('slaStatus switches to the resolution deadline after the first reply', () => {
+  const answered = ticket({ first_response_at: at(1).toISOString() });
+  const status = slaStatus(answered, at(5));
+  assert.equal(status.deadline, 'resolution');
+  assert.equal(status.state, 'on-track');
+  assert.equal(slaStatus(answered, at(25)).state, 'overdue');
+});
+
+test('slaStatus reports finished tickets as met or missed', () => {
+  assert.equal(slaStatus(ticket({ status: 'resolved', resolved_at: at(20).toISOString() }), at(30)).state, 'met');
+  assert.equal(slaStatus(ticket({ status: 'closed', resolved_at: at(30).toISOString() }), at(30)).state, 'missed');
+  assert.equal(slaStatus({ status: 'open', created_at: CREATED_AT }).state, 'none');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+const APP_DIR = path.join(__dirname, '..');
+const DOCUMENT_KEY = 'documents/41/env-1-agreement.pdf';
+
+test('the local server never serves archived documents as static files', async (t) => {
+  // The worst case: an upload root inside the app directory, with a signed agreement in it
+  const root = fs.mkdtempSync(path.join(APP_DIR, 'uploads-test-'));
+  fs.mkdirSync(path.join(root, 'documents', '41'), { recursive: true });
+  fs.writeFileSync(path.join(root, DOCUMENT_KEY), '%PDF-1.4 signed');
+  const server = await startServer({ UPLOAD_DIR: root });
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const prefix = `/${path.basename(root)}`;
+  for (const url of [`${prefix}/${DOCUMENT_KEY}`, `${prefix.toUpperCase()}/${DOCUMENT_KEY}`, `/x/..${prefix}/${DOCUMENT_KEY}`, `${prefix}%2F${DOCUMENT_KEY}`]) {
+    const resp = await fetch(`${server.url}${url}`);
+    assert.equal(resp.status, 404, url);
+  }
+  assert.equal((await fetch(`${server.url}/config/docusign-public.key`)).status, 404);
+  assert.equal((await fetch(`${server.url}/index.html`)).status, 200);
+});
+
+test('uploads default to a directory outside the app', async (t) => {
+  const dataHome = fs.mkdtempSync(path.join(os.tmpdir(), 'leadlines-data-'));
+  const server = await startServer({ XDG_DATA_HOME: dataHome, AUTH_JWT_SECRET: 'test-secret' });
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(dataHome, { recursive: true, force: true });
+  });
+
+  assert.equal((await fetch(`${server.url}/uploads/${DOCUMENT_KEY}`)).status, 404);
+  assert.equal((await fetch(`${server.url}/api/uploads/${DOCUMENT_KEY}`)).status, 401);
+});
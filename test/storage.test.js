@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { storageConfigError, createLocalStorage, createSupabaseStorage } = require('../lib/storage');
+
+// Run `fn` with some environment variables set (undefined removes one), then put them back
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+  const apply = (values) => {
+    for (const [k, v] of Object.entries(values)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  };
+  apply(vars);
+  try {
+    return fn();
+  } finally {
+    apply(saved);
+  }
+}
+
+test('storageConfigError refuses local disk on Vercel', () => {
+  const clean = { STORAGE_DRIVER: undefined, VERCEL: undefined, SUPABASE_URL: undefined, SUPABASE_SERVICE_KEY: undefined };
+  withEnv(clean, () => assert.equal(storageConfigError(), null));
+  withEnv({ ...clean, VERCEL: '1' }, () => assert.match(storageConfigError(), /read-only filesystem/));
+  withEnv({ ...clean, VERCEL: '1', STORAGE_DRIVER: 'supabase' }, () => assert.match(storageConfigError(), /SUPABASE_URL/));
+  withEnv({ ...clean, VERCEL: '1', STORAGE_DRIVER: 'supabase', SUPABASE_URL: 'https://x.supabase.co', SUPABASE_SERVICE_KEY: 'key' },
+    () => assert.equal(storageConfigError(), null));
+  withEnv({ ...clean, STORAGE_DRIVER: 's3' }, () => assert.equal(storageConfigError(), 'Unknown STORAGE_DRIVER: s3'));
+});
+
+test('the local adapter saves, reads and removes files under its root', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'leadlines-storage-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const storage = createLocalStorage({ root });
+
+  await storage.save('photos/2026/03/a.jpg', Buffer.from('jpeg'));
+  assert.deepEqual(await storage.read('photos/2026/03/a.jpg'), { buffer: Buffer.from('jpeg'), contentType: 'image/jpeg' });
+  await storage.remove('photos/2026/03/a.jpg');
+  assert.equal(await storage.read('photos/2026/03/a.jpg'), null);
+  await assert.rejects(storage.read('../secret.pdf'), /Invalid storage key/);
+});
+
+test('the Supabase adapter uploads to and reads from the bucket', async (t) => {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, options = {}) => {
+    calls.push({ url, method: options.method || 'GET', headers: options.headers });
+    if (url.endsWith('/missing.pdf')) return new Response('{"statusCode":"404","error":"not_found"}', { status: 400 });
+    return new Response(options.method === 'POST' ? '{"Key":"x"}' : 'pdf bytes');
+  });
+  const storage = createSupabaseStorage({ url: 'https://x.supabase.co', serviceKey: 'key', bucket: 'uploads' });
+
+  await storage.save('documents/7/env-certificate.pdf', Buffer.from('pdf'), 'application/pdf');
+  assert.equal(calls[0].url, 'https://x.supabase.co/storage/v1/object/uploads/documents/7/env-certificate.pdf');
+  assert.equal(calls[0].method, 'POST');
+  assert.equal(calls[0].headers.Authorization, 'Bearer key');
+  assert.equal(calls[0].headers['Content-Type'], 'application/pdf');
+
+  const file = await storage.read('documents/7/env-certificate.pdf');
+  assert.equal(file.buffer.toString(), 'pdf bytes');
+  assert.equal(file.contentType, 'application/pdf');
+  assert.equal(await storage.read('documents/7/missing.pdf'), null);
+  await storage.remove('documents/7/missing.pdf');
+});
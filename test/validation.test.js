@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { field, validateRequest } = require('../lib/validation');
+
+// Run the middleware on a fake request: { req, next } when it passed, { status, body } when it answered
+function run(schema, { params = {}, query = {}, body = {}, headers = {} } = {}) {
+  const req = { params, query, body, get: (name) => headers[name.toLowerCase()] };
+  let answer = null;
+  const res = {
+    status(code) { answer = { status: code }; return this; },
+    json(payload) { answer.body = payload; return this; },
+  };
+  let called = false;
+  validateRequest(schema)(req, res, () => { called = true; });
+  return answer || { req, next: called };
+}
+
+test('validateRequest normalizes values and drops undeclared fields', () => {
+  const { req, next } = run({
+    body: {
+      name: field.string({ required: true, max: 20 }),
+      email: field.email(),
+      phone: field.phone(),
+      count: field.integer({ min: 1 }),
+      urgent: field.boolean({ default: false }),
+      notes: field.string(),
+    },
+  }, {
+    body: { name: '  Ann  ', email: ' Ann@Example.ORG ', phone: '504-555-1234', count: '3', extra: 'ignored', notes: '   ' },
+  });
+  assert.equal(next, true);
+  assert.deepEqual(req.body, { name: 'Ann', email: 'ann@example.org', phone: '+15045551234', count: 3, urgent: false });
+});
+
+test('validateRequest answers 400 with every problem and its path', () => {
+  const { status, body } = run({
+    params: { id: field.integer({ required: true }) },
+    body: {
+      status: field.string({ oneOf: ['open', 'closed'] }),
+      fillerInfo: field.object({ email: field.email({ required: true }) }),
+      photoIds: field.array(field.integer(), { max: 2 }),
+    },
+  }, {
+    params: { id: 'abc' },
+    body: { status: 'lost', fillerInfo: {}, photoIds: [1, 2, 3] },
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(body.errors, [
+    { location: 'params', field: 'id', message: 'id must be a whole number' },
+    { location: 'body', field: 'status', message: 'status must be one of: open, closed' },
+    { location: 'body', field: 'fillerInfo.email', message: 'fillerInfo.email is required' },
+    { location: 'body', field: 'photoIds', message: 'photoIds must have at most 2 items' },
+  ]);
+  assert.equal(body.error, body.errors.map(e => e.message).join('; '));
+});
+
+test('validateRequest checks items inside arrays and nested objects', () => {
+  const { status, body } = run({
+    body: { people: field.array(field.object({ phone: field.phone() })) },
+  }, {
+    body: { people: [{ phone: '504-555-1234' }, { phone: '12' }] },
+  });
+  assert.equal(status, 400);
+  assert.equal(body.errors[0].field, 'people[1].phone');
+});
+
+test('nullable fields take an explicit null to clear a value', () => {
+  const schema = { body: { note: field.string({ nullable: true }) } };
+  assert.deepEqual(run(schema, { body: { note: null } }).req.body, { note: null });
+  assert.deepEqual(run(schema, { body: { note: '' } }).req.body, { note: null });
+  assert.deepEqual(run(schema, { body: {} }).req.body, {});
+});
+
+test('query strings are parsed into numbers, flags and dates', () => {
+  const { req } = run({
+    query: { limit: field.integer({ min: 1, max: 100, default: 25 }), all: field.boolean(), from: field.date() },
+  }, {
+    query: { all: '1', from: '2026-03-01' },
+  });
+  assert.deepEqual(req.query, { limit: 25, all: true, from: '2026-03-01' });
+  assert.equal(run({ query: { limit: field.integer({ max: 100 }) } }, { query: { limit: '500' } }).status, 400);
+});
+
+test('headers are checked but left on the request', () => {
+  const schema = { headers: { 'Idempotency-Key': field.string({ pattern: /^[a-z0-9-]{8,}$/ }) } };
+  assert.equal(run(schema, { headers: { 'idempotency-key': 'abc-12345' } }).next, true);
+  const { status, body } = run(schema, { headers: { 'idempotency-key': 'no' } });
+  assert.equal(status, 400);
+  assert.equal(body.errors[0].location, 'headers');
+});